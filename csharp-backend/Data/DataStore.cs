@@ -7,6 +7,10 @@ public class DataStore
     private readonly ReaderWriterLockSlim _lock = new();
     private readonly List<User> _users;
     private readonly List<TaskItem> _tasks;
+    // Soft-deleted records: hidden from every read, but kept (with their IDs
+    // reserved) so they can be restored
+    private readonly List<User> _deletedUsers = new();
+    private readonly List<TaskItem> _deletedTasks = new();
 
     public DataStore()
     {
@@ -14,7 +18,8 @@ public class DataStore
         {
             new() { Id = 1, Name = "John Doe", Email = "john@example.com", Role = "developer" },
             new() { Id = 2, Name = "Jane Smith", Email = "jane@example.com", Role = "designer" },
-            new() { Id = 3, Name = "Bob Johnson", Email = "bob@example.com", Role = "manager" }
+            new() { Id = 3, Name = "Bob Johnson", Email = "bob@example.com", Role = "manager" },
+            new() { Id = 4, Name = "Alice Admin", Email = "admin@example.com", Role = "admin" }
         };
 
         _tasks = new List<TaskItem>
@@ -81,7 +86,8 @@ public class DataStore
         _lock.EnterWriteLock();
         try
         {
-            var newId = _users.Count > 0 ? _users.Max(u => u.Id) + 1 : 1;
+            var allUsers = _users.Concat(_deletedUsers).ToList();
+            var newId = allUsers.Count > 0 ? allUsers.Max(u => u.Id) + 1 : 1;
             var user = new User
             {
                 Id = newId,
@@ -104,7 +110,8 @@ public class DataStore
         _lock.EnterWriteLock();
         try
         {
-            var newId = _tasks.Count > 0 ? _tasks.Max(t => t.Id) + 1 : 1;
+            var allTasks = _tasks.Concat(_deletedTasks).ToList();
+            var newId = allTasks.Count > 0 ? allTasks.Max(t => t.Id) + 1 : 1;
             var task = new TaskItem
             {
                 Id = newId,
@@ -160,6 +167,78 @@ public class DataStore
         }
     }
 
+    public User? DeleteUser(int id)
+    {
+        _lock.EnterWriteLock();
+        try
+        {
+            var user = _users.FirstOrDefault(u => u.Id == id);
+            if (user == null) return null;
+
+            _users.Remove(user);
+            _deletedUsers.Add(user);
+            return user;
+        }
+        finally
+        {
+            _lock.ExitWriteLock();
+        }
+    }
+
+    public User? RestoreUser(int id)
+    {
+        _lock.EnterWriteLock();
+        try
+        {
+            var user = _deletedUsers.FirstOrDefault(u => u.Id == id);
+            if (user == null) return null;
+
+            _deletedUsers.Remove(user);
+            _users.Add(user);
+            return user;
+        }
+        finally
+        {
+            _lock.ExitWriteLock();
+        }
+    }
+
+    public TaskItem? DeleteTask(int id)
+    {
+        _lock.EnterWriteLock();
+        try
+        {
+            var task = _tasks.FirstOrDefault(t => t.Id == id);
+            if (task == null) return null;
+
+            _tasks.Remove(task);
+            _deletedTasks.Add(task);
+            return task;
+        }
+        finally
+        {
+            _lock.ExitWriteLock();
+        }
+    }
+
+    public TaskItem? RestoreTask(int id)
+    {
+        _lock.EnterWriteLock();
+        try
+        {
+            var task = _deletedTasks.FirstOrDefault(t => t.Id == id);
+            if (task == null) return null;
+
+            _deletedTasks.Remove(task);
+            _tasks.Add(task);
+            return task;
+        }
+        finally
+        {
+            _lock.ExitWriteLock();
+        }
+    }
+
     public StatsResponse GetStats()
     {
         _lock.EnterReadLock();
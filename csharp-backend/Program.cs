@@ -210,6 +210,62 @@ app.MapPut("/api/tasks/{id:int}", (int id, TaskItem taskRequest, DataStore store
     }
 });
 
+app.MapDelete("/api/users/{id:int}", (int id, DataStore store) =>
+{
+    Console.WriteLine($"Received DELETE /api/users/{id} request");
+
+    var user = store.DeleteUser(id);
+    if (user == null)
+    {
+        Console.WriteLine($"User with ID {id} not found");
+        return Results.NotFound(new { error = "User not found" });
+    }
+    Console.WriteLine($"Successfully deleted user with ID: {user.Id}");
+    return Results.NoContent();
+});
+
+app.MapPost("/api/users/{id:int}/restore", (int id, DataStore store) =>
+{
+    Console.WriteLine($"Received POST /api/users/{id}/restore request");
+
+    var user = store.RestoreUser(id);
+    if (user == null)
+    {
+        Console.WriteLine($"Deleted user with ID {id} not found");
+        return Results.NotFound(new { error = "Deleted user not found" });
+    }
+    Console.WriteLine($"Successfully restored user with ID: {user.Id}");
+    return Results.Ok(user);
+});
+
+app.MapDelete("/api/tasks/{id:int}", (int id, DataStore store) =>
+{
+    Console.WriteLine($"Received DELETE /api/tasks/{id} request");
+
+    var task = store.DeleteTask(id);
+    if (task == null)
+    {
+        Console.WriteLine($"Task with ID {id} not found");
+        return Results.NotFound(new { error = "Task not found" });
+    }
+    Console.WriteLine($"Successfully deleted task with ID: {task.Id}");
+    return Results.NoContent();
+});
+
+app.MapPost("/api/tasks/{id:int}/restore", (int id, DataStore store) =>
+{
+    Console.WriteLine($"Received POST /api/tasks/{id}/restore request");
+
+    var task = store.RestoreTask(id);
+    if (task == null)
+    {
+        Console.WriteLine($"Deleted task with ID {id} not found");
+        return Results.NotFound(new { error = "Deleted task not found" });
+    }
+    Console.WriteLine($"Successfully restored task with ID: {task.Id}");
+    return Results.Ok(task);
+});
+
 app.MapGet("/api/stats", (DataStore store) =>
 {
     var stats = store.GetStats();
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const logger = require('../services/logger');
+const { sendProblem, sendError } = require('../services/problem');
+
+// Token configuration, set from the gateway's configuration at startup
+const TOKEN_ISSUER = 'node-gateway';
+let JWT_SECRET = crypto.randomBytes(32).toString('hex');
+let ACCESS_TOKEN_TTL = '15m';
+let REFRESH_TOKEN_TTL = '7d';
+
+const configureTokens = ({ secret, accessTokenTtl, refreshTokenTtl }) => {
+  if (!secret) {
+    logger.warn('JWT_SECRET is not set; using a random secret. Issued tokens will not survive a restart.');
+  }
+  JWT_SECRET = secret || JWT_SECRET;
+  ACCESS_TOKEN_TTL = accessTokenTtl;
+  REFRESH_TOKEN_TTL = refreshTokenTtl;
+};
+
+// Access and refresh tokens share the secret but carry a different `type`
+// claim, so a refresh token can never be used as an access token.
+const signAccessToken = (user) =>
+  jwt.sign(
+    { type: 'access', name: user.name, email: user.email, role: user.role },
+    JWT_SECRET,
+    { subject: String(user.id), expiresIn: ACCESS_TOKEN_TTL, issuer: TOKEN_ISSUER }
+  );
+
+const signRefreshToken = (user) =>
+  jwt.sign(
+    { type: 'refresh' },
+    JWT_SECRET,
+    { subject: String(user.id), expiresIn: REFRESH_TOKEN_TTL, issuer: TOKEN_ISSUER }
+  );
+
+const issueTokens = (user) => {
+  const accessToken = signAccessToken(user);
+  return {
+    accessToken,
+    refreshToken: signRefreshToken(user),
+    tokenType: 'Bearer',
+    expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000)
+  };
+};
+
+// Throws jsonwebtoken's errors (TokenExpiredError, JsonWebTokenError) or a
+// plain Error when the token type does not match.
+const verifyToken = (token, type) => {
+  const payload = jwt.verify(token, JWT_SECRET, { issuer: TOKEN_ISSUER });
+  if (payload.type !== type) {
+    throw new Error(`Expected a ${type} token`);
+  }
+  return payload;
+};
+
+// Access tokens are only taken from the Authorization header, never from
+// the URL, where they would end up in logs
+const bearerToken = (req) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+const unauthorized = (res, message) => {
+  res.set('WWW-Authenticate', 'Bearer realm="api"');
+  return sendProblem(res, 401, message);
+};
+
+// Verifies the access token and exposes the caller as req.user
+const authenticate = (req, res, next) => {
+  const token = bearerToken(req);
+  if (!token) {
+    return unauthorized(res, 'Authentication required');
+  }
+
+  try {
+    const payload = verifyToken(token, 'access');
+    req.user = {
+      id: parseInt(payload.sub, 10),
+      name: payload.name,
+      email: payload.email,
+      role: payload.role
+    };
+    next();
+  } catch (error) {
+    const message = error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token';
+    return unauthorized(res, message);
+  }
+};
+
+// For the event stream: browsers (EventSource cannot set headers) open it
+// with a single-use ?ticket= from `tickets` (services/streamTickets.js),
+// other clients with the access token as usual
+const authenticateStream = (tickets) => (req, res, next) => {
+  if (typeof req.query.ticket !== 'string') {
+    return authenticate(req, res, next);
+  }
+  const user = tickets.redeem(req.query.ticket);
+  if (!user) {
+    return unauthorized(res, 'Invalid or expired stream ticket');
+  }
+  req.user = user;
+  next();
+};
+
+// Who a request comes from, for per-client rate limits: the signed-in user
+// when the access token is valid, otherwise the client address. Invalid
+// tokens are left for authenticate to reject.
+const identifyCaller = (req) => {
+  const token = bearerToken(req);
+  if (token) {
+    try {
+      return { key: `user:${verifyToken(token, 'access').sub}`, anonymous: false };
+    } catch (error) {
+      // fall through to the address
+    }
+  }
+  return { key: `ip:${req.ip}`, anonymous: true };
+};
+
+// Runs an (optionally async) permission check built from the request and
+// answers 403 with its reason when access is denied. Errors thrown while
+// loading the resource to check (e.g. a 404 from the C# backend) are passed
+// through with their status code.
+const authorize = (check) => async (req, res, next) => {
+  try {
+    const decision = await check(req);
+    if (!decision.allowed) {
+      return sendProblem(res, 403, decision.reason || 'You do not have permission to do this');
+    }
+    next();
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+module.exports = {
+  authenticate,
+  authenticateStream,
+  authorize,
+  configureTokens,
+  issueTokens,
+  verifyToken,
+  identifyCaller
+};
@@ -0,0 +1,56 @@
+const { etagFor, etagMatches } = require('../services/etag');
+const { sendProblem, sendError } = require('../services/problem');
+
+// Tags successful JSON GET responses with an ETag and answers a matching
+// If-None-Match with 304 Not Modified. `no-cache` lets browsers keep the
+// body but revalidate it on every request.
+const conditionalGet = (req, res, next) => {
+  if (req.method !== 'GET') {
+    return next();
+  }
+
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode !== 200) {
+      return originalJson(body);
+    }
+    const etag = etagFor(body);
+    res.set({ ETag: etag, 'Cache-Control': 'private, no-cache' });
+    if (etagMatches(req.get('If-None-Match'), etag, { weak: true })) {
+      return res.status(304).end();
+    }
+    return originalJson(body);
+  };
+  next();
+};
+
+// Optimistic concurrency for updates. Loads the current resource with
+// `load(req)` and exposes it as req.current (so permission checks need no
+// second lookup). When the request has an If-Match header that does not
+// match the current ETag it is refused with 412 and the current version;
+// with `required` a missing If-Match is refused with 428.
+const ifMatch = (load, { noun = 'Resource', required = false } = {}) => async (req, res, next) => {
+  const header = req.get('If-Match');
+  if (!header && required) {
+    return sendProblem(res, 428, 'This request requires an If-Match header');
+  }
+
+  try {
+    req.current = await load(req);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  if (header) {
+    const etag = etagFor(req.current);
+    if (!etagMatches(header, etag)) {
+      res.set('ETag', etag);
+      return sendProblem(res, 412, `${noun} has been changed by someone else since it was loaded`, {
+        current: req.current
+      });
+    }
+  }
+  next();
+};
+
+module.exports = { conditionalGet, ifMatch };
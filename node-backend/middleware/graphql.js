@@ -0,0 +1,71 @@
+const { parse, validate, execute, getOperationAST, GraphQLError } = require('graphql');
+
+// Errors thrown by upstream calls carry the C# backend's status code; expose
+// it to clients next to the GraphQL error code.
+const formatError = (error) => {
+  const formatted = error.toJSON();
+  const statusCode = error.originalError && error.originalError.statusCode;
+  if (statusCode && !formatted.extensions?.code) {
+    const code = statusCode === 404 ? 'NOT_FOUND' : 'UPSTREAM_ERROR';
+    formatted.extensions = { ...formatted.extensions, code, statusCode };
+  }
+  return formatted;
+};
+
+// Express handler for GraphQL over HTTP. Accepts POST with a JSON body
+// { query, variables, operationName }, and GET with the same as query
+// parameters for queries only. `createContext(req)` builds the per-request
+// context (caller, loaders).
+const graphqlHandler = ({ schema, createContext }) => async (req, res) => {
+  const params = req.method === 'GET' ? req.query : req.body || {};
+  let { variables } = params;
+
+  if (typeof params.query !== 'string' || params.query.trim() === '') {
+    return res.status(400).json({ errors: [{ message: 'A query string is required' }] });
+  }
+
+  if (typeof variables === 'string') {
+    try {
+      variables = JSON.parse(variables);
+    } catch (error) {
+      return res.status(400).json({ errors: [{ message: 'variables must be valid JSON' }] });
+    }
+  }
+
+  let document;
+  try {
+    document = parse(params.query);
+  } catch (error) {
+    return res.status(400).json({ errors: [formatError(error)] });
+  }
+
+  const validationErrors = validate(schema, document);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ errors: validationErrors.map(formatError) });
+  }
+
+  const operation = getOperationAST(document, params.operationName);
+  if (!operation) {
+    const error = new GraphQLError('Could not determine which operation to run');
+    return res.status(400).json({ errors: [formatError(error)] });
+  }
+  if (req.method === 'GET' && operation.operation !== 'query') {
+    res.set('Allow', 'POST');
+    return res.status(405).json({ errors: [{ message: 'Mutations must be sent with POST' }] });
+  }
+
+  const result = await execute({
+    schema,
+    document,
+    variableValues: variables,
+    operationName: params.operationName,
+    contextValue: createContext(req)
+  });
+
+  res.json({
+    ...(result.errors && { errors: result.errors.map(formatError) }),
+    data: result.data
+  });
+};
+
+module.exports = { graphqlHandler };
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const { sendProblem } = require('../services/problem');
+
+const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+const REPLAYED_HEADER = 'Idempotent-Replayed';
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// Runs after validation, so the cleaned body is what gets compared
+const fingerprint = (req) =>
+  crypto.createHash('sha256').update(JSON.stringify(req.body ?? null)).digest('hex');
+
+// Makes a create endpoint safe to retry. When the request carries an
+// Idempotency-Key header, the first response for that key (per caller and
+// route) is stored and repeats get the identical status and body back with
+// `Idempotent-Replayed: true`. Reusing a key with a different payload is a
+// 422, and a repeat that arrives while the first is still running is a
+// 409. 5xx responses are not stored, so a failed request can be retried
+// with the same key.
+const idempotent = (store) => (req, res, next) => {
+  const key = req.get(IDEMPOTENCY_KEY_HEADER);
+  if (key === undefined) {
+    return next();
+  }
+  if (!KEY_PATTERN.test(key)) {
+    return sendProblem(res, 400, `${IDEMPOTENCY_KEY_HEADER} must be 1-255 visible ASCII characters`);
+  }
+
+  const scopedKey = [req.user ? req.user.id : 'anonymous', req.method, req.baseUrl + req.path, key].join(' ');
+  const outcome = store.begin(scopedKey, fingerprint(req));
+
+  if (outcome.status === 'mismatch') {
+    return sendProblem(res, 422, `${IDEMPOTENCY_KEY_HEADER} has already been used with a different request payload`);
+  }
+  if (outcome.status === 'in-flight') {
+    res.set('Retry-After', '1');
+    return sendProblem(res, 409, `A request with this ${IDEMPOTENCY_KEY_HEADER} is still being processed`);
+  }
+  if (outcome.status === 'replay') {
+    res.set(REPLAYED_HEADER, 'true');
+    if (outcome.response.contentType) {
+      res.type(outcome.response.contentType);
+    }
+    return res.status(outcome.response.statusCode).json(outcome.response.body);
+  }
+
+  let settled = false;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    settled = true;
+    if (res.statusCode < 500) {
+      store.complete(scopedKey, { statusCode: res.statusCode, contentType: res.get('Content-Type'), body });
+    } else {
+      store.release(scopedKey);
+    }
+    return originalJson(body);
+  };
+  // Responses that never went through res.json cannot be replayed
+  res.on('finish', () => {
+    if (!settled) {
+      store.release(scopedKey);
+    }
+  });
+
+  next();
+};
+
+module.exports = {
+  idempotent,
+  IDEMPOTENCY_KEY_HEADER,
+  REPLAYED_HEADER
+};
@@ -0,0 +1,166 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const logger = require('../services/logger');
+const { sendProblem, PROBLEM_CONTENT_TYPE } = require('../services/problem');
+
+// Checks requests and responses against the OpenAPI document.
+//
+//   log     - mismatches are logged as warnings; traffic is unchanged
+//   enforce - requests that do not match get a 400 validation problem (in
+//             the same shape as body validation errors) and responses that
+//             do not match are replaced with a 500 problem
+//
+// Covers path and query parameters, JSON request bodies and JSON (including
+// problem+json) responses.
+// Routes the document does not describe are passed through untouched.
+const DOCUMENT_ID = 'openapi.json';
+
+// JSON Pointer into the document, e.g. for '/api/users/{id}'
+const pointer = (...parts) =>
+  `${DOCUMENT_ID}#/${parts.map((part) => String(part).replace(/~/g, '~0').replace(/\//g, '~1')).join('/')}`;
+
+const resolve = (document, node) =>
+  node && node.$ref ? node.$ref.slice(2).split('/').reduce((value, key) => value[key], document) : node;
+
+// ajv errors -> [{ field, message }]
+const toFields = (errors) =>
+  errors.map((error) => ({
+    field: [error.instancePath.slice(1).replace(/\//g, '.'), error.params.missingProperty || error.params.additionalProperty]
+      .filter(Boolean)
+      .join('.'),
+    message: error.message
+  }));
+
+function compileRoutes(document) {
+  // Bodies are validated as sent; parameters arrive as strings and are
+  // coerced to the declared types on a copy
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  const coercingAjv = new Ajv({ allErrors: true, strict: false, coerceTypes: true });
+  addFormats(ajv);
+  addFormats(coercingAjv);
+  ajv.addSchema(document, DOCUMENT_ID);
+
+  const parameterValidator = (parameters, location) => {
+    const matching = parameters.filter((parameter) => parameter.in === location);
+    if (matching.length === 0) {
+      return null;
+    }
+    const required = matching.filter((parameter) => parameter.required).map((parameter) => parameter.name);
+    return coercingAjv.compile({
+      type: 'object',
+      properties: Object.fromEntries(matching.map((parameter) => [parameter.name, parameter.schema])),
+      ...(required.length > 0 && { required })
+    });
+  };
+
+  const routes = Object.entries(document.paths).map(([path, item]) => {
+    const names = [];
+    const pattern = new RegExp(`^${path.replace(/\{(\w+)\}/g, (match, name) => {
+      names.push(name);
+      return '([^/]+)';
+    })}$`);
+
+    const operations = {};
+    for (const [method, operation] of Object.entries(item)) {
+      const parameters = (operation.parameters || []).map((parameter) => resolve(document, parameter));
+      const hasJsonBody = Boolean(operation.requestBody?.content?.['application/json']);
+      const responseValidators = new Map();
+
+      operations[method.toUpperCase()] = {
+        params: parameterValidator(parameters, 'path'),
+        query: parameterValidator(parameters, 'query'),
+        body: hasJsonBody ? ajv.getSchema(pointer('paths', path, method, 'requestBody', 'content', 'application/json', 'schema')) : null,
+        // Compiled on first use; null when the status has no JSON response
+        responseFor(statusCode) {
+          if (!responseValidators.has(statusCode)) {
+            const key = [String(statusCode), `${String(statusCode)[0]}XX`, 'default']
+              .find((candidate) => operation.responses[candidate]);
+            const response = key && resolve(document, operation.responses[key]);
+            const mediaType = [PROBLEM_CONTENT_TYPE, 'application/json'].find((type) => response?.content?.[type]);
+            responseValidators.set(statusCode, mediaType
+              ? ajv.getSchema(pointer(...schemaPath(operation.responses[key], ['paths', path, method, 'responses', key], mediaType)))
+              : null);
+          }
+          return responseValidators.get(statusCode);
+        }
+      };
+    }
+    // Literal paths win over templated ones ('/api/users/bulk' before '/api/users/{id}')
+    return { path, pattern, names, operations };
+  }).sort((a, b) => a.names.length - b.names.length);
+
+  return routes;
+}
+
+// Where a response's JSON schema lives: inline in the operation, or in
+// components/responses when the operation refers to one
+const schemaPath = (response, inlinePath, mediaType) =>
+  [...(response.$ref ? response.$ref.slice(2).split('/') : inlinePath), 'content', mediaType, 'schema'];
+
+const decodeParam = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+const openapiValidation = (document, { mode = 'log' } = {}) => {
+  const routes = compileRoutes(document);
+  const enforce = mode === 'enforce';
+
+  const findOperation = (req) => {
+    for (const route of routes) {
+      const match = route.pattern.exec(req.path);
+      if (match && route.operations[req.method]) {
+        const params = Object.fromEntries(route.names.map((name, index) => [name, decodeParam(match[index + 1])]));
+        return { route, operation: route.operations[req.method], params };
+      }
+    }
+    return null;
+  };
+
+  return (req, res, next) => {
+    const found = findOperation(req);
+    if (!found) {
+      return next();
+    }
+    const { route, operation, params } = found;
+    const context = { method: req.method, route: route.path };
+
+    const checks = [
+      ['Invalid path parameters', operation.params, () => ({ ...params })],
+      ['Invalid query parameters', operation.query, () => ({ ...req.query })],
+      ['The request body has invalid fields', operation.body, () => req.body]
+    ];
+    for (const [detail, validator, data] of checks) {
+      if (validator && !validator(data())) {
+        const fields = toFields(validator.errors);
+        logger.warn('request does not match the API specification', { ...context, fields });
+        if (enforce) {
+          return sendProblem(res, 400, detail, { fields });
+        }
+      }
+    }
+
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const validator = operation.responseFor(res.statusCode);
+      if (validator === null) {
+        logger.warn('response status is not in the API specification', { ...context, status: res.statusCode });
+      } else if (!validator(body)) {
+        const fields = toFields(validator.errors);
+        logger.warn('response does not match the API specification', { ...context, status: res.statusCode, fields });
+        if (enforce) {
+          res.json = originalJson;
+          return sendProblem(res, 500, 'Response does not match the API specification');
+        }
+      }
+      return originalJson(body);
+    };
+
+    next();
+  };
+};
+
+module.exports = { openapiValidation };
@@ -0,0 +1,39 @@
+const logger = require('../services/logger');
+const { sendProblem } = require('../services/problem');
+
+// Applies a RateLimiter to every request. Limited requests get 429 with
+// Retry-After (seconds until a token is back); all counted requests get
+// X-RateLimit-* headers describing the bucket of the policy that applied.
+// If the limiter itself fails the request is let through.
+const rateLimit = (limiter) => async (req, res, next) => {
+  let decision;
+  try {
+    decision = await limiter.check(req);
+  } catch (error) {
+    logger.warn('rate limit check failed', { error: error.message });
+    return next();
+  }
+  if (!decision) {
+    return next();
+  }
+
+  const { policy, limits, result } = decision;
+  res.set({
+    'X-RateLimit-Policy': policy.name,
+    'X-RateLimit-Limit': limits.capacity,
+    'X-RateLimit-Remaining': result.remaining,
+    'X-RateLimit-Reset': new Date(Date.now() + result.resetMs).toISOString()
+  });
+
+  if (!result.allowed) {
+    const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+    res.set('Retry-After', String(retryAfter));
+    return sendProblem(res, 429, `Too many requests for the ${policy.name} limit; try again in ${retryAfter}s`, {
+      retryAfter
+    });
+  }
+
+  next();
+};
+
+module.exports = { rateLimit };
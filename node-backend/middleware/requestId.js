@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+const requestContext = require('../services/requestContext');
+
+// Accepts a caller-supplied X-Request-Id (when it looks sane) or generates
+// one, echoes it on the response and makes it available to the logger and
+// upstream calls for the rest of the request.
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const requestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.id = id;
+  res.set(REQUEST_ID_HEADER, id);
+  requestContext.run({ requestId: id }, next);
+};
+
+module.exports = { requestId, REQUEST_ID_HEADER };
@@ -0,0 +1,126 @@
+const validator = require('validator');
+const { sendProblem } = require('../services/problem');
+
+// Validates a payload against a declarative schema of the form
+//
+//   { field: { type, required, minLength, maxLength, format, enum, min, max } }
+//
+// where `type` is 'string', 'integer', 'boolean' or 'array'; arrays take
+// `items` (rules for every element) and `minItems`.
+//
+// and returns { value, errors }. `value` holds only the schema's fields,
+// with strings trimmed; `errors` is a list of { field, message }. Fields
+// that are not in the schema are reported as errors.
+function validate(schema, data) {
+  const errors = [];
+  const value = {};
+
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    return { value, errors: [{ field: '', message: 'Request body must be a JSON object' }] };
+  }
+
+  Object.keys(data)
+    .filter((field) => !Object.prototype.hasOwnProperty.call(schema, field))
+    .forEach((field) => errors.push({ field, message: 'Unknown field' }));
+
+  for (const [field, rules] of Object.entries(schema)) {
+    let fieldValue = data[field];
+
+    if (typeof fieldValue === 'string') {
+      fieldValue = fieldValue.trim();
+    }
+
+    if (fieldValue === undefined || fieldValue === null || fieldValue === '') {
+      if (rules.required) {
+        errors.push({ field, message: `${rules.label || field} is required` });
+      }
+      continue;
+    }
+
+    const message = checkField(rules, fieldValue);
+    if (message) {
+      errors.push({ field, message });
+    } else {
+      value[field] = fieldValue;
+    }
+  }
+
+  return { value, errors };
+}
+
+function checkField(rules, value) {
+  const label = rules.label || 'Value';
+
+  if (rules.type === 'string') {
+    if (typeof value !== 'string') {
+      return `${label} must be a string`;
+    }
+    if (rules.minLength !== undefined && value.length < rules.minLength) {
+      return `${label} must be at least ${rules.minLength} characters`;
+    }
+    if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+      return `${label} must be at most ${rules.maxLength} characters`;
+    }
+    if (rules.format === 'email' && !validator.isEmail(value)) {
+      return `${label} must be a valid email address`;
+    }
+    if (rules.format === 'url' && !validator.isURL(value, { protocols: ['http', 'https'], require_protocol: true, require_tld: false })) {
+      return `${label} must be an http or https URL`;
+    }
+  }
+
+  if (rules.type === 'integer') {
+    if (!Number.isInteger(value)) {
+      return `${label} must be an integer`;
+    }
+    if (rules.min !== undefined && value < rules.min) {
+      return `${label} must be at least ${rules.min}`;
+    }
+    if (rules.max !== undefined && value > rules.max) {
+      return `${label} must be at most ${rules.max}`;
+    }
+  }
+
+  if (rules.type === 'boolean' && typeof value !== 'boolean') {
+    return `${label} must be true or false`;
+  }
+
+  if (rules.type === 'array') {
+    if (!Array.isArray(value)) {
+      return `${label} must be a list`;
+    }
+    if (rules.minItems !== undefined && value.length < rules.minItems) {
+      return `${label} must have at least ${rules.minItems} ${rules.minItems === 1 ? 'entry' : 'entries'}`;
+    }
+    for (const item of value) {
+      const message = rules.items && checkField({ ...rules.items, label: `Every entry of ${label}` }, item);
+      if (message) {
+        return message;
+      }
+    }
+    return null;
+  }
+
+  if (rules.enum && !rules.enum.includes(value)) {
+    return `${label} must be one of: ${rules.enum.join(', ')}`;
+  }
+
+  return null;
+}
+
+// Rejects invalid bodies with 400 and a per-field error list before the
+// request is forwarded to the C# backend. On success req.body is replaced
+// by the cleaned value.
+const validateBody = (schema) => (req, res, next) => {
+  const { value, errors } = validate(schema, req.body);
+  if (errors.length > 0) {
+    return sendProblem(res, 400, 'The request body has invalid fields', { fields: errors });
+  }
+  req.body = value;
+  next();
+};
+
+module.exports = {
+  validate,
+  validateBody
+};
@@ -0,0 +1,235 @@
+const express = require('express');
+const cors = require('cors');
+const logger = require('../services/logger');
+const { MockDataStore, loadFixtures, DEFAULT_FIXTURES } = require('./dataStore');
+const { MockMetrics } = require('./metrics');
+const { FaultInjector, validateFaults } = require('./faults');
+
+// JavaScript stand-in for csharp-backend: the same routes, JSON shapes,
+// status codes and validation messages, backed by an in-memory store seeded
+// from a fixture file. Used by the gateway with BACKEND_URL=mock, or run
+// on its own with `npm run mock`.
+//
+//   PORT                   port when run on its own (default: 8080)
+//   MOCK_FIXTURES          seed data file (default: mock/fixtures.json)
+//   MOCK_LATENCY_MS        added latency for every request
+//   MOCK_LATENCY_JITTER_MS random extra latency, 0..n ms
+//   MOCK_FAILURE_RATE      share of requests that fail, 0..1
+//   MOCK_FAILURE_STATUS    status of failed requests; 0 drops the connection
+//   MOCK_FAILURE_PATHS     comma-separated path prefixes to inject faults on
+//
+// The settings can be changed at runtime through /__mock (see README).
+const USER_MODEL = { id: 'int', name: 'string', email: 'string', role: 'string' };
+const TASK_MODEL = { id: 'int', title: 'string', status: 'string', userId: 'int' };
+const INT32_MAX = 2147483647;
+
+const isBlank = (value) => value === null || value.trim() === '';
+
+// Binds a JSON body the way minimal API model binding does with web
+// defaults: property names are case-insensitive, unknown properties are
+// ignored, numbers may be sent as strings, and a value of the wrong type
+// fails the whole request. Returns null when binding fails.
+const bindModel = (body, model) => {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return null;
+  }
+  const bound = Object.fromEntries(Object.entries(model).map(([property, type]) => [property, type === 'int' ? 0 : '']));
+  for (const [key, value] of Object.entries(body)) {
+    const property = Object.keys(model).find((candidate) => candidate.toLowerCase() === key.toLowerCase());
+    if (!property) {
+      continue;
+    }
+    if (model[property] === 'string') {
+      if (value !== null && typeof value !== 'string') return null;
+      bound[property] = value;
+    } else {
+      const number = typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+      if (!Number.isInteger(number) || Math.abs(number) > INT32_MAX) return null;
+      bound[property] = number;
+    }
+  }
+  return bound;
+};
+
+// Body binding failures and unmatched routes get an empty body, like Kestrel
+const emptyResponse = (res, status) => res.status(status).end();
+
+const jsonBody = (model) => [
+  express.text({ type: () => true }),
+  (req, res, next) => {
+    if (!req.is('application/json')) {
+      return emptyResponse(res, 415);
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(req.body);
+    } catch (error) {
+      return emptyResponse(res, 400);
+    }
+    req.model = bindModel(parsed, model);
+    return req.model ? next() : emptyResponse(res, 400);
+  }
+];
+
+// '{id:int}' route constraint; anything else falls through to a 404
+const intParam = (req, res, next) => {
+  const id = /^-?\d+$/.test(req.params.id) ? Number(req.params.id) : NaN;
+  if (!Number.isInteger(id) || Math.abs(id) > INT32_MAX) {
+    return emptyResponse(res, 404);
+  }
+  req.entityId = id;
+  next();
+};
+
+const createMockBackend = ({ fixtures = loadFixtures(), faults } = {}) => {
+  const store = new MockDataStore(fixtures);
+  const metrics = new MockMetrics();
+  const injector = new FaultInjector(faults);
+  const app = express();
+  app.set('etag', false);
+  app.use(cors());
+
+  // Test controls, exempt from metrics and faults
+  app.get('/__mock', (req, res) => res.json({ faults: injector.getState() }));
+  app.put('/__mock/faults', express.json(), (req, res) => {
+    const errors = validateFaults(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid fault settings', fields: errors });
+    }
+    injector.update(req.body);
+    res.json({ faults: injector.getState() });
+  });
+  app.post('/__mock/reset', (req, res) => {
+    store.reset();
+    injector.reset();
+    res.json({ faults: injector.getState() });
+  });
+
+  app.use(metrics.middleware());
+  app.use(injector.middleware());
+
+  app.get('/health', (req, res) => res.json({ status: 'ok', message: 'C# backend is running' }));
+  app.get(['/metrics', '/api/metrics'], (req, res) => res.json(metrics.getSnapshot()));
+
+  app.get('/api/users', (req, res) => {
+    const users = store.getUsers();
+    res.json({ users, count: users.length });
+  });
+
+  app.get('/api/users/:id', intParam, (req, res) => {
+    const user = store.getUserById(req.entityId);
+    return user ? res.json(user) : res.status(404).json({ error: 'User not found' });
+  });
+
+  app.post('/api/users', jsonBody(USER_MODEL), (req, res) => {
+    const { name, email, role } = req.model;
+    if (isBlank(name) || isBlank(email) || isBlank(role)) {
+      return res.status(400).json({ error: 'Name, email, and role are required' });
+    }
+    const user = store.createUser(name, email, role);
+    res.status(201).location(`/api/users/${user.id}`).json(user);
+  });
+
+  app.put('/api/users/:id', intParam, jsonBody(USER_MODEL), (req, res) => {
+    const { name, email, role } = req.model;
+    if (isBlank(name) || isBlank(email) || isBlank(role)) {
+      return res.status(400).json({ error: 'Name, email, and role are required' });
+    }
+    const user = store.updateUser(req.entityId, name, email, role);
+    return user ? res.json(user) : res.status(404).json({ error: 'User not found' });
+  });
+
+  app.get('/api/tasks', (req, res) => {
+    const first = (value) => (Array.isArray(value) ? value[0] : value);
+    const tasks = store.getTasks(first(req.query.status), first(req.query.userId));
+    res.json({ tasks, count: tasks.length });
+  });
+
+  app.post('/api/tasks', jsonBody(TASK_MODEL), (req, res) => {
+    const { title, status, userId } = req.model;
+    if (isBlank(title) || isBlank(status) || userId <= 0) {
+      return res.status(400).json({ error: 'Title, status, and valid userId are required' });
+    }
+    const task = store.createTask(title, status, userId);
+    res.status(201).location(`/api/tasks/${task.id}`).json(task);
+  });
+
+  app.put('/api/tasks/:id', intParam, jsonBody(TASK_MODEL), (req, res) => {
+    const { title, status, userId } = req.model;
+    if (isBlank(title) || isBlank(status) || userId <= 0) {
+      return res.status(400).json({ error: 'Title, status, and valid userId are required' });
+    }
+    const task = store.updateTask(req.entityId, title, status, userId);
+    return task ? res.json(task) : res.status(404).json({ error: 'Task not found' });
+  });
+
+  app.delete('/api/users/:id', intParam, (req, res) => (
+    store.deleteUser(req.entityId) ? res.status(204).end() : res.status(404).json({ error: 'User not found' })
+  ));
+
+  app.post('/api/users/:id/restore', intParam, (req, res) => {
+    const user = store.restoreUser(req.entityId);
+    return user ? res.json(user) : res.status(404).json({ error: 'Deleted user not found' });
+  });
+
+  app.delete('/api/tasks/:id', intParam, (req, res) => (
+    store.deleteTask(req.entityId) ? res.status(204).end() : res.status(404).json({ error: 'Task not found' })
+  ));
+
+  app.post('/api/tasks/:id/restore', intParam, (req, res) => {
+    const task = store.restoreTask(req.entityId);
+    return task ? res.json(task) : res.status(404).json({ error: 'Deleted task not found' });
+  });
+
+  app.get('/api/stats', (req, res) => res.json(store.getStats()));
+
+  app.use((req, res) => emptyResponse(res, 404));
+
+  return { app, store, metrics, faults: injector };
+};
+
+const envNumber = (env, name, parse = parseInt) => {
+  const value = parse(env[name]);
+  return Number.isNaN(value) ? undefined : value;
+};
+
+// Mock settings from MOCK_* variables; unset ones keep their defaults
+const optionsFromEnv = (env = process.env) => {
+  const faults = {
+    latencyMs: envNumber(env, 'MOCK_LATENCY_MS'),
+    jitterMs: envNumber(env, 'MOCK_LATENCY_JITTER_MS'),
+    failureRate: envNumber(env, 'MOCK_FAILURE_RATE', parseFloat),
+    failureStatus: envNumber(env, 'MOCK_FAILURE_STATUS'),
+    paths: env.MOCK_FAILURE_PATHS ? env.MOCK_FAILURE_PATHS.split(',').map((item) => item.trim()).filter(Boolean) : undefined
+  };
+  const given = Object.fromEntries(Object.entries(faults).filter(([, value]) => value !== undefined));
+  const errors = validateFaults(given);
+  if (errors.length > 0) {
+    throw new Error(`Invalid mock settings: ${errors.map((error) => error.message).join('; ')}`);
+  }
+  return { fixtures: loadFixtures(env.MOCK_FIXTURES || DEFAULT_FIXTURES), faults: given };
+};
+
+// Listens on `port` (0 for any free one) and resolves once it is accepting
+// connections, with the base URL to reach it at
+const startMockBackend = ({ port = 8080, host = '127.0.0.1', ...options } = {}) => {
+  const backend = createMockBackend(options);
+  return new Promise((resolve, reject) => {
+    const server = backend.app.listen(port, host, () => {
+      const address = host === '0.0.0.0' ? 'localhost' : host;
+      resolve({ ...backend, server, url: `http://${address}:${server.address().port}` });
+    });
+    server.on('error', reject);
+  });
+};
+
+if (require.main === module) {
+  startMockBackend({ port: parseInt(process.env.PORT, 10) || 8080, host: '0.0.0.0', ...optionsFromEnv() })
+    .then(({ url, faults }) => logger.info('mock C# backend started', { url, faults: faults.getState() }))
+    .catch((error) => {
+      logger.error('mock C# backend failed to start', { error });
+      process.exit(1);
+    });
+}
+
+module.exports = { createMockBackend, startMockBackend, optionsFromEnv };
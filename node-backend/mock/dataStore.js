@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures.json');
+
+// Reads { users, tasks } seed data, as the C# DataStore constructor has it
+const loadFixtures = (file = DEFAULT_FIXTURES) => {
+  const fixtures = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(fixtures.users) || !Array.isArray(fixtures.tasks)) {
+    throw new Error(`${file} must contain "users" and "tasks" arrays`);
+  }
+  return fixtures;
+};
+
+const nextId = (items) => (items.length > 0 ? Math.max(...items.map((item) => item.id)) + 1 : 1);
+
+// Moves the record with `id` from one list to the other; null if it is not there
+const move = (from, to, id) => {
+  const index = from.findIndex((item) => item.id === id);
+  if (index === -1) return null;
+  const [item] = from.splice(index, 1);
+  to.push(item);
+  return { ...item };
+};
+
+// In-memory users and tasks with the behaviour of csharp-backend's
+// DataStore: IDs are max + 1 (counting soft-deleted records), filters match
+// exactly, updates replace every field, and deletes only hide a record
+// until it is restored. Records are copied in and out so callers cannot
+// change the store by holding on to one.
+class MockDataStore {
+  constructor(fixtures) {
+    this.fixtures = fixtures;
+    this.reset();
+  }
+
+  reset() {
+    this.users = this.fixtures.users.map((user) => ({ ...user }));
+    this.tasks = this.fixtures.tasks.map((task) => ({ ...task }));
+    this.deletedUsers = [];
+    this.deletedTasks = [];
+  }
+
+  getUsers() {
+    return this.users.map((user) => ({ ...user }));
+  }
+
+  getUserById(id) {
+    const user = this.users.find((candidate) => candidate.id === id);
+    return user ? { ...user } : null;
+  }
+
+  // `userId` is the raw query string value; one that is not a number is ignored
+  getTasks(status, userId) {
+    let tasks = this.tasks;
+    if (status && status.trim()) {
+      tasks = tasks.filter((task) => task.status === status);
+    }
+    // int.TryParse: optional sign and surrounding whitespace, nothing else
+    if (/^\s*[+-]?\d+\s*$/.test(userId || '')) {
+      const uid = parseInt(userId, 10);
+      tasks = tasks.filter((task) => task.userId === uid);
+    }
+    return tasks.map((task) => ({ ...task }));
+  }
+
+  createUser(name, email, role) {
+    const user = { id: nextId([...this.users, ...this.deletedUsers]), name, email, role };
+    this.users.push(user);
+    return { ...user };
+  }
+
+  createTask(title, status, userId) {
+    const task = { id: nextId([...this.tasks, ...this.deletedTasks]), title, status, userId };
+    this.tasks.push(task);
+    return { ...task };
+  }
+
+  updateUser(id, name, email, role) {
+    const user = this.users.find((candidate) => candidate.id === id);
+    if (!user) return null;
+    Object.assign(user, { name, email, role });
+    return { ...user };
+  }
+
+  updateTask(id, title, status, userId) {
+    const task = this.tasks.find((candidate) => candidate.id === id);
+    if (!task) return null;
+    Object.assign(task, { title, status, userId });
+    return { ...task };
+  }
+
+  deleteUser(id) {
+    return move(this.users, this.deletedUsers, id);
+  }
+
+  restoreUser(id) {
+    return move(this.deletedUsers, this.users, id);
+  }
+
+  deleteTask(id) {
+    return move(this.tasks, this.deletedTasks, id);
+  }
+
+  restoreTask(id) {
+    return move(this.deletedTasks, this.tasks, id);
+  }
+
+  getStats() {
+    const stats = {
+      users: { total: this.users.length },
+      tasks: { total: this.tasks.length, pending: 0, inProgress: 0, completed: 0 }
+    };
+    for (const task of this.tasks) {
+      if (task.status === 'pending') stats.tasks.pending++;
+      else if (task.status === 'in-progress') stats.tasks.inProgress++;
+      else if (task.status === 'completed') stats.tasks.completed++;
+    }
+    return stats;
+  }
+}
+
+module.exports = { MockDataStore, loadFixtures, DEFAULT_FIXTURES };
@@ -0,0 +1,83 @@
+// Latency and failure injection for the mock C# backend.
+//
+//   latencyMs     - added to every matching request
+//   jitterMs      - random extra delay, 0..jitterMs
+//   failureRate   - share of matching requests that fail, 0..1
+//   failureStatus - status for failed requests ({ error: 'Injected failure' });
+//                   0 drops the connection instead, as if the backend died
+//   paths         - path prefixes the settings apply to; empty for all
+const DEFAULT_FAULTS = { latencyMs: 0, jitterMs: 0, failureRate: 0, failureStatus: 500, paths: [] };
+
+// Returns a list of problems; empty when the settings are usable
+const validateFaults = (faults) => {
+  const errors = [];
+  const check = (field, valid, message) => {
+    if (faults[field] !== undefined && !valid(faults[field])) {
+      errors.push({ field, message });
+    }
+  };
+  const isCount = (value) => Number.isInteger(value) && value >= 0;
+  check('latencyMs', isCount, 'latencyMs must be a non-negative integer');
+  check('jitterMs', isCount, 'jitterMs must be a non-negative integer');
+  check('failureRate', (value) => typeof value === 'number' && value >= 0 && value <= 1, 'failureRate must be between 0 and 1');
+  check('failureStatus', (value) => value === 0 || (Number.isInteger(value) && value >= 400 && value <= 599),
+    'failureStatus must be 0 or a 4xx/5xx status');
+  check('paths', (value) => Array.isArray(value) && value.every((item) => typeof item === 'string' && item.startsWith('/')),
+    'paths must be an array of paths starting with /');
+  for (const field of Object.keys(faults)) {
+    if (!(field in DEFAULT_FAULTS)) {
+      errors.push({ field, message: 'Unknown field' });
+    }
+  }
+  return errors;
+};
+
+class FaultInjector {
+  constructor(faults = {}, { random = Math.random } = {}) {
+    this.initial = { ...DEFAULT_FAULTS, ...faults };
+    this.random = random;
+    this.reset();
+  }
+
+  reset() {
+    this.settings = { ...this.initial };
+    this.injected = { delayed: 0, failed: 0 };
+  }
+
+  // Changes only the given settings
+  update(faults) {
+    this.settings = { ...this.settings, ...faults };
+  }
+
+  applies(path) {
+    return this.settings.paths.length === 0 || this.settings.paths.some((prefix) => path.startsWith(prefix));
+  }
+
+  middleware() {
+    return async (req, res, next) => {
+      if (!this.applies(req.path)) {
+        return next();
+      }
+      const { latencyMs, jitterMs, failureRate, failureStatus } = this.settings;
+      const delay = latencyMs + Math.floor(this.random() * (jitterMs + 1));
+      if (delay > 0) {
+        this.injected.delayed++;
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+      if (failureRate > 0 && this.random() < failureRate) {
+        this.injected.failed++;
+        if (failureStatus === 0) {
+          return req.socket.destroy();
+        }
+        return res.status(failureStatus).json({ error: 'Injected failure' });
+      }
+      next();
+    };
+  }
+
+  getState() {
+    return { ...this.settings, injected: { ...this.injected } };
+  }
+}
+
+module.exports = { FaultInjector, validateFaults, DEFAULT_FAULTS };
@@ -0,0 +1,83 @@
+// Request metrics in the shape of csharp-backend's MetricsService snapshot:
+// counters and histograms keyed by name and labels joined with '_'
+// (e.g. 'http_requests_total_GET_/api/users'), histograms keeping the last
+// 1000 values.
+const MAX_VALUES = 1000;
+
+const keyFor = (name, labels = []) => (labels.length > 0 ? `${name}_${labels.join('_')}` : name);
+
+// Nearest-rank percentile, as CalculatePercentile does it
+const percentile = (sorted, p) => sorted[Math.max(0, Math.min(Math.ceil(p * sorted.length) - 1, sorted.length - 1))];
+
+// System.Text.Json writes a TimeSpan as [d.]hh:mm:ss[.fffffff]
+const formatTimeSpan = (ms) => {
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const totalSeconds = Math.floor(ms / 1000);
+  const days = Math.floor(totalSeconds / 86400);
+  const time = `${pad(Math.floor(totalSeconds / 3600) % 24)}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}`;
+  const fraction = ms % 1000 > 0 ? `.${pad(Math.round((ms % 1000) * 10000), 7)}` : '';
+  return `${days > 0 ? `${days}.` : ''}${time}${fraction}`;
+};
+
+class MockMetrics {
+  constructor() {
+    this.startedAt = Date.now();
+    this.counters = new Map();
+    this.histograms = new Map();
+  }
+
+  increment(name, labels) {
+    const key = keyFor(name, labels);
+    this.counters.set(key, (this.counters.get(key) || 0) + 1);
+  }
+
+  record(name, value, labels) {
+    const key = keyFor(name, labels);
+    const values = this.histograms.get(key) || [];
+    values.push(value);
+    if (values.length > MAX_VALUES) {
+      values.shift();
+    }
+    this.histograms.set(key, values);
+  }
+
+  // Counts and times every request, like MetricsMiddleware
+  middleware() {
+    return (req, res, next) => {
+      const start = Date.now();
+      const labels = [req.method, req.path];
+      this.increment('http_requests_total', labels);
+      res.on('finish', () => {
+        this.record('http_request_duration_ms', Date.now() - start, labels);
+        this.increment('http_responses_total', [...labels, String(res.statusCode)]);
+      });
+      next();
+    };
+  }
+
+  getSnapshot() {
+    const histograms = {};
+    for (const [key, values] of this.histograms) {
+      const sorted = [...values].sort((a, b) => a - b);
+      const sum = sorted.reduce((total, value) => total + value, 0);
+      histograms[key] = {
+        count: sorted.length,
+        sum,
+        average: sum / sorted.length,
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        p50: percentile(sorted, 0.5),
+        p95: percentile(sorted, 0.95),
+        p99: percentile(sorted, 0.99)
+      };
+    }
+    return {
+      timestamp: new Date().toISOString(),
+      uptime: formatTimeSpan(Date.now() - this.startedAt),
+      counters: Object.fromEntries(this.counters),
+      histograms
+    };
+  }
+}
+
+module.exports = { MockMetrics, formatTimeSpan };
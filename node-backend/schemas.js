@@ -0,0 +1,55 @@
+const { ROLES } = require('./services/permissions');
+const { WEBHOOK_EVENTS } = require('./services/webhooks');
+
+// Payload schemas for the write endpoints, enforced by
+// middleware/validate.js before anything is sent to the C# backend.
+const TASK_STATUSES = ['pending', 'in-progress', 'completed'];
+
+const userSchema = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 100, label: 'Name' },
+  email: { type: 'string', required: true, maxLength: 254, format: 'email', label: 'Email' },
+  role: { type: 'string', required: true, enum: ROLES, label: 'Role' }
+};
+
+const taskSchema = {
+  title: { type: 'string', required: true, minLength: 1, maxLength: 200, label: 'Title' },
+  status: { type: 'string', required: true, enum: TASK_STATUSES, label: 'Status' },
+  userId: { type: 'integer', required: true, min: 1, label: 'User ID' }
+};
+
+// One entry of a bulk PATCH /api/tasks/bulk: change the status and/or
+// reassign an existing task
+const taskPatchSchema = {
+  id: { type: 'integer', required: true, min: 1, label: 'Task ID' },
+  status: { type: 'string', enum: TASK_STATUSES, label: 'Status' },
+  userId: { type: 'integer', min: 1, label: 'User ID' }
+};
+
+// Webhook subscriptions; the secret is generated when left out
+const webhookSchema = {
+  url: { type: 'string', required: true, maxLength: 2048, format: 'url', label: 'URL' },
+  events: {
+    type: 'array',
+    required: true,
+    minItems: 1,
+    items: { type: 'string', enum: WEBHOOK_EVENTS },
+    label: 'Events'
+  },
+  secret: { type: 'string', minLength: 16, maxLength: 256, label: 'Secret' },
+  description: { type: 'string', maxLength: 200, label: 'Description' },
+  active: { type: 'boolean', label: 'Active' }
+};
+
+// PATCH /api/webhooks/:id: any of the same fields
+const webhookPatchSchema = Object.fromEntries(
+  Object.entries(webhookSchema).map(([field, rules]) => [field, { ...rules, required: false }])
+);
+
+module.exports = {
+  TASK_STATUSES,
+  userSchema,
+  taskSchema,
+  taskPatchSchema,
+  webhookSchema,
+  webhookPatchSchema
+};
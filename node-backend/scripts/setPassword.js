@@ -0,0 +1,43 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const readline = require('readline');
+const { loadConfig, ConfigError } = require('../services/config');
+const { CredentialStore, MIN_PASSWORD_LENGTH } = require('../services/credentialStore');
+
+// Sets a user's sign-in password directly in the credentials file, e.g. to
+// give the first admin one before anyone can sign in:
+//
+//   npm run set-password -- <userId>
+//
+// The password is read from standard input (or PASSWORD). Run it while the
+// gateway is stopped; a running gateway does not see the change.
+const readPassword = () => new Promise((resolve) => {
+  if (process.env.PASSWORD) {
+    return resolve(process.env.PASSWORD);
+  }
+  const input = readline.createInterface({ input: process.stdin, output: process.stderr });
+  input.question('New password: ', (answer) => {
+    input.close();
+    resolve(answer);
+  });
+});
+
+const main = async () => {
+  const userId = Number(process.argv[2]);
+  if (!Number.isInteger(userId) || userId < 1) {
+    throw new Error('Usage: npm run set-password -- <userId>');
+  }
+  const password = await readPassword();
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const { values } = loadConfig();
+  await new CredentialStore({ file: values.auth.credentialsFile }).set(userId, password);
+  process.stderr.write(`Password saved for user ${userId} in ${values.auth.credentialsFile}\n`);
+};
+
+main().catch((error) => {
+  process.stderr.write(`${error instanceof ConfigError ? error.message : `Error: ${error.message}`}\n`);
+  process.exit(1);
+});
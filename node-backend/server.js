@@ -1,14 +1,174 @@
+const path = require('path');
+// Before anything reads the environment
+require('dotenv').config({ path: path.join(__dirname, '.env') });
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
+const multer = require('multer');
+const swaggerUi = require('swagger-ui-express');
+const ResponseCache = require('./services/responseCache');
+const { CircuitBreaker, CircuitOpenError } = require('./services/circuitBreaker');
+const prometheus = require('./services/prometheus');
+const SlidingLatencyWindow = require('./services/latencyWindow');
+const { authenticate, authenticateStream, authorize, configureTokens, issueTokens, verifyToken, identifyCaller } = require('./middleware/auth');
+const permissions = require('./services/permissions');
+const { validate, validateBody } = require('./middleware/validate');
+const { requestId, REQUEST_ID_HEADER } = require('./middleware/requestId');
+const { idempotent, REPLAYED_HEADER } = require('./middleware/idempotency');
+const { conditionalGet, ifMatch } = require('./middleware/conditional');
+const { etagFor } = require('./services/etag');
+const { sendProblem, sendError } = require('./services/problem');
+const { rateLimit } = require('./middleware/rateLimit');
+const RateLimiter = require('./services/rateLimiter');
+const HealthMonitor = require('./services/healthMonitor');
+const { AuditLog, parseAuditFilters } = require('./services/auditLog');
+const { CredentialStore, parsePasswordChange } = require('./services/credentialStore');
+const { WebhookDispatcher } = require('./services/webhooks');
+const { MemoryRateLimitStore, RedisRateLimitStore } = require('./services/rateLimitStore');
+const IdempotencyStore = require('./services/idempotencyStore');
+const UndoStore = require('./services/undoStore');
+const StreamTicketStore = require('./services/streamTickets');
+const logger = require('./services/logger');
+const requestContext = require('./services/requestContext');
+const ChangeEventBus = require('./services/eventBus');
+const { parseListQuery, applyListQuery } = require('./services/listQuery');
+const { summarizeTasks } = require('./services/userOverview');
+const { parseUserDeleteQuery, deleteUserWithTasks, restoreUserWithTasks } = require('./services/userDeletion');
+const { createBackendApi } = require('./services/backendApi');
+const { mapWithConcurrency } = require('./services/concurrency');
+const { ENTITIES, FORMATS, streamRecords, parseImportFile, normalizeRecord } = require('./services/dataTransfer');
+const { createGraphQLSchema, createLoaders } = require('./services/graphqlSchema');
+const { graphqlHandler } = require('./middleware/graphql');
+const { openApiDocument } = require('./services/openapi');
+const { openapiValidation } = require('./middleware/openapiValidation');
+const { userSchema, taskSchema, taskPatchSchema, webhookSchema, webhookPatchSchema } = require('./schemas');
+const { startMockBackend, optionsFromEnv: mockOptionsFromEnv } = require('./mock/csharpBackend');
+const { loadConfig, reloadConfig, describeConfig, ConfigError } = require('./services/config');
+const { UpstreamPool } = require('./services/upstreamPool');
+const { version } = require('./package.json');
+
+// Configuration: defaults, config file and environment, checked up front so
+// a bad value stops the gateway here rather than misbehaving later
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  process.stderr.write(`${error.message}\n`);
+  process.exit(1);
+}
+const settings = config.values;
+logger.setLevel(settings.log.level);
+logger.setRedactFields(settings.log.redactFields);
+configureTokens({
+  secret: settings.auth.jwtSecret,
+  accessTokenTtl: settings.auth.accessTokenTtl,
+  refreshTokenTtl: settings.auth.refreshTokenTtl
+});
 
 const app = express();
-const PORT = process.env.PORT || 3000;
-const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:8081';
-// Rate limiting configuration
-const RATE_LIMIT_WINDOW = 15 * 60 * 1000; // 15 minutes
-const RATE_LIMIT_MAX_REQUESTS = 1000; // max requests per window
-const rateLimitStore = new Map();
+// ETags are computed by middleware/conditional.js instead
+app.set('etag', false);
+const PORT = settings.port;
+// BACKEND_URL=mock runs the JavaScript stand-in for the C# backend (mock/)
+// in this process; it joins the upstream pool on startup
+const USE_MOCK_BACKEND = settings.backend.urls[0] === 'mock';
+// Response cache configuration (TTL per cached route)
+const CACHE_TTL = {
+  users: 30 * 1000,
+  user: 30 * 1000,
+  tasks: 15 * 1000,
+  stats: 10 * 1000
+};
+const CACHE_MAX_ENTRIES = 500;
+const responseCache = new ResponseCache({ maxEntries: CACHE_MAX_ENTRIES });
+
+// Upstream resilience configuration
+const UPSTREAM_TIMEOUT = settings.upstream.timeoutMs;
+const UPSTREAM_RETRIES = settings.upstream.retries; // extra attempts for GETs
+const UPSTREAM_RETRY_BASE_DELAY = settings.upstream.retryBaseDelayMs;
+const UPSTREAM_RETRY_MAX_DELAY = settings.upstream.retryMaxDelayMs;
+const RETRYABLE_STATUS_CODES = [502, 503, 504];
+
+// Only an unreachable backend or a 5xx counts against the breakers; a 4xx
+// means the backend is up and answering.
+const isUpstreamFailure = (error) =>
+  error.code === 'UPSTREAM_UNREACHABLE' || error.statusCode >= 500;
+
+// The C# backend instances, health checked through their /health endpoint,
+// each behind its own circuit breaker and picked per call (see
+// services/upstreamPool.js)
+const upstreams = new UpstreamPool({
+  urls: USE_MOCK_BACKEND ? [] : settings.backend.urls,
+  strategy: settings.backend.balancing,
+  createBreaker: (url) => new CircuitBreaker({
+    name: url,
+    failureThreshold: settings.circuitBreaker.failureThreshold,
+    resetTimeoutMs: settings.circuitBreaker.resetTimeoutMs,
+    isFailure: isUpstreamFailure
+  }),
+  probe: async (url) => {
+    const { data } = await axios.get(`${url}/health`, { timeout: settings.health.checkTimeoutMs });
+    if (data?.status !== 'ok') {
+      throw new Error(`Health status is ${JSON.stringify(data?.status)}`);
+    }
+  },
+  isFailure: isUpstreamFailure,
+  intervalMs: settings.backend.healthCheckIntervalMs,
+  ejectAfter: settings.backend.ejectAfterFailures,
+  readmitAfter: settings.backend.readmitAfterChecks
+});
+
+// Stored responses for create requests retried with an Idempotency-Key
+const idempotencyStore = new IdempotencyStore({
+  ttlMs: settings.idempotency.ttlMs,
+  maxEntries: settings.idempotency.maxKeys
+});
+const idempotency = idempotent(idempotencyStore);
+
+// Rate limiting: token buckets per client and policy. The first matching
+// policy applies; writes and sign-in attempts get their own, smaller
+// buckets so they cannot use up (or be starved by) the read budget.
+// Rebuilt from the configuration when it is reloaded.
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const rateLimitPolicies = ({ rateLimit: limits }) => [
+  {
+    name: 'health',
+    match: (req) => req.path === '/health' || req.path.startsWith('/health/'),
+    exempt: true
+  },
+  {
+    name: 'auth',
+    match: (req) => req.path.startsWith('/api/auth/') && req.method === 'POST',
+    capacity: limits.auth.capacity,
+    refillPerMinute: limits.auth.perMinute
+  },
+  {
+    name: 'write',
+    match: (req) => WRITE_METHODS.includes(req.method) && req.path.startsWith('/api/'),
+    capacity: limits.write.capacity,
+    refillPerMinute: limits.write.perMinute
+  },
+  {
+    name: 'default',
+    match: () => true,
+    capacity: limits.default.capacity,
+    refillPerMinute: limits.default.perMinute,
+    anonymous: {
+      capacity: limits.anonymous.capacity,
+      refillPerMinute: limits.anonymous.perMinute
+    }
+  }
+];
+// Redis keeps the buckets shared when several gateway instances run
+const rateLimitStore = settings.rateLimit.store === 'redis'
+  ? new RedisRateLimitStore({ url: settings.rateLimit.redisUrl })
+  : new MemoryRateLimitStore({ maxBuckets: settings.rateLimit.maxBuckets });
+const rateLimiter = new RateLimiter({
+  store: rateLimitStore,
+  policies: rateLimitPolicies(settings),
+  identify: identifyCaller
+});
 
 // Metrics storage
 const metrics = {
@@ -30,86 +190,106 @@ const metrics = {
     byType: {},
     rate: 0
   },
+  upstream: {
+    retries: 0,
+    retriesExhausted: 0,
+    failovers: 0
+  },
   uptime: Date.now()
 };
-// Middleware
-app.use(cors());
-app.use(express.json());
 
-// Rate limiting middleware
-const rateLimiter = (req, res, next) => {
-  const clientId = req.ip || req.connection.remoteAddress || 'unknown';
-  const now = Date.now();
-  
-  // Clean up old entries
-  for (const [key, data] of rateLimitStore.entries()) {
-    if (now - data.windowStart > RATE_LIMIT_WINDOW) {
-      rateLimitStore.delete(key);
-    }
-  }
-  
-  // Get or create client rate limit data
-  if (!rateLimitStore.has(clientId)) {
-    rateLimitStore.set(clientId, {
-      count: 0,
-      windowStart: now
-    });
-  }
-  
-  const clientData = rateLimitStore.get(clientId);
-  
-  // Reset window if expired
-  if (now - clientData.windowStart > RATE_LIMIT_WINDOW) {
-    clientData.count = 0;
-    clientData.windowStart = now;
-  }
-  
-  // Check rate limit
-  if (clientData.count >= RATE_LIMIT_MAX_REQUESTS) {
-    res.set({
-      'X-RateLimit-Limit': RATE_LIMIT_MAX_REQUESTS,
-      'X-RateLimit-Remaining': 0,
-      'X-RateLimit-Reset': new Date(clientData.windowStart + RATE_LIMIT_WINDOW).toISOString()
-    });
-    return res.status(429).json({ 
-      error: 'Rate limit exceeded. Please try again later.',
-      retryAfter: Math.ceil((clientData.windowStart + RATE_LIMIT_WINDOW - now) / 1000)
-    });
+// Rolling 1/5/15 minute latency percentiles, overall and per route template.
+// Route templates are a bounded set, so so is the number of windows.
+const latencyWindows = {
+  overall: new SlidingLatencyWindow(),
+  byRoute: new Map()
+};
+
+const recordLatency = (route, ms) => {
+  latencyWindows.overall.record(ms);
+  if (!latencyWindows.byRoute.has(route)) {
+    latencyWindows.byRoute.set(route, new SlidingLatencyWindow());
   }
-  
-  // Increment counter
-  clientData.count++;
-  
-  // Set rate limit headers
-  res.set({
-    'X-RateLimit-Limit': RATE_LIMIT_MAX_REQUESTS,
-    'X-RateLimit-Remaining': RATE_LIMIT_MAX_REQUESTS - clientData.count,
-    'X-RateLimit-Reset': new Date(clientData.windowStart + RATE_LIMIT_WINDOW).toISOString()
-  });
-  
-  next();
+  latencyWindows.byRoute.get(route).record(ms);
 };
+// Prometheus metrics (served by /metrics?format=prometheus)
+const promRegistry = new prometheus.Registry();
+const httpRequestsTotal = promRegistry.counter(
+  'gateway_http_requests_total',
+  'Requests handled by the gateway',
+  ['method', 'route', 'status_class']
+);
+const httpRequestDuration = promRegistry.histogram(
+  'gateway_http_request_duration_seconds',
+  'Gateway request latency in seconds',
+  ['method', 'route', 'status_class']
+);
+const upstreamRequestDuration = promRegistry.histogram(
+  'gateway_upstream_request_duration_seconds',
+  'Latency of individual calls to the C# backend in seconds',
+  ['method', 'route', 'status_class']
+);
+
+// Express route template for a finished request ('/api/users/:id' rather
+// than '/api/users/42'), so labels and byEndpoint keys stay bounded.
+const routeTemplate = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched');
+
+// Same idea for upstream paths, which are built from strings rather than
+// matched against a router: numeric segments become ':id'.
+const upstreamRouteTemplate = (path) => path.split('?')[0].replace(/\/\d+(?=\/|$)/g, '/:id');
+
+const secondsSince = (start) => Number(process.hrtime.bigint() - start) / 1e9;
+
+// Middleware. CORS_ORIGINS lists the browser origins allowed to call the
+// gateway; '*' (the default) allows any.
+const corsOrigins = settings.cors.origins;
+app.use(cors({
+  origin: corsOrigins.includes('*') ? '*' : corsOrigins,
+  exposedHeaders: [
+    REQUEST_ID_HEADER,
+    REPLAYED_HEADER,
+    'Content-Disposition',
+    'ETag',
+    'Retry-After',
+    'X-RateLimit-Policy',
+    'X-RateLimit-Limit',
+    'X-RateLimit-Remaining',
+    'X-RateLimit-Reset'
+  ]
+}));
+// Request IDs first, so even a malformed body is answered with one
+app.use(requestId);
+app.use(express.json());
 
 // Metrics middleware
 const metricsMiddleware = (req, res, next) => {
   const startTime = Date.now();
+  const hrStart = process.hrtime.bigint();
   
   // Track request
   metrics.requests.total++;
   metrics.requests.byMethod[req.method] = (metrics.requests.byMethod[req.method] || 0) + 1;
-  metrics.requests.byEndpoint[req.path] = (metrics.requests.byEndpoint[req.path] || 0) + 1;
   
   // Override res.end to capture response metrics
   const originalEnd = res.end;
   res.end = function(...args) {
     const responseTime = Date.now() - startTime;
     
+    // The matched route is only known once routing has finished
+    const route = routeTemplate(req);
+    metrics.requests.byEndpoint[route] = (metrics.requests.byEndpoint[route] || 0) + 1;
+    
+    const labels = { method: req.method, route, status_class: prometheus.statusClass(res.statusCode) };
+    httpRequestsTotal.inc(labels);
+    httpRequestDuration.observe(labels, secondsSince(hrStart));
+    
     // Update response time metrics
     metrics.responseTime.total += responseTime;
     metrics.responseTime.count++;
     metrics.responseTime.average = metrics.responseTime.total / metrics.responseTime.count;
     metrics.responseTime.min = Math.min(metrics.responseTime.min, responseTime);
     metrics.responseTime.max = Math.max(metrics.responseTime.max, responseTime);
+    recordLatency(route, responseTime);
     
     // Track status codes
     metrics.requests.byStatus[res.statusCode] = (metrics.requests.byStatus[res.statusCode] || 0) + 1;
@@ -124,7 +304,15 @@ const metricsMiddleware = (req, res, next) => {
     // Update error rate
     metrics.errors.rate = (metrics.errors.total / metrics.requests.total * 100).toFixed(2);
     
-    console.log(`${req.method} ${req.path} - ${res.statusCode} - ${responseTime}ms`);
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    logger[level]('request completed', {
+      method: req.method,
+      route,
+      path: logger.redactUrl(req.originalUrl),
+      status: res.statusCode,
+      durationMs: responseTime,
+      userId: req.user?.id
+    });
     originalEnd.apply(this, args);
   };
   
@@ -132,27 +320,243 @@ const metricsMiddleware = (req, res, next) => {
 };
 
 // Apply middleware
-app.use(rateLimiter);
+app.use(rateLimit(rateLimiter));
 app.use(metricsMiddleware);
 
-// Helper function to make HTTP requests to C# backend using axios
-async function makeRequest(path, options = {}) {
+// Optional checking of requests and responses against the OpenAPI
+// document: 'log' reports mismatches, 'enforce' also rejects them
+const OPENAPI_VALIDATION = settings.openapiValidation;
+if (['log', 'enforce'].includes(OPENAPI_VALIDATION)) {
+  app.use(openapiValidation(openApiDocument, { mode: OPENAPI_VALIDATION }));
+}
+
+// Read-through cache for GET routes. Serves a stored body when one is fresh,
+// otherwise lets the handler run and keeps its successful JSON response,
+// unless a write invalidated the cache while the handler was running.
+const cacheResponse = (ttlMs) => (req, res, next) => {
+  const key = ResponseCache.keyFor(req.path, req.query);
+  const cached = responseCache.get(key);
+
+  if (cached !== undefined) {
+    res.set('X-Cache', 'HIT');
+    return res.json(cached);
+  }
+
+  res.set('X-Cache', 'MISS');
+  const generation = responseCache.generation;
+  const originalJson = res.json;
+  res.json = function(body) {
+    if (res.statusCode === 200) {
+      responseCache.set(key, body, ttlMs, generation);
+    }
+    return originalJson.call(this, body);
+  };
+
+  next();
+};
+
+// Search/sort/pagination options for list routes, validated up front
+const USER_LIST_OPTIONS = { sortFields: ['id', 'name', 'email', 'role'], searchFields: ['name', 'email'] };
+const TASK_LIST_OPTIONS = { sortFields: ['id', 'title', 'status', 'userId'], searchFields: ['title'] };
+
+const listQuery = (options) => (req, res, next) => {
+  const { value, errors } = parseListQuery(req.query, options);
+  if (errors.length > 0) {
+    return sendProblem(res, 400, 'Invalid query parameters', { fields: errors });
+  }
+  req.listQuery = value;
+  next();
+};
+
+// Writes to users change the user lists and the stats summary; writes to
+// tasks change every (filtered) task list and the stats summary.
+const invalidateUsers = () => responseCache.invalidate(['/api/users', '/api/stats']);
+const invalidateTasks = () => responseCache.invalidate(['/api/tasks', '/api/stats']);
+
+// Change events for live clients (GET /api/events)
+const changeEvents = new ChangeEventBus({ bufferSize: 500 });
+const EVENT_HEARTBEAT_INTERVAL = 25 * 1000;
+const streamTickets = new StreamTicketStore({ ttlMs: 30 * 1000 });
+
+// Audit trail of every change (GET /api/audit)
+const AUDIT_ACTIONS_BY_VERB = { created: 'create', updated: 'update', deleted: 'delete', restored: 'restore' };
+const auditLog = new AuditLog({
+  file: settings.audit.file,
+  memoryEntries: settings.audit.memoryEntries
+});
+const AUDIT_LIST_OPTIONS = { sortFields: ['id', 'timestamp'], searchFields: ['entity', 'action', 'requestId'] };
+
+// Outbound webhooks (/api/webhooks), delivered in the background
+const webhooks = new WebhookDispatcher({
+  file: settings.webhooks.file,
+  timeoutMs: settings.webhooks.timeoutMs,
+  maxAttempts: settings.webhooks.maxAttempts,
+  retryBaseDelayMs: settings.webhooks.retryBaseDelayMs,
+  retryMaxDelayMs: settings.webhooks.retryMaxDelayMs,
+  concurrency: settings.webhooks.concurrency
+});
+const DELIVERY_LIST_OPTIONS = { sortFields: ['id', 'timestamp'], searchFields: ['eventType', 'outcome', 'deliveryId'] };
+
+// Records changes in the audit log, queues them for webhooks and publishes
+// them after the response has been sent. Each change is { type, payload,
+// before }, `before` being the record as read before an update. For a
+// delete the payload holds the deleted record. The fresh stats summary
+// rides along so clients can update their counters without another round
+// trip; if it cannot be fetched the events go out without it. Bulk writes
+// pass all their changes at once so stats are fetched only once.
+async function publishChanges(changes, actor) {
+  if (changes.length === 0) {
+    return;
+  }
+
+  auditLog.record(changes.map(({ type, payload, before }) => {
+    const [entity, verb] = type.split('.');
+    const action = AUDIT_ACTIONS_BY_VERB[verb];
+    return action === 'delete'
+      ? { entity, action, before: payload[entity], after: null }
+      : { entity, action, before, after: payload[entity] };
+  }), { actor, requestId: requestContext.get().requestId });
+  webhooks.dispatch(changes, { actor });
+
+  let stats;
   try {
-    const url = `${BACKEND_URL}${path}`;
-    console.log(`Making request to C# backend: ${url}`);
-    console.log(`Method: ${options.method || 'GET'}`);
-    if (options.body) {
-      console.log(`Body:`, JSON.stringify(options.body, null, 2));
+    stats = await backend.getStats();
+  } catch (error) {
+    logger.warn('could not attach stats to change event', {
+      types: [...new Set(changes.map((change) => change.type))],
+      reason: error.message
+    });
+  }
+
+  changes.forEach(({ type, payload }) => {
+    changeEvents.publish(type, {
+      ...payload,
+      ...(stats && { stats }),
+      actor: actor ? { id: actor.id, name: actor.name } : null
+    });
+  });
+}
+
+const publishChange = (type, payload, actor, before) => publishChanges([{ type, payload, before }], actor);
+
+// Deleted users and tasks can be restored for DELETE_UNDO_WINDOW_MS
+const undoStore = new UndoStore({ windowMs: settings.undo.windowMs });
+
+const undoLink = (entity, id, expiresAt) => ({
+  expiresAt: expiresAt.toISOString(),
+  restoreUrl: `/api/${entity}s/${id}/restore`
+});
+
+// Takes the undo entry for a restore as req.undo, answering 404/410 when
+// there is none. `check(req)` is the permission check, made before the
+// entry is taken so a refused restore leaves it for someone allowed to.
+const takeUndo = (entity, check) => (req, res, next) => {
+  const noun = entity === 'user' ? 'User' : 'Task';
+  const id = parseInt(req.params.id, 10);
+  const found = undoStore.peek(entity, id);
+  if (found.status === 'ok') {
+    req.undo = found;
+    const decision = check(req);
+    if (!decision.allowed) {
+      return sendProblem(res, 403, decision.reason || 'You do not have permission to do this');
     }
+  }
+
+  const undo = undoStore.take(entity, id);
+  if (undo.status === 'missing') {
+    return sendProblem(res, 404, `${noun} has no delete to undo`);
+  }
+  if (undo.status === 'expired') {
+    return sendProblem(res, 410, `The undo window for this ${entity} has closed`);
+  }
+  req.undo = undo;
+  next();
+};
+
+// Bulk write configuration
+const BULK_MAX_ITEMS = settings.bulk.maxItems;
+const BULK_CONCURRENCY = settings.bulk.concurrency;
+
+// Bulk bodies are a non-empty JSON array of at most BULK_MAX_ITEMS entries
+const bulkBody = (req, res, next) => {
+  if (!Array.isArray(req.body) || req.body.length === 0) {
+    return sendProblem(res, 400, 'Request body must be a non-empty JSON array');
+  }
+  if (req.body.length > BULK_MAX_ITEMS) {
+    return sendProblem(res, 413, `At most ${BULK_MAX_ITEMS} items can be sent in one request`);
+  }
+  next();
+};
+
+const bulkItemError = (statusCode, message, fields) => Object.assign(new Error(message), { statusCode, fields });
+
+const validateItem = (schema, item) => {
+  const { value, errors } = validate(schema, item);
+  if (errors.length > 0) {
+    throw bulkItemError(400, 'Validation failed', errors);
+  }
+  return value;
+};
+
+const checkItemPermission = (decision) => {
+  if (!decision.allowed) {
+    throw bulkItemError(403, decision.reason || 'Forbidden');
+  }
+};
+
+// Runs `fn(item)` for every item with at most BULK_CONCURRENCY upstream
+// calls in flight. Each item gets its own result - { index, statusCode,
+// data } or { index, statusCode, error, fields } - so one bad item does not
+// fail the batch.
+async function runBulk(items, fn) {
+  const results = await mapWithConcurrency(items, BULK_CONCURRENCY, async (item, index) => {
+    try {
+      const { statusCode, data } = await fn(item);
+      return { index, statusCode, data };
+    } catch (error) {
+      return {
+        index,
+        statusCode: error.statusCode || (error.code === 'UPSTREAM_UNREACHABLE' ? 502 : 500),
+        error: error.message,
+        ...(error.fields && { fields: error.fields })
+      };
+    }
+  });
+
+  const succeeded = results.filter((result) => result.statusCode < 400);
+  return {
+    results,
+    written: succeeded.map((result) => result.data),
+    summary: { total: items.length, succeeded: succeeded.length, failed: items.length - succeeded.length }
+  };
+}
+
+// 207 Multi-Status when some items failed, `successStatus` otherwise
+const sendBulk = (req, res, { results, summary }, successStatus) => {
+  logger.info('bulk request completed', { route: routeTemplate(req), ...summary });
+  res.status(summary.failed > 0 ? 207 : successStatus).json({ results, summary });
+};
+
+// Single HTTP request to the C# backend instance at `options.baseUrl`
+// using axios, timed for the upstream latency histogram
+async function sendRequest(path, options = {}) {
+  const hrStart = process.hrtime.bigint();
+  let statusCode;
+  const method = (options.method || 'GET').toUpperCase();
+  const { requestId: currentRequestId } = requestContext.get();
+  try {
+    const url = `${options.baseUrl}${path}`;
+    logger.debug('upstream request', { method, url, body: options.body });
 
     const config = {
-      method: options.method || 'GET',
+      method,
       url: url,
       headers: {
         'Content-Type': 'application/json',
+        ...(currentRequestId && { [REQUEST_ID_HEADER]: currentRequestId }),
         ...options.headers
       },
-      timeout: 10000
+      timeout: options.timeout || UPSTREAM_TIMEOUT
     };
 
     if (options.body) {
@@ -160,54 +564,294 @@ async function makeRequest(path, options = {}) {
     }
 
     const response = await axios(config);
-    console.log(`C# backend response status: ${response.status}`);
-    console.log(`C# backend response data:`, response.data);
+    statusCode = response.status;
+    logger.debug('upstream response', {
+      method,
+      upstreamRoute: upstreamRouteTemplate(path),
+      status: response.status,
+      durationMs: Math.round(secondsSince(hrStart) * 1000),
+      body: response.data
+    });
     
     return response.data;
   } catch (error) {
-    console.log(`C# backend error:`, error.message);
     if (error.response) {
-      console.log(`C# backend response status: ${error.response.status}`);
-      console.log(`C# backend response data:`, error.response.data);
+      statusCode = error.response.status;
+      logger.warn('upstream error response', {
+        method,
+        upstream: options.baseUrl,
+        upstreamRoute: upstreamRouteTemplate(path),
+        status: error.response.status,
+        durationMs: Math.round(secondsSince(hrStart) * 1000),
+        body: error.response.data
+      });
       
-      const errorMessage = error.response.data?.error || 
-                          error.response.data?.message || 
-                          error.response.data || 
-                          `Request failed with status ${error.response.status}`;
+      const data = error.response.data;
+      const errorMessage = data?.error ||
+                          data?.detail ||
+                          data?.message ||
+                          data?.title ||
+                          (typeof data === 'string' && data) ||
+                          `C# backend answered with status ${error.response.status}`;
       
+      // statusCode is what the gateway answers with (see services/problem.js)
       const newError = new Error(errorMessage);
       newError.statusCode = error.response.status;
-      newError.responseData = error.response.data;
+      newError.upstreamStatus = error.response.status;
+      newError.responseData = data;
       throw newError;
     } else if (error.request) {
-      throw new Error('No response from C# backend. Is it running?');
+      logger.error('upstream unreachable', {
+        method,
+        upstream: options.baseUrl,
+        upstreamRoute: upstreamRouteTemplate(path),
+        durationMs: Math.round(secondsSince(hrStart) * 1000),
+        reason: error.message
+      });
+      const newError = new Error('No response from C# backend. Is it running?');
+      newError.code = 'UPSTREAM_UNREACHABLE';
+      throw newError;
     } else {
       throw new Error(error.message || 'An unexpected error occurred');
     }
+  } finally {
+    upstreamRequestDuration.observe({
+      method: (options.method || 'GET').toUpperCase(),
+      route: upstreamRouteTemplate(path),
+      status_class: prometheus.statusClass(statusCode)
+    }, secondsSince(hrStart));
   }
 }
 
-// Health check endpoint
-app.get('/health', async (req, res) => {
-  try {
-    // Check C# backend health
-    const backendHealth = await makeRequest('/health');
-    res.json({ 
-      status: 'ok', 
-      message: 'Node.js backend is running',
-      csharpBackend: backendHealth
-    });
-  } catch (error) {
-    res.status(503).json({ 
-      status: 'error', 
-      message: 'Node.js backend is running but C# backend is unavailable',
-      error: error.message
-    });
+const isRetryable = (error) =>
+  !(error instanceof CircuitOpenError) &&
+  (error.code === 'UPSTREAM_UNREACHABLE' || RETRYABLE_STATUS_CODES.includes(error.statusCode));
+
+// Exponential backoff with full jitter: a random delay between 0 and
+// base * 2^(attempt - 1), capped at the max delay.
+const backoffDelay = (attempt) => {
+  const ceiling = Math.min(UPSTREAM_RETRY_MAX_DELAY, UPSTREAM_RETRY_BASE_DELAY * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Helper function to make HTTP requests to C# backend through the picked
+// instance's circuit breaker. Idempotent GETs that fail with a network
+// error or 502/503/504 move straight on to an instance they have not tried
+// yet, then are retried with backoff; writes are attempted once so they are
+// never applied twice. A call its breaker refused was never sent, so any
+// method moves on from an open circuit.
+async function makeRequest(path, options = {}) {
+  const method = (options.method || 'GET').toUpperCase();
+  const maxAttempts = method === 'GET' ? UPSTREAM_RETRIES + 1 : 1;
+  const tried = new Set();
+
+  for (let attempt = 1; ;) {
+    const upstream = upstreams.pick(tried);
+    tried.add(upstream);
+    try {
+      return await upstream.breaker.execute(() =>
+        upstreams.track(upstream, () => sendRequest(path, { ...options, baseUrl: upstream.url })));
+    } catch (error) {
+      const refused = error instanceof CircuitOpenError;
+      if ((refused || (method === 'GET' && isRetryable(error))) && upstreams.hasUntried(tried)) {
+        metrics.upstream.failovers++;
+        logger.warn('failing over upstream request', {
+          method,
+          upstreamRoute: upstreamRouteTemplate(path),
+          from: upstream.url,
+          reason: error.message
+        });
+        continue;
+      }
+      if (attempt >= maxAttempts || !isRetryable(error)) {
+        if (attempt > 1) {
+          metrics.upstream.retriesExhausted++;
+        }
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt);
+      attempt++;
+      metrics.upstream.retries++;
+      logger.warn('retrying upstream request', {
+        method,
+        upstreamRoute: upstreamRouteTemplate(path),
+        delayMs: delay,
+        attempt,
+        maxAttempts,
+        reason: error.message
+      });
+      await sleep(delay);
+    }
   }
+}
+
+// Typed upstream calls shared by the REST routes and GraphQL resolvers
+const backend = createBackendApi(makeRequest);
+
+// Health. /health/live only says the process is serving requests (for
+// restart decisions), /health/ready whether it can do useful work (for
+// routing traffic to it) and /health reports on every dependency.
+const HEALTH_CHECK_TIMEOUT = settings.health.checkTimeoutMs;
+const HEALTH_DEGRADED_LATENCY = settings.health.degradedLatencyMs;
+const HEALTH_MESSAGES = {
+  ok: 'Node.js backend is running',
+  degraded: 'Node.js backend is running with reduced functionality',
+  down: 'Node.js backend is running but C# backend is unavailable'
+};
+const BUILD_INFO = {
+  version,
+  commit: settings.build.commit,
+  builtAt: settings.build.time,
+  node: process.version
+};
+
+const healthMonitor = new HealthMonitor({
+  maxAgeMs: settings.health.cacheMs,
+  timeoutMs: HEALTH_CHECK_TIMEOUT
+});
+// Every instance is probed again (no retries). The backend is down when no
+// instance is available (all ejected or behind an open circuit); ejected
+// instances, failed or slow probes and circuits that are not closed are
+// degraded.
+healthMonitor.register({
+  name: 'csharpBackend',
+  critical: true,
+  check: async () => {
+    await upstreams.checkAll();
+    const { strategy, healthy, available, instances } = upstreams.getStats();
+    const slow = instances.some((instance) => instance.lastCheck?.latencyMs > HEALTH_DEGRADED_LATENCY);
+    const details = { balancing: strategy, healthy, available, slow, instances };
+    if (available === 0) {
+      const error = new Error(`None of the ${instances.length} C# backend instances is available`);
+      error.details = details;
+      throw error;
+    }
+    const up = available === instances.length && !slow
+      && instances.every((instance) => instance.lastCheck?.ok !== false && instance.circuitBreaker.state === 'closed');
+    return { status: up ? 'up' : 'degraded', details };
+  }
+});
+
+// Circuit breakers of all instances together, for /health and /metrics
+const circuitBreakerSummary = () => {
+  const breakers = upstreams.getStats().instances.map((instance) => instance.circuitBreaker);
+  const count = (state) => breakers.filter((breaker) => breaker.state === state).length;
+  const sum = (field) => breakers.reduce((total, breaker) => total + breaker[field], 0);
+  return {
+    closed: count('closed'),
+    open: count('open'),
+    halfOpen: count('half-open'),
+    trips: sum('trips'),
+    rejected: sum('rejected'),
+    retryAt: breakers.filter((breaker) => breaker.state === 'open').map((breaker) => breaker.retryAt).sort()[0] || null
+  };
+};
+// Requests are let through while Redis is away, so it is not critical
+if (rateLimitStore.type === 'redis') {
+  healthMonitor.register({
+    name: 'rateLimitStore',
+    check: async () => {
+      await rateLimitStore.ping();
+      return { details: { type: 'redis' } };
+    }
+  });
+}
+
+const uptimeSeconds = () => Math.floor((Date.now() - metrics.uptime) / 1000);
+
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'alive', uptimeSeconds: uptimeSeconds() });
+});
+
+app.get('/health/ready', async (req, res) => {
+  const { status, dependencies } = await healthMonitor.report();
+  const ready = status !== 'down';
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not-ready',
+    dependencies: Object.fromEntries(Object.entries(dependencies).map(([name, dependency]) => [name, dependency.status]))
+  });
 });
 
+// Always 200 with the state in the body; readiness probes use /health/ready
+app.get('/health', async (req, res) => {
+  const { status, dependencies } = await healthMonitor.report();
+  res.json({
+    status,
+    message: HEALTH_MESSAGES[status],
+    checkedAt: new Date(healthMonitor.checkedAt).toISOString(),
+    uptimeSeconds: uptimeSeconds(),
+    build: BUILD_INFO,
+    dependencies,
+    circuitBreaker: circuitBreakerSummary()
+  });
+});
+
+// Gauges for state that lives outside the request counters
+promRegistry.gauge('gateway_cache_entries', 'Entries currently held in the response cache',
+  () => [{ value: responseCache.getStats().size }]);
+promRegistry.collectedCounter('gateway_cache_events_total', 'Response cache hits, misses, evictions, invalidations and responses not stored because of an invalidation',
+  () => ['hits', 'misses', 'evictions', 'invalidations', 'discarded'].map((event) => ({
+    labels: { event },
+    value: responseCache.getStats()[event]
+  })));
+promRegistry.gauge('gateway_circuit_breaker_state', 'Circuit breaker state per C# backend instance (1 for the current state)',
+  () => upstreams.getStats().instances.flatMap(({ url, circuitBreaker }) =>
+    ['closed', 'open', 'half-open'].map((state) => ({
+      labels: { upstream: url, state },
+      value: circuitBreaker.state === state ? 1 : 0
+    }))));
+promRegistry.collectedCounter('gateway_circuit_breaker_trips_total', 'Times the circuit breaker of each C# backend instance has opened',
+  () => upstreams.getStats().instances.map(({ url, circuitBreaker }) => ({ labels: { upstream: url }, value: circuitBreaker.trips })));
+promRegistry.collectedCounter('gateway_upstream_retries_total', 'GET retries sent to the C# backend',
+  () => [{ value: metrics.upstream.retries }]);
+promRegistry.collectedCounter('gateway_upstream_failovers_total', 'GETs moved to another C# backend instance after a failure',
+  () => [{ value: metrics.upstream.failovers }]);
+promRegistry.collectedCounter('gateway_upstream_instance_requests_total', 'Calls sent to each C# backend instance',
+  () => upstreams.getStats().instances.map(({ url, requests }) => ({ labels: { upstream: url }, value: requests })));
+promRegistry.collectedCounter('gateway_upstream_instance_failures_total', 'Failed calls to each C# backend instance',
+  () => upstreams.getStats().instances.map(({ url, failures }) => ({ labels: { upstream: url }, value: failures })));
+promRegistry.collectedCounter('gateway_upstream_instance_ejections_total', 'Times each C# backend instance was taken out of rotation',
+  () => upstreams.getStats().instances.map(({ url, ejections }) => ({ labels: { upstream: url }, value: ejections })));
+promRegistry.gauge('gateway_upstream_instance_healthy', 'Whether each C# backend instance is in rotation (1) or ejected (0)',
+  () => upstreams.getStats().instances.map(({ url, state }) => ({ labels: { upstream: url }, value: state === 'healthy' ? 1 : 0 })));
+promRegistry.gauge('gateway_upstream_instance_outstanding', 'Calls in flight to each C# backend instance',
+  () => upstreams.getStats().instances.map(({ url, outstanding }) => ({ labels: { upstream: url }, value: outstanding })));
+promRegistry.collectedCounter('gateway_rate_limit_decisions_total', 'Requests counted against a rate limit policy, by outcome',
+  () => rateLimiter.getStats().policies.filter((policy) => !policy.exempt).flatMap((policy) =>
+    ['allowed', 'limited'].map((outcome) => ({ labels: { policy: policy.name, outcome }, value: policy[outcome] }))));
+promRegistry.gauge('gateway_dependency_status', 'Dependency health from the last check (1 for the current status)',
+  () => Object.entries(healthMonitor.getDependencies()).flatMap(([dependency, { status }]) =>
+    ['up', 'degraded', 'down'].map((candidate) => ({
+      labels: { dependency, status: candidate },
+      value: status === candidate ? 1 : 0
+    }))));
+promRegistry.collectedCounter('gateway_webhook_delivery_attempts_total', 'Webhook delivery attempts, by outcome',
+  () => ['succeeded', 'retried', 'failed'].map((outcome) => ({ labels: { outcome }, value: webhooks.getStats()[outcome] })));
+promRegistry.gauge('gateway_webhook_queue_depth', 'Webhook deliveries queued or waiting for a retry',
+  () => [{ value: webhooks.getStats().queued + webhooks.getStats().waitingForRetry }]);
+promRegistry.gauge('gateway_uptime_seconds', 'Seconds since the gateway started',
+  () => [{ value: uptimeSeconds() }]);
+
+// Prometheus scrapers ask for text/plain (with a version parameter) or
+// OpenMetrics; browsers and the React app get JSON
+const wantsPrometheus = (req) => {
+  if (req.query.format) {
+    return req.query.format === 'prometheus';
+  }
+  const accept = req.get('Accept') || '';
+  return /text\/plain|application\/openmetrics-text/.test(accept) && !accept.includes('application/json');
+};
+
 // Metrics endpoint
 app.get('/metrics', (req, res) => {
+  if (wantsPrometheus(req)) {
+    res.set('Content-Type', prometheus.CONTENT_TYPE);
+    return res.send(promRegistry.render());
+  }
+
   const uptime = Date.now() - metrics.uptime;
   const uptimeSeconds = Math.floor(uptime / 1000);
   const uptimeFormatted = {
@@ -217,17 +861,34 @@ app.get('/metrics', (req, res) => {
     seconds: uptimeSeconds % 60
   };
   
+  const latencyByRoute = {};
+  for (const [route, window] of latencyWindows.byRoute.entries()) {
+    latencyByRoute[route] = window.snapshot();
+  }
+  
   const currentMetrics = {
     ...metrics,
+    responseTime: {
+      ...metrics.responseTime,
+      percentiles: latencyWindows.overall.snapshot()
+    },
+    responseTimeByRoute: latencyByRoute,
     uptime: {
       milliseconds: uptime,
       seconds: uptimeSeconds,
       formatted: `${uptimeFormatted.days}d ${uptimeFormatted.hours}h ${uptimeFormatted.minutes}m ${uptimeFormatted.seconds}s`
     },
-    rateLimiting: {
-      activeClients: rateLimitStore.size,
-      windowMs: RATE_LIMIT_WINDOW,
-      maxRequests: RATE_LIMIT_MAX_REQUESTS
+    events: { ...changeEvents.getStats(), tickets: streamTickets.getStats() },
+    rateLimiting: rateLimiter.getStats(),
+    upstream: { ...metrics.upstream, ...upstreams.getStats() },
+    circuitBreaker: circuitBreakerSummary(),
+    idempotency: idempotencyStore.getStats(),
+    undo: undoStore.getStats(),
+    audit: auditLog.getStats(),
+    webhooks: webhooks.getStats(),
+    cache: {
+      ...responseCache.getStats(),
+      ttlMs: CACHE_TTL
     },
     timestamp: new Date().toISOString()
   };
@@ -235,129 +896,895 @@ app.get('/metrics', (req, res) => {
   res.json(currentMetrics);
 });
 
-// Users endpoints
-app.get('/api/users', async (req, res) => {
+// Machine-readable API description and interactive docs built from it
+app.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+app.use('/docs', swaggerUi.serve, swaggerUi.setup(null, {
+  customSiteTitle: 'Node.js API Gateway',
+  swaggerOptions: { url: '/openapi.json', persistAuthorization: true }
+}));
+
+// Sign-in passwords (see services/credentialStore.js). AUTH_DEV_LOGIN lets
+// anyone sign in with just an email address, for local development only.
+const credentials = new CredentialStore({ file: settings.auth.credentialsFile });
+const DEV_LOGIN = settings.auth.devLogin;
+if (DEV_LOGIN) {
+  logger.warn('AUTH_DEV_LOGIN is on; anyone can sign in as any user with just their email address');
+}
+
+// Authentication endpoints
+app.post('/api/auth/login', async (req, res) => {
   try {
-    const response = await makeRequest('/api/users');
-    console.log('Fetched users:', response);
-    res.json(response);
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    const { password } = req.body;
+    const fields = [];
+    if (!email) {
+      fields.push({ field: 'email', message: 'Email is required' });
+    }
+    if (!DEV_LOGIN && (typeof password !== 'string' || password === '')) {
+      fields.push({ field: 'password', message: 'Password is required' });
+    }
+    if (fields.length > 0) {
+      return sendProblem(res, 400, fields[0].message, { fields });
+    }
+
+    const users = await backend.listUsers();
+    const user = users.find((u) => u.email.toLowerCase() === email);
+    // Checked even without a user, so unknown addresses take as long
+    const valid = DEV_LOGIN || await credentials.verify(user ? user.id : null, password);
+    if (!user || !valid) {
+      return sendProblem(res, 401, 'Invalid credentials');
+    }
+
+    res.json({ ...issueTokens(user), user });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-app.get('/api/users/:id', async (req, res) => {
+app.post('/api/auth/refresh', async (req, res) => {
+  let payload;
   try {
-    const user = await makeRequest(`/api/users/${req.params.id}`);
-    res.json(user);
+    payload = verifyToken(req.body.refreshToken, 'refresh');
   } catch (error) {
-    if (error.message.includes('404') || error.message.includes('not found')) {
-      res.status(404).json({ error: 'User not found' });
+    return sendProblem(res, 401, 'Invalid or expired refresh token');
+  }
+
+  try {
+    // Re-read the user so role changes take effect on refresh
+    const user = await backend.getUser(payload.sub);
+    res.json({ ...issueTokens(user), user });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return sendProblem(res, 401, 'User no longer exists');
+    }
+    sendError(res, error);
+  }
+});
+
+// Server-Sent Events stream of user/task changes, opened with a ticket
+// from POST /api/events/ticket or the access token (see
+// authenticateStream). Clients resume after a reconnect with the
+// Last-Event-ID header (sent automatically by EventSource) or ?lastEventId=
+// when they open a new connection.
+app.get('/api/events', authenticateStream(streamTickets), (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+  if (Number.isNaN(lastEventId)) {
+    res.write(`retry: 3000\nevent: ready\ndata: ${JSON.stringify({ lastEventId: changeEvents.lastId })}\n\n`);
+  } else {
+    const missed = changeEvents.since(lastEventId);
+    if (missed === null) {
+      res.write(`event: resync\ndata: ${JSON.stringify({ lastEventId: changeEvents.lastId })}\n\n`);
     } else {
-      res.status(500).json({ error: error.message });
+      missed.forEach(send);
     }
   }
+
+  const unsubscribe = changeEvents.subscribe(send);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), EVENT_HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Everything else under /api requires a valid access token
+app.use('/api', authenticate);
+app.use('/api', conditionalGet);
+
+// A single-use ticket for opening the event stream from a browser
+app.post('/api/events/ticket', (req, res) => {
+  res.json(streamTickets.issue(req.user));
+});
+
+// Optional strict mode: updates without If-Match are refused with 428
+const REQUIRE_IF_MATCH = settings.requireIfMatch;
+
+app.get('/api/auth/me', (req, res) => {
+  res.json(req.user);
 });
 
-app.post('/api/users', async (req, res) => {
+// Users endpoints
+app.get('/api/users', listQuery(USER_LIST_OPTIONS), cacheResponse(CACHE_TTL.users), async (req, res) => {
   try {
-    console.log('Received user creation request with data:', req.body);
-    const response = await makeRequest('/api/users', {
-      method: 'POST',
-      body: req.body
-    });
-    res.status(201).json(response);
+    const users = await backend.listUsers();
+    const { items, ...pagination } = applyListQuery(users, req.listQuery, USER_LIST_OPTIONS);
+    res.json({ users: items, count: items.length, ...pagination });
   } catch (error) {
-    const statusCode = error.statusCode || (error.message.includes('400') ? 400 : 500);
-    res.status(statusCode).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+app.post('/api/users/bulk', bulkBody, authorize((req) => permissions.canCreateUser(req.user)), idempotency, async (req, res) => {
+  const outcome = await runBulk(req.body, async (item) => {
+    const user = await backend.createUser(validateItem(userSchema, item));
+    return { statusCode: 201, data: user };
+  });
+
+  if (outcome.written.length > 0) {
+    invalidateUsers();
   }
+  sendBulk(req, res, outcome, 201);
+  publishChanges(outcome.written.map((user) => ({ type: 'user.created', payload: { user } })), req.user);
 });
 
-app.put('/api/users/:id', async (req, res) => {
+app.get('/api/users/:id', cacheResponse(CACHE_TTL.user), async (req, res) => {
   try {
-    console.log('Received user update request with data:', req.body);
-    const response = await makeRequest(`/api/users/${req.params.id}`, {
-      method: 'PUT',
-      body: req.body
-    });
-    res.json(response);
+    const user = await backend.getUser(req.params.id);
+    res.json(user);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Change history of one user or task from the audit log, newest first and
+// paginated like /api/audit, for the same callers
+const historyOf = (entity) => [
+  authorize((req) => permissions.canViewAuditLog(req.user)),
+  listQuery(AUDIT_LIST_OPTIONS),
+  async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) {
+      return sendProblem(res, 400, `${entity === 'user' ? 'User' : 'Task'} id must be a positive integer`);
+    }
+    try {
+      const entries = await auditLog.query({ entity, entityId: parseInt(req.params.id, 10) });
+      const { items, ...pagination } = applyListQuery(entries, { ...req.listQuery, paginate: true }, AUDIT_LIST_OPTIONS);
+      res.json({ history: items, count: items.length, ...pagination });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+];
+
+app.get('/api/users/:id/history', historyOf('user'));
+
+// Everything the selected-user panel needs in one round trip. The user and
+// their tasks are fetched in parallel; the user is required, but if only the
+// tasks call fails the overview is still returned with `partial: true` and
+// the failure listed in `errors`.
+app.get('/api/users/:id/overview', async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) {
+    return sendProblem(res, 400, 'User id must be a positive integer');
+  }
+
+  const id = parseInt(req.params.id, 10);
+  const [userResult, tasksResult] = await Promise.allSettled([
+    backend.getUser(id),
+    backend.listTasks({ userId: id })
+  ]);
+
+  if (userResult.status === 'rejected') {
+    const error = userResult.reason;
+    return sendError(res, error);
+  }
+
+  const overview = { user: userResult.value, tasks: null, counts: null, completionRate: null };
+  const errors = [];
+
+  if (tasksResult.status === 'fulfilled') {
+    Object.assign(overview, summarizeTasks(tasksResult.value));
+  } else {
+    const error = tasksResult.reason;
+    logger.warn('user overview is partial', { userId: id, source: 'tasks', error: error.message });
+    errors.push({ source: 'tasks', message: error.message, statusCode: error.statusCode || 502 });
+  }
+
+  res.json({ ...overview, partial: errors.length > 0, errors });
+});
+
+app.post('/api/users', validateBody(userSchema), authorize((req) => permissions.canCreateUser(req.user)), idempotency, async (req, res) => {
+  try {
+    const response = await backend.createUser(req.body);
+    invalidateUsers();
+    res.status(201).json(response);
+    publishChange('user.created', { user: response }, req.user);
   } catch (error) {
-    const statusCode = error.statusCode || 
-      (error.message.includes('404') || error.message.includes('not found') ? 404 :
-       error.message.includes('400') ? 400 : 500);
-    res.status(statusCode).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
+app.put('/api/users/:id',
+  validateBody(userSchema),
+  ifMatch((req) => backend.getUser(req.params.id), { noun: 'User', required: REQUIRE_IF_MATCH }),
+  authorize((req) => permissions.canUpdateUser(req.user, req.current, req.body)),
+  async (req, res) => {
+    try {
+      const response = await backend.updateUser(req.params.id, req.body);
+      invalidateUsers();
+      res.set('ETag', etagFor(response));
+      res.json(response);
+      publishChange('user.updated', { user: response }, req.user, req.current);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+// Sets a sign-in password. Changing your own needs the current one (once
+// there is one); admins can set anyone else's without it.
+app.put('/api/users/:id/password',
+  authorize((req) => permissions.canSetPassword(req.user, Number(req.params.id))),
+  async (req, res) => {
+    const userId = Number(req.params.id);
+    const { value, errors } = parsePasswordChange(req.body);
+    if (errors.length > 0) {
+      return sendProblem(res, 400, 'Validation failed', { fields: errors });
+    }
+
+    try {
+      await backend.getUser(userId);
+    } catch (error) {
+      return sendError(res, error);
+    }
+    if (userId === req.user.id && credentials.has(userId)
+      && !(await credentials.verify(userId, value.currentPassword))) {
+      return sendProblem(res, 403, 'Current password is incorrect', {
+        fields: [{ field: 'currentPassword', message: 'Current password is incorrect' }]
+      });
+    }
+    try {
+      await credentials.set(userId, value.password);
+    } catch (error) {
+      logger.error('could not save credentials', { error });
+      return sendProblem(res, 500, 'Could not save the password');
+    }
+    logger.info('password changed', { userId, by: req.user.id });
+    res.status(204).end();
+  }
+);
+
+// Soft-deletes a user. Their tasks are reassigned (?reassignTo=<userId>,
+// open tasks only) or deleted with them (?cascade=true) first; see
+// services/userDeletion.js. The whole delete can be undone until
+// undo.expiresAt with POST /api/users/:id/restore.
+app.delete('/api/users/:id',
+  ifMatch((req) => backend.getUser(req.params.id), { noun: 'User', required: REQUIRE_IF_MATCH }),
+  authorize((req) => permissions.canDeleteUser(req.user, req.current)),
+  async (req, res) => {
+    const user = req.current;
+    const { value: plan, errors } = parseUserDeleteQuery(req.query, user.id);
+    if (errors.length > 0) {
+      return sendProblem(res, 400, 'Invalid query parameters', { fields: errors });
+    }
+
+    try {
+      if (plan.reassignTo) {
+        await backend.getUser(plan.reassignTo);
+      }
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        return sendError(res, error);
+      }
+      return sendProblem(res, 400, 'Invalid query parameters', {
+        fields: [{ field: 'reassignTo', message: 'reassignTo must be an existing user' }]
+      });
+    }
+
+    let outcome;
+    try {
+      outcome = await deleteUserWithTasks(backend, user, plan, { concurrency: BULK_CONCURRENCY });
+    } catch (error) {
+      return sendError(res, error);
+    }
+
+    invalidateUsers();
+    invalidateTasks();
+    const expiresAt = undoStore.remember('user', user.id, { user, reassignTo: plan.reassignTo, ...outcome });
+    logger.info('user deleted', {
+      userId: user.id,
+      reassignTo: plan.reassignTo,
+      reassignedTasks: outcome.reassigned.length,
+      deletedTasks: outcome.deleted.length
+    });
+    res.json({
+      user,
+      reassignedTasks: outcome.reassigned.map(({ after }) => after),
+      deletedTasks: outcome.deleted,
+      undo: undoLink('user', user.id, expiresAt)
+    });
+    publishChanges([
+      ...outcome.reassigned.map(({ before, after }) => ({ type: 'task.updated', payload: { task: after }, before })),
+      ...outcome.deleted.map((task) => ({ type: 'task.deleted', payload: { task } })),
+      { type: 'user.deleted', payload: { user } }
+    ], req.user);
+  }
+);
+
+// Undoes a user delete: the user comes back, then their deleted tasks, then
+// the tasks that were reassigned (unless they have been changed since).
+app.post('/api/users/:id/restore',
+  takeUndo('user', (req) => permissions.canDeleteUser(req.user, req.undo.data.user)),
+  async (req, res) => {
+    let outcome;
+    try {
+      outcome = await restoreUserWithTasks(backend, req.undo.data, { concurrency: BULK_CONCURRENCY });
+    } catch (error) {
+      undoStore.giveBack('user', req.undo.data.user.id, req.undo);
+      return sendError(res, error);
+    }
+
+    undoStore.completed();
+    invalidateUsers();
+    invalidateTasks();
+    res.json({
+      user: outcome.user,
+      restoredTasks: outcome.restored,
+      reassignedTasks: outcome.movedBack.map(({ after }) => after),
+      skipped: outcome.skipped
+    });
+    publishChanges([
+      { type: 'user.restored', payload: { user: outcome.user } },
+      ...outcome.restored.map((task) => ({ type: 'task.restored', payload: { task } })),
+      ...outcome.movedBack.map(({ before, after }) => ({ type: 'task.updated', payload: { task: after }, before }))
+    ], req.user);
+  }
+);
+
 // Tasks endpoints
-app.get('/api/tasks', async (req, res) => {
+app.get('/api/tasks', listQuery(TASK_LIST_OPTIONS), cacheResponse(CACHE_TTL.tasks), async (req, res) => {
   try {
     const { status, userId } = req.query;
-    let path = '/api/tasks';
-    const params = new URLSearchParams();
-    if (status) params.append('status', status);
-    if (userId) params.append('userId', userId);
-    if (params.toString()) {
-      path += '?' + params.toString();
-    }
-    const response = await makeRequest(path);
-    res.json(response);
+    const tasks = await backend.listTasks({ status, userId });
+    const { items, ...pagination } = applyListQuery(tasks, req.listQuery, TASK_LIST_OPTIONS);
+    res.json({ tasks: items, count: items.length, ...pagination });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-app.post('/api/tasks', async (req, res) => {
+app.post('/api/tasks/bulk', bulkBody, idempotency, async (req, res) => {
+  const outcome = await runBulk(req.body, async (item) => {
+    const data = validateItem(taskSchema, item);
+    checkItemPermission(permissions.canCreateTask(req.user, data));
+    return { statusCode: 201, data: await backend.createTask(data) };
+  });
+
+  if (outcome.written.length > 0) {
+    invalidateTasks();
+  }
+  sendBulk(req, res, outcome, 201);
+  publishChanges(outcome.written.map((task) => ({ type: 'task.created', payload: { task } })), req.user);
+});
+
+// Changes the status of and/or reassigns many tasks. The C# backend only
+// supports full updates, so the current tasks are read once for the whole
+// batch and each change is merged into its task before the PUT.
+app.patch('/api/tasks/bulk', bulkBody, async (req, res) => {
+  let currentTasks;
   try {
-    const response = await makeRequest('/api/tasks', {
-      method: 'POST',
-      body: req.body
-    });
+    currentTasks = new Map((await backend.listTasks()).map((task) => [task.id, task]));
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  const seenIds = new Set();
+  const outcome = await runBulk(req.body, async (item) => {
+    const changes = validateItem(taskPatchSchema, item);
+    if (changes.status === undefined && changes.userId === undefined) {
+      throw bulkItemError(400, 'Validation failed', [{ field: '', message: 'Provide a status and/or userId to change' }]);
+    }
+    if (seenIds.has(changes.id)) {
+      throw bulkItemError(400, 'Task appears more than once in this batch');
+    }
+    seenIds.add(changes.id);
+
+    const current = currentTasks.get(changes.id);
+    if (!current) {
+      throw bulkItemError(404, 'Task not found');
+    }
+    const updated = {
+      title: current.title,
+      status: changes.status ?? current.status,
+      userId: changes.userId ?? current.userId
+    };
+    checkItemPermission(permissions.canUpdateTask(req.user, current, updated));
+    return { statusCode: 200, data: await backend.updateTask(current.id, updated) };
+  });
+
+  if (outcome.written.length > 0) {
+    invalidateTasks();
+  }
+  sendBulk(req, res, outcome, 200);
+  publishChanges(outcome.written.map((task) => ({
+    type: 'task.updated',
+    payload: { task },
+    before: currentTasks.get(task.id)
+  })), req.user);
+});
+
+app.post('/api/tasks', validateBody(taskSchema), authorize((req) => permissions.canCreateTask(req.user, req.body)), idempotency, async (req, res) => {
+  try {
+    const response = await backend.createTask(req.body);
+    invalidateTasks();
     res.status(201).json(response);
+    publishChange('task.created', { task: response }, req.user);
   } catch (error) {
-    const statusCode = error.statusCode || (error.message.includes('400') ? 400 : 500);
-    res.status(statusCode).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-app.put('/api/tasks/:id', async (req, res) => {
+app.get('/api/tasks/:id', cacheResponse(CACHE_TTL.tasks), async (req, res) => {
   try {
-    const response = await makeRequest(`/api/tasks/${req.params.id}`, {
-      method: 'PUT',
-      body: req.body
-    });
-    res.json(response);
+    res.json(await backend.getTask(req.params.id));
   } catch (error) {
-    const statusCode = error.statusCode || 
-      (error.message.includes('404') || error.message.includes('not found') ? 404 :
-       error.message.includes('400') ? 400 : 500);
-    res.status(statusCode).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
+app.get('/api/tasks/:id/history', historyOf('task'));
+
+app.put('/api/tasks/:id',
+  validateBody(taskSchema),
+  ifMatch((req) => backend.getTask(req.params.id), { noun: 'Task', required: REQUIRE_IF_MATCH }),
+  authorize((req) => permissions.canUpdateTask(req.user, req.current, req.body)),
+  async (req, res) => {
+    try {
+      const response = await backend.updateTask(req.params.id, req.body);
+      invalidateTasks();
+      res.set('ETag', etagFor(response));
+      res.json(response);
+      publishChange('task.updated', { task: response }, req.user, req.current);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+// Soft-deletes a task; it can be restored until undo.expiresAt with POST
+// /api/tasks/:id/restore
+app.delete('/api/tasks/:id',
+  ifMatch((req) => backend.getTask(req.params.id), { noun: 'Task', required: REQUIRE_IF_MATCH }),
+  authorize((req) => permissions.canDeleteTask(req.user, req.current)),
+  async (req, res) => {
+    const task = req.current;
+    try {
+      await backend.deleteTask(task.id);
+    } catch (error) {
+      return sendError(res, error);
+    }
+
+    invalidateTasks();
+    const expiresAt = undoStore.remember('task', task.id, { task });
+    res.json({ task, undo: undoLink('task', task.id, expiresAt) });
+    publishChange('task.deleted', { task }, req.user);
+  }
+);
+
+app.post('/api/tasks/:id/restore',
+  takeUndo('task', (req) => permissions.canDeleteTask(req.user, req.undo.data.task)),
+  async (req, res) => {
+    let task;
+    try {
+      task = await backend.restoreTask(req.undo.data.task.id);
+    } catch (error) {
+      undoStore.giveBack('task', req.undo.data.task.id, req.undo);
+      return sendError(res, error);
+    }
+
+    undoStore.completed();
+    invalidateTasks();
+    res.json(task);
+    publishChange('task.restored', { task }, req.user);
+  }
+);
+
 // Statistics endpoint
-app.get('/api/stats', async (req, res) => {
+app.get('/api/stats', cacheResponse(CACHE_TTL.stats), async (req, res) => {
   try {
-    const stats = await makeRequest('/api/stats');
+    const stats = await backend.getStats();
     res.json(stats);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+// Every audited change, newest first. Always paginated since the log only
+// grows.
+app.get('/api/audit',
+  authorize((req) => permissions.canViewAuditLog(req.user)),
+  listQuery(AUDIT_LIST_OPTIONS),
+  async (req, res) => {
+    const { value: filters, errors } = parseAuditFilters(req.query);
+    if (errors.length > 0) {
+      return sendProblem(res, 400, 'Invalid query parameters', { fields: errors });
+    }
+    try {
+      const entries = await auditLog.query(filters);
+      const { items, ...pagination } = applyListQuery(entries, { ...req.listQuery, paginate: true }, AUDIT_LIST_OPTIONS);
+      res.json({ entries: items, count: items.length, ...pagination });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+// The configuration in force, admins only. Secrets are masked.
+app.get('/api/admin/config',
+  authorize((req) => permissions.canViewConfig(req.user)),
+  (req, res) => {
+    res.json(describeConfig(config));
+  }
+);
+
+// SIGHUP re-reads the configuration file (a running process keeps its
+// environment) and applies what can change while running: rate limits,
+// logging and how C# backend instances are picked. Other changed settings
+// are reported and wait for a restart; an invalid configuration is reported
+// and the current one kept.
+const applyConfig = (values) => {
+  rateLimiter.setPolicies(rateLimitPolicies(values));
+  upstreams.setStrategy(values.backend.balancing);
+  logger.setLevel(values.log.level);
+  logger.setRedactFields(values.log.redactFields);
+};
+
+process.on('SIGHUP', () => {
+  let result;
+  try {
+    result = reloadConfig(config);
+  } catch (error) {
+    logger.error('configuration not reloaded', { problems: error.problems || [error.message] });
+    return;
+  }
+  config = result.config;
+  applyConfig(config.values);
+  logger.info('configuration reloaded', { changed: result.changed });
+  if (result.needsRestart.length > 0) {
+    logger.warn('changed settings take effect after a restart', { settings: result.needsRestart });
+  }
+});
+
+// Webhook subscriptions, admins only. The secret is only shown in the
+// answer to the create.
+const manageWebhooks = authorize((req) => permissions.canManageWebhooks(req.user));
+
+// Subscriptions are saved before answering; a failed save is a 500
+const webhookSaveFailed = (res, error) => {
+  logger.error('could not save webhooks', { error });
+  sendProblem(res, 500, 'Could not save the webhook subscriptions');
+};
+
+const findWebhook = (req, res, next) => {
+  req.webhook = webhooks.get(req.params.id);
+  if (!req.webhook) {
+    return sendProblem(res, 404, 'Webhook not found');
+  }
+  next();
+};
+
+app.get('/api/webhooks', manageWebhooks, (req, res) => {
+  const list = webhooks.list();
+  res.json({ webhooks: list, count: list.length });
+});
+
+app.post('/api/webhooks', manageWebhooks, validateBody(webhookSchema), async (req, res) => {
+  try {
+    const webhook = await webhooks.create(req.body, req.user);
+    logger.info('webhook created', { webhookId: webhook.id, url: webhook.url, events: webhook.events });
+    res.status(201).location(`/api/webhooks/${webhook.id}`).json(webhook);
+  } catch (error) {
+    webhookSaveFailed(res, error);
+  }
+});
+
+// Dead letters: deliveries that gave up, newest first. Declared before
+// /:id so 'dead-letters' is not taken for a webhook id.
+app.get('/api/webhooks/dead-letters', manageWebhooks, (req, res) => {
+  const deadLetters = webhooks.getDeadLetters();
+  res.json({ deadLetters, count: deadLetters.length });
+});
+
+app.post('/api/webhooks/dead-letters/:deliveryId/retry', manageWebhooks, (req, res) => {
+  const delivery = webhooks.redeliver(req.params.deliveryId);
+  if (!delivery) {
+    return sendProblem(res, 404, 'Dead letter not found');
+  }
+  res.status(202).json({ delivery });
+});
+
+app.delete('/api/webhooks/dead-letters/:deliveryId', manageWebhooks, (req, res) => {
+  if (!webhooks.discard(req.params.deliveryId)) {
+    return sendProblem(res, 404, 'Dead letter not found');
+  }
+  res.status(204).end();
+});
+
+app.get('/api/webhooks/:id', manageWebhooks, findWebhook, (req, res) => {
+  res.json(req.webhook);
+});
+
+app.patch('/api/webhooks/:id', manageWebhooks, validateBody(webhookPatchSchema), async (req, res) => {
+  try {
+    const webhook = await webhooks.update(req.params.id, req.body);
+    if (!webhook) {
+      return sendProblem(res, 404, 'Webhook not found');
+    }
+    res.json(webhook);
+  } catch (error) {
+    webhookSaveFailed(res, error);
+  }
+});
+
+app.delete('/api/webhooks/:id', manageWebhooks, async (req, res) => {
+  try {
+    if (!(await webhooks.remove(req.params.id))) {
+      return sendProblem(res, 404, 'Webhook not found');
+    }
+    logger.info('webhook deleted', { webhookId: req.params.id });
+    res.status(204).end();
+  } catch (error) {
+    webhookSaveFailed(res, error);
+  }
+});
+
+// Delivery log of one webhook: every attempt, newest first
+app.get('/api/webhooks/:id/deliveries', manageWebhooks, findWebhook, listQuery(DELIVERY_LIST_OPTIONS), (req, res) => {
+  const attempts = webhooks.getDeliveries(req.params.id);
+  const { items, ...pagination } = applyListQuery(attempts, { ...req.listQuery, paginate: true }, DELIVERY_LIST_OPTIONS);
+  res.json({ deliveries: items, count: items.length, ...pagination });
+});
+
+// Import/export configuration
+const IMPORT_MAX_BYTES = settings.import.maxBytes;
+const IMPORT_MAX_ROWS = settings.import.maxRows;
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: IMPORT_MAX_BYTES, files: 1 } });
+
+// Single file upload in the `file` field, with multer's errors turned into
+// 413/400 responses
+const importUpload = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+    sendProblem(res, tooLarge ? 413 : 400, tooLarge ? `Files can be at most ${IMPORT_MAX_BYTES} bytes` : error.message);
+  });
+};
+
+const entityParamError = (entity) =>
+  !ENTITIES[entity] && { field: 'entity', message: `entity must be one of: ${Object.keys(ENTITIES).join(', ')}` };
+
+// Streams every user or task (tasks with their assignee's name) as CSV,
+// JSON or NDJSON. Tasks can be narrowed with the same status/userId
+// filters as GET /api/tasks.
+app.get('/api/export', async (req, res) => {
+  const { entity, format = 'csv', status, userId } = req.query;
+  const fields = [
+    entityParamError(entity),
+    !FORMATS[format] && { field: 'format', message: `format must be one of: ${Object.keys(FORMATS).join(', ')}` }
+  ].filter(Boolean);
+  if (fields.length > 0) {
+    return sendProblem(res, 400, 'Invalid query parameters', { fields });
+  }
+
+  let records;
+  try {
+    if (entity === 'users') {
+      records = await backend.listUsers();
+    } else {
+      const [tasks, users] = await Promise.all([backend.listTasks({ status, userId }), backend.listUsers()]);
+      const names = new Map(users.map((user) => [user.id, user.name]));
+      records = tasks.map((task) => ({ ...task, userName: names.get(task.userId) ?? null }));
+    }
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.set({
+    'Content-Type': FORMATS[format],
+    'Content-Disposition': `attachment; filename="${entity}-${date}.${format}"`
+  });
+  await streamRecords(res, [...records].sort((a, b) => a.id - b.id), { entity, format });
+});
+
+// Checks one imported row: payload validation, that an updated record
+// exists, and the caller's permission for the create/update.
+const planImportRow = (entity, record, index, { current, seenIds, actor }) => {
+  const { id, data } = normalizeRecord(record, entity);
+  const { value, errors } = validate(entity === 'users' ? userSchema : taskSchema, data);
+  const row = { row: index + 1, action: id === null ? 'create' : 'update', id, data: value, errors };
+  const noun = entity === 'users' ? 'user' : 'task';
+
+  if (id !== null) {
+    if (!Number.isInteger(id)) {
+      errors.push({ field: 'id', message: 'ID must be an integer' });
+    } else if (seenIds.has(id)) {
+      errors.push({ field: 'id', message: `The same ${noun} appears more than once in this file` });
+    } else if (!current.has(id)) {
+      errors.push({ field: 'id', message: `No ${noun} with this ID` });
+    }
+    seenIds.add(id);
+  }
+  if (errors.length > 0) {
+    return row;
+  }
+
+  const existing = current.get(id);
+  if (existing && Object.keys(value).every((field) => value[field] === existing[field])) {
+    row.action = 'unchanged';
+    return row;
+  }
+  const decision = {
+    users: () => (existing ? permissions.canUpdateUser(actor, existing, value) : permissions.canCreateUser(actor)),
+    tasks: () => (existing ? permissions.canUpdateTask(actor, existing, value) : permissions.canCreateTask(actor, value))
+  }[entity]();
+  if (!decision.allowed) {
+    errors.push({ field: '', message: decision.reason || 'Forbidden' });
+  }
+  return row;
+};
+
+// Imports an uploaded CSV/JSON/NDJSON file. Rows with an `id` update that
+// record (unless nothing changed), rows without one are created. Every row
+// is checked first: with dryRun=true only that report is returned,
+// otherwise any invalid row rejects the whole file with 422 before anything
+// is written.
+app.post('/api/import', importUpload, async (req, res) => {
+  const entity = req.query.entity || req.body.entity;
+  const dryRun = [req.query.dryRun, req.body.dryRun].includes('true');
+  const entityError = entityParamError(entity);
+  if (entityError) {
+    return sendProblem(res, 400, 'Invalid query parameters', { fields: [entityError] });
+  }
+  if (!req.file) {
+    return sendProblem(res, 400, 'Upload the file in a multipart "file" field');
+  }
+
+  let records;
+  try {
+    records = parseImportFile(req.file);
+  } catch (error) {
+    return sendError(res, error);
   }
+  if (records.length === 0) {
+    return sendProblem(res, 400, 'The file contains no rows');
+  }
+  if (records.length > IMPORT_MAX_ROWS) {
+    return sendProblem(res, 413, `At most ${IMPORT_MAX_ROWS} rows can be imported at once`);
+  }
+
+  let current;
+  try {
+    const existing = entity === 'users' ? await backend.listUsers() : await backend.listTasks();
+    current = new Map(existing.map((item) => [item.id, item]));
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  const context = { current, seenIds: new Set(), actor: req.user };
+  const rows = records.map((record, index) => planImportRow(entity, record, index, context));
+  const errors = rows.flatMap((row) => row.errors.map((error) => ({ row: row.row, ...error })));
+  const summary = {
+    total: rows.length,
+    create: rows.filter((row) => row.action === 'create').length,
+    update: rows.filter((row) => row.action === 'update').length,
+    unchanged: rows.filter((row) => row.action === 'unchanged').length,
+    invalid: rows.filter((row) => row.errors.length > 0).length
+  };
+
+  if (dryRun) {
+    return res.json({ dryRun: true, valid: errors.length === 0, summary, errors });
+  }
+  if (errors.length > 0) {
+    return sendProblem(res, 422, 'The file has invalid rows; nothing was imported', { summary, errors });
+  }
+
+  const api = entity === 'users'
+    ? { create: backend.createUser, update: backend.updateUser }
+    : { create: backend.createTask, update: backend.updateTask };
+  const writes = rows.filter((row) => row.action !== 'unchanged');
+  const outcome = await runBulk(writes, async (row) =>
+    row.action === 'create'
+      ? { statusCode: 201, data: await api.create(row.data) }
+      : { statusCode: 200, data: await api.update(row.id, row.data) }
+  );
+
+  if (outcome.written.length > 0) {
+    (entity === 'users' ? invalidateUsers : invalidateTasks)();
+  }
+  const results = outcome.results.map(({ index, ...result }) => ({ row: writes[index].row, action: writes[index].action, ...result }));
+  const importSummary = { ...outcome.summary, total: rows.length, unchanged: summary.unchanged };
+  logger.info('import completed', { entity, ...importSummary });
+  res.status(outcome.summary.failed > 0 ? 207 : 200).json({ results, summary: importSummary });
+
+  const noun = entity === 'users' ? 'user' : 'task';
+  publishChanges(
+    outcome.results
+      .filter((result) => result.statusCode < 400)
+      .map(({ index, data }) => ({
+        type: `${noun}.${writes[index].action === 'create' ? 'created' : 'updated'}`,
+        payload: { [noun]: data },
+        before: current.get(data.id)
+      })),
+    req.user
+  );
+});
+
+// GraphQL over the same upstream calls (queries via GET or POST, mutations
+// via POST only). Loaders are created per request for batching.
+const graphql = graphqlHandler({
+  schema: createGraphQLSchema({
+    backend,
+    onChange: (type, payload, actor, before) => {
+      (type.startsWith('user.') ? invalidateUsers : invalidateTasks)();
+      publishChange(type, payload, actor, before);
+    }
+  }),
+  createContext: (req) => ({ user: req.user, loaders: createLoaders(backend) })
 });
+app.get('/graphql', authenticate, graphql);
+app.post('/graphql', authenticate, graphql);
 
-// Error handling middleware
+// Error handling middleware. Errors raised by Express itself (such as a
+// malformed JSON body) carry their status and a message safe to show.
 app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ error: 'Something went wrong!' });
+  if (res.headersSent) {
+    return next(err);
+  }
+  if (err.expose && err.status < 500) {
+    return sendProblem(res, err.status, err.message);
+  }
+  sendError(res, err);
 });
 
 // 404 handler
 app.use((req, res) => {
-  res.status(404).json({ error: 'Route not found' });
+  sendProblem(res, 404, `No route for ${req.method} ${req.path}`);
 });
 
-app.listen(PORT, () => {
-  console.log(`Node.js backend server running on http://localhost:${PORT}`);
-  console.log(`Connecting to C# backend at ${BACKEND_URL}`);
-  console.log(`Health check: http://localhost:${PORT}/health`);
+const start = async () => {
+  if (USE_MOCK_BACKEND) {
+    const mock = await startMockBackend({ port: settings.backend.mockPort, ...mockOptionsFromEnv() });
+    upstreams.add(mock.url);
+    logger.warn('using the built-in mock C# backend; data is in memory only', { faults: mock.faults.getState() });
+  }
+  upstreams.start();
+  app.listen(PORT, () => {
+    logger.info('Node.js backend server started', {
+      url: `http://localhost:${PORT}`,
+      backendUrls: upstreams.upstreams.map((upstream) => upstream.url),
+      balancing: upstreams.strategy,
+      healthCheck: `http://localhost:${PORT}/health`
+    });
+  });
+};
+
+start().catch((error) => {
+  logger.error('failed to start', { error });
+  process.exit(1);
 });
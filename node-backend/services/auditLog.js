@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const logger = require('./logger');
+
+// Append-only audit trail of every create, update, delete and restore made
+// through the gateway, one JSON object per line:
+//
+//   { "id": 12, "timestamp": "...", "requestId": "...",
+//     "actor": { "id": 4, "name": "Alice Admin", "role": "admin" },
+//     "entity": "task", "entityId": 3, "action": "update",
+//     "changes": { "status": { "from": "pending", "to": "completed" } } }
+//
+// `changes` lists only the fields that differ: every field from null for a
+// create or restore, every field to null for a delete. Only the newest
+// `memoryEntries` entries are kept in memory; a query that reaches further
+// back reads the older ones from the file. New entries are appended in
+// order by a single writer, so the file is never rewritten.
+const ENTITIES = ['user', 'task'];
+const ACTIONS = ['create', 'update', 'delete', 'restore'];
+const READ_CHUNK_BYTES = 64 * 1024;
+
+// Field-by-field difference between two versions of a record
+const diff = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  fields.delete('id');
+  for (const field of fields) {
+    const from = before ? before[field] ?? null : null;
+    const to = after ? after[field] ?? null : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+};
+
+const matches = (entry, { entity, entityId, actorId, action, field, requestId, since, until }) => {
+  if (entity && entry.entity !== entity) return false;
+  if (entityId !== undefined && entry.entityId !== entityId) return false;
+  if (actorId !== undefined && entry.actor?.id !== actorId) return false;
+  if (action && entry.action !== action) return false;
+  if (field && !Object.prototype.hasOwnProperty.call(entry.changes, field)) return false;
+  if (requestId && entry.requestId !== requestId) return false;
+  if (since && Date.parse(entry.timestamp) < since.getTime()) return false;
+  if (until && Date.parse(entry.timestamp) > until.getTime()) return false;
+  return true;
+};
+
+// Calls `onLine` with each line of the file, a chunk at a time, so the file
+// is never held in memory whole
+const forEachLineSync = (file, onLine) => {
+  const fd = fs.openSync(file, 'r');
+  const buffer = Buffer.alloc(READ_CHUNK_BYTES);
+  let rest = '';
+  try {
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      const lines = (rest + buffer.toString('utf8', 0, bytesRead)).split('\n');
+      rest = lines.pop();
+      lines.forEach(onLine);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  onLine(rest);
+};
+
+class AuditLog {
+  constructor({ file, memoryEntries = 10000 }) {
+    this.file = file;
+    this.memoryEntries = memoryEntries;
+    // The newest entries, oldest first
+    this.entries = [];
+    this.total = 0;
+    this.stats = { recorded: 0, writeErrors: 0, lastWriteError: null, fileReads: 0 };
+    this.writing = Promise.resolve();
+    this.load();
+  }
+
+  remember(entries) {
+    this.entries.push(...entries);
+    this.total += entries.length;
+    if (this.entries.length > this.memoryEntries) {
+      this.entries.splice(0, this.entries.length - this.memoryEntries);
+    }
+  }
+
+  // Reads the file once to count it and keep its tail. Unreadable lines
+  // (e.g. one cut short by a crash) are skipped
+  load() {
+    let skipped = 0;
+    try {
+      forEachLineSync(this.file, (line) => {
+        if (!line.trim()) return;
+        try {
+          this.remember([JSON.parse(line)]);
+        } catch (error) {
+          skipped++;
+        }
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    }
+    if (skipped > 0) {
+      logger.warn('skipped unreadable audit log lines', { file: this.file, skipped });
+    }
+    this.lastId = this.entries.length > 0 ? this.entries[this.entries.length - 1].id : 0;
+  }
+
+  // changes: [{ entity, action, before, after }]; the entry is kept in
+  // memory at once and written to the file in the background
+  record(changes, { actor, requestId }) {
+    const timestamp = new Date().toISOString();
+    const entries = changes.map(({ entity, action, before, after }) => ({
+      id: ++this.lastId,
+      timestamp,
+      requestId: requestId || null,
+      actor: actor ? { id: actor.id, name: actor.name, role: actor.role } : null,
+      entity,
+      entityId: (after || before).id,
+      action,
+      changes: diff(action === 'create' || action === 'restore' ? null : before, after)
+    }));
+    if (entries.length === 0) {
+      return entries;
+    }
+
+    this.remember(entries);
+    this.stats.recorded += entries.length;
+    const lines = entries.map((entry) => `${JSON.stringify(entry)}\n`).join('');
+    this.writing = this.writing
+      .then(() => fs.promises.appendFile(this.file, lines))
+      .catch((error) => {
+        this.stats.writeErrors++;
+        this.stats.lastWriteError = error.message;
+        logger.error('could not write audit log', { file: this.file, error });
+      });
+    return entries;
+  }
+
+  // Entries older than those in memory that match, oldest first, streamed
+  // from the file. Lines not yet written are all still in memory.
+  async olderMatches(filters) {
+    const before = this.entries.length > 0 ? this.entries[0].id : this.lastId + 1;
+    const found = [];
+    this.stats.fileReads++;
+    const lines = readline.createInterface({ input: fs.createReadStream(this.file), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+      if (entry.id >= before) break;
+      if (matches(entry, filters)) {
+        found.push(entry);
+      }
+    }
+    lines.close();
+    return found;
+  }
+
+  // Newest first. Filters: entity, entityId, actorId, action, field (a
+  // changed field), requestId, since and until (Date)
+  async query(filters = {}) {
+    const found = [];
+    for (let index = this.entries.length - 1; index >= 0; index--) {
+      if (matches(this.entries[index], filters)) {
+        found.push(this.entries[index]);
+      }
+    }
+    const oldest = this.entries[0];
+    const olderInFile = this.total > this.entries.length
+      && !(filters.since && oldest && Date.parse(oldest.timestamp) < filters.since.getTime());
+    if (olderInFile) {
+      found.push(...(await this.olderMatches(filters)).reverse());
+    }
+    return found;
+  }
+
+  getStats() {
+    return { file: this.file, entries: this.total, inMemory: this.entries.length, ...this.stats };
+  }
+}
+
+// Parses the /api/audit filters; same { value, errors } shape as
+// parseListQuery
+function parseAuditFilters(query) {
+  const errors = [];
+  const value = {};
+  const single = (name) => (typeof query[name] === 'string' ? query[name] : undefined);
+
+  const oneOf = (name, allowed) => {
+    const raw = single(name);
+    if (query[name] === undefined) return;
+    if (!allowed.includes(raw)) {
+      errors.push({ field: name, message: `${name} must be one of: ${allowed.join(', ')}` });
+    } else {
+      value[name] = raw;
+    }
+  };
+  const id = (name) => {
+    if (query[name] === undefined) return;
+    if (!/^\d+$/.test(single(name) || '')) {
+      errors.push({ field: name, message: `${name} must be a positive integer` });
+    } else {
+      value[name] = parseInt(query[name], 10);
+    }
+  };
+  const date = (name) => {
+    if (query[name] === undefined) return;
+    const parsed = new Date(single(name));
+    if (Number.isNaN(parsed.getTime())) {
+      errors.push({ field: name, message: `${name} must be an ISO 8601 date or time` });
+    } else {
+      value[name] = parsed;
+    }
+  };
+  const text = (name) => {
+    if (query[name] === undefined) return;
+    if (!single(name)) {
+      errors.push({ field: name, message: `${name} must be a non-empty string` });
+    } else {
+      value[name] = query[name];
+    }
+  };
+
+  oneOf('entity', ENTITIES);
+  oneOf('action', ACTIONS);
+  id('entityId');
+  id('actorId');
+  text('field');
+  text('requestId');
+  date('since');
+  date('until');
+  return { value, errors };
+}
+
+module.exports = { AuditLog, parseAuditFilters, AUDIT_ENTITIES: ENTITIES, AUDIT_ACTIONS: ACTIONS };
@@ -0,0 +1,56 @@
+// The C# backend's user/task/stats endpoints, shared by the REST routes and
+// the GraphQL resolvers so both make exactly the same upstream calls.
+// `makeRequest` is the gateway's retrying, circuit-broken request function.
+function createBackendApi(makeRequest) {
+  const listTasks = async ({ status, userId } = {}) => {
+    const params = new URLSearchParams();
+    if (status) params.append('status', status);
+    if (userId) params.append('userId', userId);
+    const query = params.toString();
+    const { tasks = [] } = await makeRequest(`/api/tasks${query ? `?${query}` : ''}`);
+    return tasks;
+  };
+
+  return {
+    listUsers: async () => {
+      const { users = [] } = await makeRequest('/api/users');
+      return users;
+    },
+
+    getUser: (id) => makeRequest(`/api/users/${id}`),
+
+    createUser: (data) => makeRequest('/api/users', { method: 'POST', body: data }),
+
+    updateUser: (id, data) => makeRequest(`/api/users/${id}`, { method: 'PUT', body: data }),
+
+    // Deletes are soft: a deleted user or task can be restored with its ID
+    deleteUser: (id) => makeRequest(`/api/users/${id}`, { method: 'DELETE' }),
+
+    restoreUser: (id) => makeRequest(`/api/users/${id}/restore`, { method: 'POST' }),
+
+    listTasks,
+
+    // The C# backend has no single-task lookup, so find it in the full list
+    getTask: async (id) => {
+      const task = (await listTasks()).find((t) => t.id === parseInt(id, 10));
+      if (!task) {
+        const error = new Error('Task not found');
+        error.statusCode = 404;
+        throw error;
+      }
+      return task;
+    },
+
+    createTask: (data) => makeRequest('/api/tasks', { method: 'POST', body: data }),
+
+    updateTask: (id, data) => makeRequest(`/api/tasks/${id}`, { method: 'PUT', body: data }),
+
+    deleteTask: (id) => makeRequest(`/api/tasks/${id}`, { method: 'DELETE' }),
+
+    restoreTask: (id) => makeRequest(`/api/tasks/${id}/restore`, { method: 'POST' }),
+
+    getStats: () => makeRequest('/api/stats')
+  };
+}
+
+module.exports = { createBackendApi };
@@ -0,0 +1,61 @@
+// Per-request batching and deduplication of upstream lookups.
+//
+// Every load() made while a request is being resolved is queued and handed
+// to `batchFn` in one go on the next turn of the event loop, so resolving a
+// field for N parent objects costs one upstream call instead of N. Keys
+// seen before return the same promise. `batchFn(keys)` must resolve to an
+// array of results in key order; an Error entry rejects only that key.
+class BatchLoader {
+  constructor(batchFn, { cacheKey = (key) => key } = {}) {
+    this.batchFn = batchFn;
+    this.cacheKey = cacheKey;
+    this.cache = new Map();
+    this.queue = [];
+  }
+
+  load(key) {
+    const cacheKey = this.cacheKey(key);
+    if (this.cache.has(cacheKey)) {
+      return this.cache.get(cacheKey);
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      this.queue.push({ key, resolve, reject });
+    });
+    this.cache.set(cacheKey, promise);
+
+    if (this.queue.length === 1) {
+      setImmediate(() => this.dispatch());
+    }
+    return promise;
+  }
+
+  // Seeds the cache with a value fetched some other way (e.g. from a list)
+  prime(key, value) {
+    const cacheKey = this.cacheKey(key);
+    if (!this.cache.has(cacheKey)) {
+      this.cache.set(cacheKey, Promise.resolve(value));
+    }
+  }
+
+  async dispatch() {
+    const batch = this.queue;
+    this.queue = [];
+
+    try {
+      const results = await this.batchFn(batch.map((item) => item.key));
+      batch.forEach((item, index) => {
+        const result = results[index];
+        if (result instanceof Error) {
+          item.reject(result);
+        } else {
+          item.resolve(result);
+        }
+      });
+    } catch (error) {
+      batch.forEach((item) => item.reject(error));
+    }
+  }
+}
+
+module.exports = BatchLoader;
@@ -0,0 +1,134 @@
+const logger = require('./logger');
+
+// Circuit breaker for calls to the C# backend (one per instance, named by
+// its URL in the logs).
+//
+// closed    - calls pass through; consecutive failures are counted
+// open      - calls fail fast with CircuitOpenError until resetTimeoutMs passes
+// half-open - a limited number of probe calls are let through; one success
+//             closes the circuit again, one failure re-opens it
+class CircuitOpenError extends Error {
+  constructor(retryAt) {
+    super('C# backend is unavailable (circuit breaker open). Please try again later.');
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.statusCode = 503;
+    this.retryAt = retryAt;
+  }
+}
+
+class CircuitBreaker {
+  constructor({
+    failureThreshold = 5,
+    resetTimeoutMs = 30000,
+    halfOpenMaxCalls = 1,
+    isFailure = () => true,
+    name = null
+  } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.halfOpenMaxCalls = halfOpenMaxCalls;
+    this.isFailure = isFailure;
+
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.halfOpenCalls = 0;
+    this.openedAt = null;
+    this.lastFailure = null;
+    this.counts = {
+      successes: 0,
+      failures: 0,
+      rejected: 0,
+      trips: 0
+    };
+  }
+
+  async execute(fn) {
+    this.beforeCall();
+
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.onFailure(error);
+      } else {
+        this.onSuccess();
+      }
+      throw error;
+    }
+  }
+
+  beforeCall() {
+    if (this.state === 'open') {
+      const retryAt = this.openedAt + this.resetTimeoutMs;
+      if (Date.now() < retryAt) {
+        this.counts.rejected++;
+        throw new CircuitOpenError(new Date(retryAt).toISOString());
+      }
+      this.transition('half-open');
+    }
+
+    if (this.state === 'half-open') {
+      if (this.halfOpenCalls >= this.halfOpenMaxCalls) {
+        this.counts.rejected++;
+        throw new CircuitOpenError(new Date(Date.now() + this.resetTimeoutMs).toISOString());
+      }
+      this.halfOpenCalls++;
+    }
+  }
+
+  onSuccess() {
+    this.counts.successes++;
+    this.consecutiveFailures = 0;
+    if (this.state === 'half-open') {
+      this.transition('closed');
+    }
+  }
+
+  onFailure(error) {
+    this.counts.failures++;
+    this.consecutiveFailures++;
+    this.lastFailure = {
+      message: error.message,
+      at: new Date().toISOString()
+    };
+
+    if (this.state === 'half-open' ||
+        (this.state === 'closed' && this.consecutiveFailures >= this.failureThreshold)) {
+      this.counts.trips++;
+      this.transition('open');
+    }
+  }
+
+  transition(state) {
+    if (this.state !== state) {
+      logger.warn('circuit breaker state change', { ...(this.name && { upstream: this.name }), from: this.state, to: state });
+    }
+    this.state = state;
+    this.halfOpenCalls = 0;
+    this.openedAt = state === 'open' ? Date.now() : null;
+  }
+
+  // False while open and calls would be refused
+  allowsCalls() {
+    return this.state !== 'open' || Date.now() >= this.openedAt + this.resetTimeoutMs;
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      resetTimeoutMs: this.resetTimeoutMs,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.openedAt ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null,
+      lastFailure: this.lastFailure,
+      ...this.counts
+    };
+  }
+}
+
+module.exports = { CircuitBreaker, CircuitOpenError };
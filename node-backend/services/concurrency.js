@@ -0,0 +1,25 @@
+// Maps `items` through the async `fn(item, index)` with at most `limit`
+// calls in flight, resolving to the results in input order. `fn` should
+// handle its own errors; a rejection stops no other calls but rejects the
+// whole map once everything in flight has settled.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  const settled = await Promise.allSettled(workers);
+  const failure = settled.find((outcome) => outcome.status === 'rejected');
+  if (failure) {
+    throw failure.reason;
+  }
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,306 @@
+const fs = require('fs');
+const path = require('path');
+
+// Gateway configuration, merged from three layers (later ones win):
+//
+//   1. the defaults below
+//   2. a JSON file (CONFIG_FILE, default config.json next to server.js;
+//      optional unless CONFIG_FILE names it), nested by the dotted keys:
+//      { "rateLimit": { "default": { "capacity": 300 } } }
+//   3. environment variables (including those from .env), named below
+//
+// Every value is checked against its setting at startup and all problems
+// are reported together. Settings marked `reloadable` are re-read on
+// SIGHUP; the others need a restart. `secret` ones are never shown.
+const DEFAULT_FILE = path.join(__dirname, '..', 'config.json');
+
+const SETTINGS = {
+  port: { env: 'PORT', type: 'integer', min: 1, max: 65535, default: 3000 },
+  'backend.urls': { env: 'BACKEND_URL', type: 'list', default: ['http://localhost:8080'], check: isBackendList },
+  'backend.mockPort': { env: 'MOCK_PORT', type: 'integer', min: 0, max: 65535, default: 0 },
+  'backend.balancing': { env: 'BACKEND_BALANCING', type: 'enum', values: ['round-robin', 'least-outstanding'], default: 'round-robin', reloadable: true },
+  'backend.healthCheckIntervalMs': { env: 'BACKEND_HEALTH_CHECK_INTERVAL_MS', type: 'integer', min: 100, default: 5000 },
+  'backend.ejectAfterFailures': { env: 'BACKEND_EJECT_AFTER_FAILURES', type: 'integer', min: 1, default: 3 },
+  'backend.readmitAfterChecks': { env: 'BACKEND_READMIT_AFTER_CHECKS', type: 'integer', min: 1, default: 2 },
+
+  'upstream.timeoutMs': { env: 'UPSTREAM_TIMEOUT_MS', type: 'integer', min: 1, default: 10000 },
+  'upstream.retries': { env: 'UPSTREAM_RETRIES', type: 'integer', min: 0, max: 10, default: 2 },
+  'upstream.retryBaseDelayMs': { env: 'UPSTREAM_RETRY_BASE_DELAY_MS', type: 'integer', min: 0, default: 200 },
+  'upstream.retryMaxDelayMs': { env: 'UPSTREAM_RETRY_MAX_DELAY_MS', type: 'integer', min: 0, default: 2000 },
+  'circuitBreaker.failureThreshold': { env: 'CIRCUIT_FAILURE_THRESHOLD', type: 'integer', min: 1, default: 5 },
+  'circuitBreaker.resetTimeoutMs': { env: 'CIRCUIT_RESET_TIMEOUT_MS', type: 'integer', min: 1, default: 30000 },
+
+  'cors.origins': { env: 'CORS_ORIGINS', type: 'list', default: ['*'], check: (origins) => origins.every((origin) => origin === '*' || isOrigin(origin)) || 'must be "*" or origins like https://app.example.com' },
+
+  'rateLimit.store': { env: 'RATE_LIMIT_STORE', type: 'enum', values: ['memory', 'redis'], default: 'memory' },
+  'rateLimit.redisUrl': { env: 'REDIS_URL', type: 'string', default: 'redis://localhost:6379', secret: true, check: (value) => /^rediss?:\/\//.test(value) || 'must be a redis:// or rediss:// URL' },
+  'rateLimit.maxBuckets': { env: 'RATE_LIMIT_MAX_BUCKETS', type: 'integer', min: 1, default: 100000 },
+  'rateLimit.default.capacity': { env: 'RATE_LIMIT_CAPACITY', type: 'integer', min: 1, default: 200, reloadable: true },
+  'rateLimit.default.perMinute': { env: 'RATE_LIMIT_PER_MINUTE', type: 'integer', min: 1, default: 120, reloadable: true },
+  'rateLimit.anonymous.capacity': { env: 'RATE_LIMIT_ANONYMOUS_CAPACITY', type: 'integer', min: 1, default: 60, reloadable: true },
+  'rateLimit.anonymous.perMinute': { env: 'RATE_LIMIT_ANONYMOUS_PER_MINUTE', type: 'integer', min: 1, default: 30, reloadable: true },
+  'rateLimit.write.capacity': { env: 'RATE_LIMIT_WRITE_CAPACITY', type: 'integer', min: 1, default: 60, reloadable: true },
+  'rateLimit.write.perMinute': { env: 'RATE_LIMIT_WRITE_PER_MINUTE', type: 'integer', min: 1, default: 30, reloadable: true },
+  'rateLimit.auth.capacity': { env: 'RATE_LIMIT_AUTH_CAPACITY', type: 'integer', min: 1, default: 10, reloadable: true },
+  'rateLimit.auth.perMinute': { env: 'RATE_LIMIT_AUTH_PER_MINUTE', type: 'integer', min: 1, default: 5, reloadable: true },
+
+  'log.level': { env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info', reloadable: true },
+  'log.redactFields': { env: 'LOG_REDACT_FIELDS', type: 'list', default: ['email', 'password', 'accessToken', 'refreshToken', 'authorization'], reloadable: true },
+
+  'auth.jwtSecret': { env: 'JWT_SECRET', type: 'string', default: null, secret: true, check: (value) => value.length >= 16 || 'must be at least 16 characters' },
+  'auth.accessTokenTtl': { env: 'ACCESS_TOKEN_TTL', type: 'string', default: '15m', check: isDuration },
+  'auth.refreshTokenTtl': { env: 'REFRESH_TOKEN_TTL', type: 'string', default: '7d', check: isDuration },
+  'auth.credentialsFile': { env: 'CREDENTIALS_FILE', type: 'string', default: path.join(__dirname, '..', 'data', 'credentials.json') },
+  'auth.devLogin': { env: 'AUTH_DEV_LOGIN', type: 'boolean', default: false },
+  requireIfMatch: { env: 'REQUIRE_IF_MATCH', type: 'boolean', default: false },
+  openapiValidation: { env: 'OPENAPI_VALIDATION', type: 'enum', values: ['off', 'log', 'enforce'], default: 'off' },
+
+  'idempotency.ttlMs': { env: 'IDEMPOTENCY_TTL_MS', type: 'integer', min: 1, default: 24 * 60 * 60 * 1000 },
+  'idempotency.maxKeys': { env: 'IDEMPOTENCY_MAX_KEYS', type: 'integer', min: 1, default: 10000 },
+  'bulk.maxItems': { env: 'BULK_MAX_ITEMS', type: 'integer', min: 1, default: 100 },
+  'bulk.concurrency': { env: 'BULK_CONCURRENCY', type: 'integer', min: 1, default: 5 },
+  'import.maxBytes': { env: 'IMPORT_MAX_BYTES', type: 'integer', min: 1, default: 5 * 1024 * 1024 },
+  'import.maxRows': { env: 'IMPORT_MAX_ROWS', type: 'integer', min: 1, default: 1000 },
+  'undo.windowMs': { env: 'DELETE_UNDO_WINDOW_MS', type: 'integer', min: 1, default: 30000 },
+
+  'audit.file': { env: 'AUDIT_LOG_FILE', type: 'string', default: path.join(__dirname, '..', 'data', 'audit.jsonl') },
+  'audit.memoryEntries': { env: 'AUDIT_MEMORY_ENTRIES', type: 'integer', min: 1, default: 10000 },
+  'webhooks.file': { env: 'WEBHOOKS_FILE', type: 'string', default: path.join(__dirname, '..', 'data', 'webhooks.json') },
+  'webhooks.timeoutMs': { env: 'WEBHOOK_TIMEOUT_MS', type: 'integer', min: 1, default: 5000 },
+  'webhooks.maxAttempts': { env: 'WEBHOOK_MAX_ATTEMPTS', type: 'integer', min: 1, default: 5 },
+  'webhooks.retryBaseDelayMs': { env: 'WEBHOOK_RETRY_BASE_DELAY_MS', type: 'integer', min: 0, default: 1000 },
+  'webhooks.retryMaxDelayMs': { env: 'WEBHOOK_RETRY_MAX_DELAY_MS', type: 'integer', min: 0, default: 60000 },
+  'webhooks.concurrency': { env: 'WEBHOOK_CONCURRENCY', type: 'integer', min: 1, default: 10 },
+
+  'health.checkTimeoutMs': { env: 'HEALTH_CHECK_TIMEOUT_MS', type: 'integer', min: 1, default: 2000 },
+  'health.degradedLatencyMs': { env: 'HEALTH_DEGRADED_LATENCY_MS', type: 'integer', min: 1, default: 1000 },
+  'health.cacheMs': { env: 'HEALTH_CACHE_MS', type: 'integer', min: 0, default: 5000 },
+  'build.commit': { env: 'GIT_COMMIT', type: 'string', default: null },
+  'build.time': { env: 'BUILD_TIME', type: 'string', default: null }
+};
+
+const REDACTED = '[REDACTED]';
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function isOrigin(value) {
+  return isHttpUrl(value) && new URL(value).origin === value;
+}
+
+// One or more C# backend instances, or just "mock"
+function isBackendList(urls) {
+  if (urls.length === 1 && urls[0] === 'mock') {
+    return true;
+  }
+  return (urls.length > 0 && urls.every(isHttpUrl) && new Set(urls).size === urls.length)
+    || 'must be distinct http(s) URLs (comma-separated) or "mock"';
+}
+
+// jsonwebtoken's expiresIn: seconds, or a number with a unit such as 15m
+function isDuration(value) {
+  return /^\d+(\.\d+)?\s*(ms|s|m|h|d|w|y)?$/.test(value) || 'must be a duration such as 900, 15m or 7d';
+}
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Reads a value of `setting` as given in the environment (always a string)
+// or the file (JSON types); returns { value } or { error }
+function parseValue(setting, raw, fromEnv) {
+  let value = raw;
+  switch (setting.type) {
+    case 'integer':
+      if (fromEnv) {
+        value = /^-?\d+$/.test(raw.trim()) ? parseInt(raw, 10) : NaN;
+      }
+      if (!Number.isInteger(value)) {
+        return { error: 'must be an integer' };
+      }
+      if (setting.min !== undefined && value < setting.min) {
+        return { error: `must be at least ${setting.min}` };
+      }
+      if (setting.max !== undefined && value > setting.max) {
+        return { error: `must be at most ${setting.max}` };
+      }
+      break;
+    case 'boolean':
+      if (fromEnv) {
+        value = { true: true, false: false }[raw.trim()];
+      }
+      if (typeof value !== 'boolean') {
+        return { error: 'must be true or false' };
+      }
+      break;
+    case 'list':
+      if (fromEnv) {
+        value = raw.split(',').map((item) => item.trim()).filter(Boolean);
+      }
+      if (!Array.isArray(value) || !value.every((item) => typeof item === 'string')) {
+        return { error: 'must be a list of strings' };
+      }
+      break;
+    case 'enum':
+      if (!setting.values.includes(value)) {
+        return { error: `must be one of: ${setting.values.join(', ')}` };
+      }
+      break;
+    default:
+      if (typeof value !== 'string' || value === '') {
+        return { error: 'must be a non-empty string' };
+      }
+  }
+
+  const checked = setting.check ? setting.check(value) : true;
+  return checked === true ? { value } : { error: checked };
+}
+
+// Flattens the file's nested objects into dotted keys; unknown keys are
+// reported rather than ignored, since they are usually typos
+function flattenFile(data, problems, file, prefix = '') {
+  const values = {};
+  for (const [key, value] of Object.entries(data)) {
+    const dotted = prefix ? `${prefix}.${key}` : key;
+    if (SETTINGS[dotted]) {
+      values[dotted] = value;
+    } else if (value && typeof value === 'object' && !Array.isArray(value)
+      && Object.keys(SETTINGS).some((name) => name.startsWith(`${dotted}.`))) {
+      Object.assign(values, flattenFile(value, problems, file, dotted));
+    } else {
+      problems.push(`${dotted} (${file}): unknown setting`);
+    }
+  }
+  return values;
+}
+
+function readFile(file, required, problems) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !required) {
+      return null;
+    }
+    problems.push(`${file}: cannot be read (${error.message})`);
+    return null;
+  }
+  try {
+    const data = JSON.parse(content);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('expected a JSON object');
+    }
+    return flattenFile(data, problems, path.basename(file));
+  } catch (error) {
+    problems.push(`${file}: is not valid JSON (${error.message})`);
+    return null;
+  }
+}
+
+const setPath = (target, dotted, value) => {
+  const keys = dotted.split('.');
+  const last = keys.pop();
+  let node = target;
+  for (const key of keys) {
+    node = node[key] = node[key] || {};
+  }
+  node[last] = value;
+};
+
+// Returns { values, flat, sources, file, loadedAt }: `values` nested by the
+// dotted keys, `sources` saying where each came from. Throws a ConfigError
+// listing every invalid value.
+function loadConfig({ env = process.env } = {}) {
+  const problems = [];
+  const file = env.CONFIG_FILE || DEFAULT_FILE;
+  const fileValues = readFile(file, Boolean(env.CONFIG_FILE), problems) || {};
+
+  const flat = {};
+  const sources = {};
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    flat[key] = setting.default;
+    sources[key] = 'default';
+
+    const layers = [
+      [fileValues[key], path.basename(file), false],
+      [env[setting.env], setting.env, true]
+    ];
+    for (const [raw, source, fromEnv] of layers) {
+      // An empty variable counts as unset, except for lists where it is
+      // the way to give an empty one
+      if (raw === undefined || (fromEnv && raw === '' && setting.type !== 'list')) continue;
+      const { value, error } = parseValue(setting, raw, fromEnv);
+      if (error) {
+        const got = setting.secret ? '' : `, got ${JSON.stringify(raw)}`;
+        problems.push(`${fromEnv ? source : `${key} (${source})`}: ${error}${got}`);
+        continue;
+      }
+      flat[key] = value;
+      sources[key] = fromEnv ? `env ${source}` : source;
+    }
+  }
+
+  if (flat['upstream.retryMaxDelayMs'] < flat['upstream.retryBaseDelayMs']) {
+    problems.push('upstream.retryMaxDelayMs: must not be less than upstream.retryBaseDelayMs');
+  }
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  const values = {};
+  Object.entries(flat).forEach(([key, value]) => setPath(values, key, value));
+  return { values, flat, sources, file, loadedAt: new Date().toISOString() };
+}
+
+// Loads the configuration again and keeps only the reloadable changes.
+// Returns { config, changed, needsRestart } where the last two list
+// dotted keys; throws a ConfigError (leaving `current` in force) when the
+// new configuration is invalid.
+function reloadConfig(current, options) {
+  const next = loadConfig(options);
+  const changed = [];
+  const needsRestart = [];
+  const flat = { ...current.flat };
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    if (JSON.stringify(next.flat[key]) === JSON.stringify(current.flat[key])) continue;
+    if (setting.reloadable) {
+      flat[key] = next.flat[key];
+      changed.push(key);
+    } else {
+      needsRestart.push(key);
+    }
+  }
+
+  const values = {};
+  Object.entries(flat).forEach(([key, value]) => setPath(values, key, value));
+  const sources = { ...current.sources, ...Object.fromEntries(changed.map((key) => [key, next.sources[key]])) };
+  return {
+    config: { values, flat, sources, file: current.file, loadedAt: next.loadedAt },
+    changed,
+    needsRestart
+  };
+}
+
+// What GET /api/admin/config shows: every setting with its value (secrets
+// masked when set), where it came from and whether SIGHUP reloads it
+function describeConfig(config) {
+  const settings = Object.entries(SETTINGS).map(([key, setting]) => ({
+    key,
+    env: setting.env,
+    value: setting.secret && config.flat[key] !== null ? REDACTED : config.flat[key],
+    source: config.sources[key],
+    reloadable: Boolean(setting.reloadable)
+  }));
+  return { file: config.file, loadedAt: config.loadedAt, settings };
+}
+
+module.exports = { SETTINGS, ConfigError, loadConfig, reloadConfig, describeConfig };
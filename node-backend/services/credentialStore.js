@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Sign-in passwords, kept by the gateway since the C# backend has none.
+//
+// Stored in a JSON file keyed by user ID as scrypt hashes with a random
+// salt per password; the passwords themselves are never written anywhere.
+// Saves work like the webhook subscriptions: a temporary file renamed over
+// the old one, one change at a time.
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Hashed against when a user has no password, so a sign-in takes about
+// as long whether or not the account exists
+const DUMMY = { salt: crypto.randomBytes(16).toString('hex'), hash: '0'.repeat(KEY_LENGTH * 2) };
+
+const hashPassword = async (password, salt) =>
+  (await scrypt(password, Buffer.from(salt, 'hex'), KEY_LENGTH)).toString('hex');
+
+class CredentialStore {
+  constructor({ file }) {
+    this.file = file;
+    this.credentials = {};
+    this.saving = Promise.resolve();
+    this.load();
+  }
+
+  load() {
+    let content;
+    try {
+      content = fs.readFileSync(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      return;
+    }
+    this.credentials = JSON.parse(content);
+  }
+
+  has(userId) {
+    return Boolean(this.credentials[userId]);
+  }
+
+  // Resolves to true only when the user has a password and it matches
+  async verify(userId, password) {
+    const stored = this.credentials[userId] || DUMMY;
+    const hash = await hashPassword(typeof password === 'string' ? password : '', stored.salt);
+    const matches = crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(stored.hash, 'hex'));
+    return matches && stored !== DUMMY;
+  }
+
+  // Resolves once the new password is saved
+  async set(userId, password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const entry = { salt, hash: await hashPassword(password, salt), updatedAt: new Date().toISOString() };
+    const changed = this.saving.then(async () => {
+      const next = { ...this.credentials, [userId]: entry };
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      const temporary = `${this.file}.tmp`;
+      await fs.promises.writeFile(temporary, JSON.stringify(next, null, 2), { mode: 0o600 });
+      await fs.promises.rename(temporary, this.file);
+      this.credentials = next;
+    });
+    this.saving = changed.catch(() => {});
+    return changed;
+  }
+}
+
+// Same { value, errors } shape as the other body parsers
+function parsePasswordChange(body) {
+  const errors = [];
+  const { password, currentPassword } = body || {};
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    errors.push({ field: 'password', message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  if (currentPassword !== undefined && typeof currentPassword !== 'string') {
+    errors.push({ field: 'currentPassword', message: 'currentPassword must be a string' });
+  }
+  return { value: { password, currentPassword }, errors };
+}
+
+module.exports = { CredentialStore, parsePasswordChange, MIN_PASSWORD_LENGTH };
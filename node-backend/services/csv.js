@@ -0,0 +1,80 @@
+// Minimal RFC 4180 CSV writing and parsing for import/export.
+//
+// Cells that a spreadsheet would evaluate as a formula (leading =, +, -, @)
+// are written with a leading apostrophe, which parseCsv strips again so an
+// exported file can be imported unchanged.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => `${values.map(escapeCell).join(',')}\r\n`;
+
+const unescapeFormula = (text) => (text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text);
+
+// Parses CSV text into an array of records keyed by the header row. Blank
+// lines are skipped. Throws on an unterminated quoted cell.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // Excel adds a BOM
+
+  const endCell = () => {
+    row.push(unescapeFormula(cell));
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted value in CSV');
+  }
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+
+  const [header = [], ...records] = rows;
+  const columns = header.map((name) => name.trim());
+  return records.map((values) =>
+    Object.fromEntries(columns.map((column, index) => [column, values[index] ?? '']))
+  );
+}
+
+module.exports = { toCsvRow, parseCsv };
@@ -0,0 +1,129 @@
+const { toCsvRow, parseCsv } = require('./csv');
+
+// Column layout of exported files per entity. `derived` columns are added
+// on export for readability (the assignee's name next to the task) and
+// ignored on import, so an export can be edited and imported back.
+const ENTITIES = {
+  users: { columns: ['id', 'name', 'email', 'role'], integers: ['id'], derived: [] },
+  tasks: { columns: ['id', 'title', 'status', 'userId', 'userName'], integers: ['id', 'userId'], derived: ['userName'] }
+};
+
+const FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+const badRequest = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+// Resolves with true once the response has room for more data, or with
+// false when it is closed (e.g. the client went away) or fails first
+const drained = (res) => new Promise((resolve) => {
+  const settle = (writable) => () => {
+    res.off('drain', onDrain);
+    res.off('close', onClose);
+    res.off('error', onClose);
+    resolve(writable);
+  };
+  const onDrain = settle(true);
+  const onClose = settle(false);
+  res.on('drain', onDrain);
+  res.on('close', onClose);
+  res.on('error', onClose);
+});
+
+// Writes `records` to the response one row at a time, waiting for the
+// socket to drain when the client reads slower than we write. Stops as
+// soon as the response is closed.
+async function streamRecords(res, records, { entity, format }) {
+  const { columns } = ENTITIES[entity];
+  const pick = (record) => Object.fromEntries(columns.map((column) => [column, record[column] ?? null]));
+
+  const chunks = {
+    csv: {
+      head: toCsvRow(columns),
+      row: (record) => toCsvRow(columns.map((column) => record[column])),
+      tail: ''
+    },
+    json: {
+      head: '[',
+      row: (record, index) => `${index > 0 ? ',' : ''}\n${JSON.stringify(pick(record))}`,
+      tail: '\n]\n'
+    },
+    ndjson: {
+      head: '',
+      row: (record) => `${JSON.stringify(pick(record))}\n`,
+      tail: ''
+    }
+  }[format];
+
+  res.write(chunks.head);
+  for (let index = 0; index < records.length; index++) {
+    if (res.destroyed) {
+      return;
+    }
+    if (!res.write(chunks.row(records[index], index)) && !(await drained(res))) {
+      return;
+    }
+  }
+  res.end(chunks.tail);
+}
+
+// Reads an uploaded file (multer memory storage) into plain records. The
+// format comes from the file extension, falling back to the MIME type.
+function parseImportFile(file) {
+  const extension = (file.originalname.match(/\.([a-z]+)$/i) || [])[1];
+  const format = (extension && extension.toLowerCase()) ||
+    (file.mimetype && Object.keys(FORMATS).find((name) => FORMATS[name].startsWith(file.mimetype)));
+  const text = file.buffer.toString('utf8');
+
+  try {
+    if (format === 'csv') {
+      return parseCsv(text);
+    }
+    if (format === 'json') {
+      const records = JSON.parse(text);
+      if (!Array.isArray(records)) {
+        throw new Error('JSON imports must contain an array of objects');
+      }
+      return records;
+    }
+    if (format === 'ndjson') {
+      return text.split(/\r?\n/).filter((line) => line.trim() !== '').map((line) => JSON.parse(line));
+    }
+  } catch (error) {
+    throw badRequest(`Could not parse ${format.toUpperCase()} file: ${error.message}`);
+  }
+
+  throw badRequest('Unsupported file type; upload a .csv, .json or .ndjson file');
+}
+
+// Splits an imported record into its id (null for new rows) and the
+// payload to validate. CSV cells are all strings, so integer columns are
+// converted when they look like integers (anything else is left for
+// validation to reject); derived columns are dropped.
+function normalizeRecord(record, entity) {
+  if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+    return { id: null, data: record };
+  }
+
+  const { integers, derived } = ENTITIES[entity];
+  const data = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (derived.includes(key)) continue;
+    data[key] = integers.includes(key) && typeof value === 'string' && /^\s*\d+\s*$/.test(value)
+      ? parseInt(value, 10)
+      : value;
+  }
+
+  const { id = null, ...payload } = data;
+  return { id: id === '' ? null : id, data: payload };
+}
+
+module.exports = {
+  ENTITIES,
+  FORMATS,
+  streamRecords,
+  parseImportFile,
+  normalizeRecord
+};
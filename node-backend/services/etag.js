@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+// Strong ETag for a JSON-serialisable value. The C# backend returns the
+// same object for a user or task whether it is fetched alone or as part of
+// a list, so a resource's ETag does not depend on how it was loaded.
+const etagFor = (value) =>
+  `"${crypto.createHash('sha1').update(JSON.stringify(value)).digest('base64url')}"`;
+
+// Whether an If-Match / If-None-Match header value matches `etag`. `*`
+// matches anything. If-None-Match uses weak comparison (W/ prefixes are
+// ignored); If-Match uses strong comparison, where weak tags never match.
+const etagMatches = (header, etag, { weak = false } = {}) => {
+  if (!header) {
+    return false;
+  }
+  return header.split(',').some((candidate) => {
+    const tag = candidate.trim();
+    if (tag === '*') {
+      return true;
+    }
+    if (tag.startsWith('W/')) {
+      return weak && tag.slice(2) === etag;
+    }
+    return tag === etag;
+  });
+};
+
+module.exports = { etagFor, etagMatches };
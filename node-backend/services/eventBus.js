@@ -0,0 +1,63 @@
+const { EventEmitter } = require('events');
+
+// In-process publisher for user/task change events.
+//
+// Every event gets a monotonically increasing numeric id and is kept in a
+// fixed-size ring buffer, so a client that reconnects with the last id it
+// saw can be sent what it missed. If that id has already fallen out of the
+// buffer the client is told to resync (reload its data) instead.
+class ChangeEventBus extends EventEmitter {
+  constructor({ bufferSize = 500 } = {}) {
+    super();
+    this.setMaxListeners(0);
+    this.bufferSize = bufferSize;
+    this.buffer = [];
+    this.lastId = 0;
+  }
+
+  publish(type, data) {
+    const event = {
+      id: ++this.lastId,
+      type,
+      timestamp: new Date().toISOString(),
+      ...data
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    this.emit('event', event);
+    return event;
+  }
+
+  // Events published after `lastId`, or null when some of them are no
+  // longer buffered.
+  since(lastId) {
+    if (lastId >= this.lastId) {
+      return [];
+    }
+    const oldestBuffered = this.buffer.length ? this.buffer[0].id : this.lastId + 1;
+    if (lastId < oldestBuffered - 1) {
+      return null;
+    }
+    return this.buffer.filter((event) => event.id > lastId);
+  }
+
+  subscribe(listener) {
+    this.on('event', listener);
+    return () => this.off('event', listener);
+  }
+
+  getStats() {
+    return {
+      subscribers: this.listenerCount('event'),
+      lastEventId: this.lastId,
+      buffered: this.buffer.length,
+      bufferSize: this.bufferSize
+    };
+  }
+}
+
+module.exports = ChangeEventBus;
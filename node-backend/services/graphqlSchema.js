@@ -0,0 +1,209 @@
+const { buildSchema, GraphQLError } = require('graphql');
+const BatchLoader = require('./batchLoader');
+const permissions = require('./permissions');
+const { validate } = require('../middleware/validate');
+const { userSchema, taskSchema } = require('../schemas');
+
+// GraphQL view of the gateway's user/task/stats proxies (POST /graphql).
+// Resolvers go through the same backend API as the REST routes and enforce
+// the same validation and permissions.
+const typeDefs = `
+  type User {
+    id: Int!
+    name: String!
+    email: String!
+    role: String!
+    "Tasks assigned to the user, optionally filtered by status"
+    tasks(status: String): [Task!]!
+  }
+
+  type Task {
+    id: Int!
+    title: String!
+    status: String!
+    userId: Int!
+    user: User
+  }
+
+  type UserStats {
+    total: Int!
+  }
+
+  type TaskStats {
+    total: Int!
+    pending: Int!
+    inProgress: Int!
+    completed: Int!
+  }
+
+  type Stats {
+    users: UserStats!
+    tasks: TaskStats!
+  }
+
+  input UserInput {
+    name: String!
+    email: String!
+    role: String!
+  }
+
+  input TaskInput {
+    title: String!
+    status: String!
+    userId: Int!
+  }
+
+  type Query {
+    users: [User!]!
+    user(id: Int!): User
+    "Same filters as GET /api/tasks?status=&userId="
+    tasks(status: String, userId: Int): [Task!]!
+    stats: Stats!
+  }
+
+  type Mutation {
+    createUser(input: UserInput!): User!
+    updateUser(id: Int!, input: UserInput!): User!
+    createTask(input: TaskInput!): Task!
+    updateTask(id: Int!, input: TaskInput!): Task!
+  }
+`;
+
+// Loaders live for one request, so batching and deduplication never leak
+// data between callers.
+function createLoaders(backend) {
+  const users = new BatchLoader(async (ids) => {
+    if (ids.length === 1) {
+      try {
+        return [await backend.getUser(ids[0])];
+      } catch (error) {
+        return [error.statusCode === 404 ? null : error];
+      }
+    }
+    const all = await backend.listUsers();
+    return ids.map((id) => all.find((user) => user.id === id) || null);
+  });
+
+  // Keyed by { userId, status }: one upstream call per distinct status
+  // filter, however many users are asking
+  const tasksByUser = new BatchLoader(async (keys) => {
+    if (keys.length === 1) {
+      return [await backend.listTasks(keys[0])];
+    }
+    const statuses = [...new Set(keys.map((key) => key.status || ''))];
+    const lists = await Promise.all(statuses.map((status) => backend.listTasks({ status })));
+    const byStatus = new Map(statuses.map((status, index) => [status, lists[index]]));
+    return keys.map((key) => byStatus.get(key.status || '').filter((task) => task.userId === key.userId));
+  }, { cacheKey: ({ userId, status }) => `${userId}:${status || ''}` });
+
+  const once = (fn) => {
+    let promise;
+    return () => (promise = promise || fn());
+  };
+
+  return {
+    users,
+    tasksByUser,
+    allUsers: once(async () => {
+      const list = await backend.listUsers();
+      list.forEach((user) => users.prime(user.id, user));
+      return list;
+    }),
+    stats: once(() => backend.getStats())
+  };
+}
+
+const badInput = (errors) =>
+  new GraphQLError('Validation failed', { extensions: { code: 'BAD_USER_INPUT', fields: errors } });
+
+const checkPermission = (decision) => {
+  if (!decision.allowed) {
+    throw new GraphQLError(decision.reason || 'Forbidden', { extensions: { code: 'FORBIDDEN' } });
+  }
+};
+
+const validated = (schema, input) => {
+  const { value, errors } = validate(schema, input);
+  if (errors.length > 0) {
+    throw badInput(errors);
+  }
+  return value;
+};
+
+// Resolver map by type and field name, attached to the SDL schema below
+function createResolvers({ backend, onChange }) {
+  return {
+    Query: {
+      users: (parent, args, { loaders }) => loaders.allUsers(),
+      user: (parent, { id }, { loaders }) => loaders.users.load(id),
+      tasks: (parent, { status, userId }) => backend.listTasks({ status, userId }),
+      stats: (parent, args, { loaders }) => loaders.stats()
+    },
+
+    User: {
+      tasks: (user, { status }, { loaders }) => loaders.tasksByUser.load({ userId: user.id, status })
+    },
+
+    Task: {
+      user: (task, args, { loaders }) => loaders.users.load(task.userId)
+    },
+
+    Mutation: {
+      createUser: async (parent, { input }, { user: actor }) => {
+        const data = validated(userSchema, input);
+        checkPermission(permissions.canCreateUser(actor));
+        const user = await backend.createUser(data);
+        onChange('user.created', { user }, actor);
+        return user;
+      },
+
+      updateUser: async (parent, { id, input }, { user: actor }) => {
+        const data = validated(userSchema, input);
+        const before = await backend.getUser(id);
+        checkPermission(permissions.canUpdateUser(actor, before, data));
+        const user = await backend.updateUser(id, data);
+        onChange('user.updated', { user }, actor, before);
+        return user;
+      },
+
+      createTask: async (parent, { input }, { user: actor }) => {
+        const data = validated(taskSchema, input);
+        checkPermission(permissions.canCreateTask(actor, data));
+        const task = await backend.createTask(data);
+        onChange('task.created', { task }, actor);
+        return task;
+      },
+
+      updateTask: async (parent, { id, input }, { user: actor }) => {
+        const data = validated(taskSchema, input);
+        const before = await backend.getTask(id);
+        checkPermission(permissions.canUpdateTask(actor, before, data));
+        const task = await backend.updateTask(id, data);
+        onChange('task.updated', { task }, actor, before);
+        return task;
+      }
+    }
+  };
+}
+
+// `onChange(type, payload, actor, before)` is called after every successful
+// mutation so the gateway can invalidate its caches, publish the change and
+// audit it (`before` is the record as read before an update).
+function createGraphQLSchema({ backend, onChange }) {
+  const schema = buildSchema(typeDefs);
+  const resolvers = createResolvers({ backend, onChange });
+
+  for (const [typeName, fields] of Object.entries(resolvers)) {
+    const typeFields = schema.getType(typeName).getFields();
+    for (const [fieldName, resolve] of Object.entries(fields)) {
+      typeFields[fieldName].resolve = resolve;
+    }
+  }
+
+  return schema;
+}
+
+module.exports = {
+  createGraphQLSchema,
+  createLoaders
+};
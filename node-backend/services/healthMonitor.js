@@ -0,0 +1,133 @@
+const logger = require('./logger');
+
+// Tracks the health of the gateway's dependencies.
+//
+// Each dependency is registered as
+//   { name, critical, check: async () => ({ status, details }) }
+// where `status` is 'up' or 'degraded' (throwing means 'down'). Checks run
+// when a report is asked for, at most once per `maxAgeMs`, and callers that
+// arrive while checks are running share them. Every dependency keeps its
+// latency, last success and failure times, consecutive failures and the
+// last error.
+//
+// The overall status is
+//   down     - a critical dependency is down
+//   degraded - anything else is not fully up
+//   ok       - everything is up
+const STATUS_RANK = { up: 0, degraded: 1, down: 2 };
+
+class HealthMonitor {
+  constructor({ dependencies = [], maxAgeMs = 5000, timeoutMs = 2000 } = {}) {
+    this.maxAgeMs = maxAgeMs;
+    this.timeoutMs = timeoutMs;
+    this.dependencies = new Map();
+    this.running = null;
+    this.checkedAt = 0;
+    dependencies.forEach((dependency) => this.register(dependency));
+  }
+
+  register({ name, critical = false, check }) {
+    this.dependencies.set(name, {
+      name,
+      critical,
+      check,
+      state: {
+        status: 'unknown',
+        latencyMs: null,
+        lastCheckedAt: null,
+        lastSuccessAt: null,
+        lastFailureAt: null,
+        consecutiveFailures: 0,
+        error: null,
+        details: null
+      }
+    });
+  }
+
+  async runCheck(dependency) {
+    const start = Date.now();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`No answer within ${this.timeoutMs}ms`)), this.timeoutMs);
+    });
+    const previous = dependency.state.status;
+    const now = () => new Date().toISOString();
+    try {
+      const { status = 'up', details = null } = await Promise.race([dependency.check(), timeout]) || {};
+      Object.assign(dependency.state, {
+        status,
+        lastSuccessAt: now(),
+        consecutiveFailures: 0,
+        error: null,
+        details
+      });
+    } catch (error) {
+      Object.assign(dependency.state, {
+        status: 'down',
+        lastFailureAt: now(),
+        consecutiveFailures: dependency.state.consecutiveFailures + 1,
+        error: error.message,
+        details: error.details || null
+      });
+    } finally {
+      clearTimeout(timer);
+      dependency.state.latencyMs = Date.now() - start;
+      dependency.state.lastCheckedAt = now();
+    }
+
+    if (previous !== dependency.state.status && previous !== 'unknown') {
+      const log = dependency.state.status === 'up' ? logger.info : logger.warn;
+      log.call(logger, 'dependency health changed', {
+        dependency: dependency.name,
+        from: previous,
+        to: dependency.state.status,
+        error: dependency.state.error
+      });
+    }
+  }
+
+  // Runs the checks unless the last results are recent enough
+  async refresh() {
+    if (Date.now() - this.checkedAt < this.maxAgeMs) {
+      return;
+    }
+    if (!this.running) {
+      this.running = Promise.all([...this.dependencies.values()].map((dependency) => this.runCheck(dependency)))
+        .then(() => {
+          this.checkedAt = Date.now();
+        })
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    await this.running;
+  }
+
+  // Latest results without running any checks
+  getDependencies() {
+    return Object.fromEntries([...this.dependencies.values()].map(({ name, critical, state }) => [
+      name,
+      { critical, ...state }
+    ]));
+  }
+
+  overallStatus() {
+    let status = 'ok';
+    for (const { critical, state } of this.dependencies.values()) {
+      if (state.status === 'down' && critical) {
+        return 'down';
+      }
+      if ((STATUS_RANK[state.status] ?? 0) > 0) {
+        status = 'degraded';
+      }
+    }
+    return status;
+  }
+
+  async report() {
+    await this.refresh();
+    return { status: this.overallStatus(), dependencies: this.getDependencies() };
+  }
+}
+
+module.exports = HealthMonitor;
@@ -0,0 +1,80 @@
+// Remembers the outcome of requests sent with an Idempotency-Key.
+//
+// A key is first reserved (`begin`) with a fingerprint of its payload, then
+// either completed with the response to replay or released again when the
+// request failed in a way worth retrying. Entries expire after ttlMs; when
+// the store is full the oldest entries are dropped first.
+class IdempotencyStore {
+  constructor({ ttlMs = 24 * 60 * 60 * 1000, maxEntries = 10000 } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.stats = {
+      stored: 0,
+      replays: 0,
+      mismatches: 0,
+      inFlightConflicts: 0
+    };
+  }
+
+  // Returns one of
+  //   { status: 'new' }              - key reserved, run the request
+  //   { status: 'in-flight' }        - the first request is still running
+  //   { status: 'mismatch' }         - key was used with another payload
+  //   { status: 'replay', response } - repeat of a finished request
+  begin(key, fingerprint, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > now) {
+      if (entry.fingerprint !== fingerprint) {
+        this.stats.mismatches++;
+        return { status: 'mismatch' };
+      }
+      if (!entry.response) {
+        this.stats.inFlightConflicts++;
+        return { status: 'in-flight' };
+      }
+      this.stats.replays++;
+      return { status: 'replay', response: entry.response };
+    }
+
+    this.entries.delete(key);
+    this.evict(now);
+    this.entries.set(key, { fingerprint, response: null, expiresAt: now + this.ttlMs });
+    return { status: 'new' };
+  }
+
+  complete(key, response) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      entry.response = response;
+      this.stats.stored++;
+    }
+  }
+
+  release(key) {
+    this.entries.delete(key);
+  }
+
+  // Drops expired entries from the front (oldest first, since entries are
+  // kept in insertion order and share one TTL), then the oldest live ones
+  // while the store is full.
+  evict(now) {
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt > now && this.entries.size < this.maxEntries) {
+        break;
+      }
+      this.entries.delete(key);
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlMs: this.ttlMs
+    };
+  }
+}
+
+module.exports = IdempotencyStore;
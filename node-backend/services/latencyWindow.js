@@ -0,0 +1,108 @@
+// Latency percentiles over rolling time windows with bounded memory.
+//
+// Time is split into fixed slots (10s by default) kept in a ring that covers
+// the longest window. Each slot holds a histogram with logarithmic bins
+// (~5% relative width), so memory depends only on the slot and bin counts,
+// never on traffic. Percentiles for a window merge the slots inside it.
+const DEFAULT_WINDOWS = { '1m': 60 * 1000, '5m': 5 * 60 * 1000, '15m': 15 * 60 * 1000 };
+const DEFAULT_PERCENTILES = [50, 90, 95, 99];
+
+const MIN_MS = 1;
+const MAX_MS = 60 * 1000;
+const GROWTH = 1.05;
+// Bin 0 holds everything <= MIN_MS, the last bin everything > MAX_MS
+const BIN_COUNT = Math.ceil(Math.log(MAX_MS / MIN_MS) / Math.log(GROWTH)) + 2;
+
+const binFor = (ms) => {
+  if (ms <= MIN_MS) return 0;
+  if (ms > MAX_MS) return BIN_COUNT - 1;
+  return Math.min(BIN_COUNT - 2, Math.ceil(Math.log(ms / MIN_MS) / Math.log(GROWTH)));
+};
+
+// Upper bound of a bin, reported as the percentile value
+const binUpperBound = (bin) => {
+  if (bin === BIN_COUNT - 1) return MAX_MS;
+  return MIN_MS * GROWTH ** bin;
+};
+
+class SlidingLatencyWindow {
+  constructor({ windows = DEFAULT_WINDOWS, slotMs = 10 * 1000, percentiles = DEFAULT_PERCENTILES } = {}) {
+    this.windows = windows;
+    this.slotMs = slotMs;
+    this.percentiles = percentiles;
+    const longest = Math.max(...Object.values(windows));
+    this.slots = Array.from({ length: Math.ceil(longest / slotMs) }, () => ({
+      start: -1,
+      count: 0,
+      max: 0,
+      bins: null
+    }));
+  }
+
+  record(ms, now = Date.now()) {
+    const slotStart = Math.floor(now / this.slotMs) * this.slotMs;
+    const slot = this.slots[(slotStart / this.slotMs) % this.slots.length];
+
+    if (slot.start !== slotStart) {
+      slot.start = slotStart;
+      slot.count = 0;
+      slot.max = 0;
+      if (slot.bins) {
+        slot.bins.fill(0);
+      }
+    }
+
+    if (!slot.bins) {
+      slot.bins = new Uint32Array(BIN_COUNT);
+    }
+    slot.bins[binFor(ms)]++;
+    slot.count++;
+    slot.max = Math.max(slot.max, ms);
+  }
+
+  summarize(windowMs, now) {
+    const oldest = Math.floor(now / this.slotMs) * this.slotMs - windowMs + this.slotMs;
+    const merged = new Uint32Array(BIN_COUNT);
+    let count = 0;
+    let max = 0;
+
+    for (const slot of this.slots) {
+      if (slot.bins && slot.count > 0 && slot.start >= oldest && slot.start <= now) {
+        for (let i = 0; i < BIN_COUNT; i++) {
+          merged[i] += slot.bins[i];
+        }
+        count += slot.count;
+        max = Math.max(max, slot.max);
+      }
+    }
+
+    const summary = { count };
+    for (const p of this.percentiles) {
+      summary[`p${p}`] = count ? Math.min(max, Math.round(this.percentile(merged, count, p))) : null;
+    }
+    summary.max = count ? max : null;
+    return summary;
+  }
+
+  percentile(bins, count, p) {
+    const rank = Math.ceil((p / 100) * count);
+    let seen = 0;
+    for (let i = 0; i < BIN_COUNT; i++) {
+      seen += bins[i];
+      if (seen >= rank) {
+        return binUpperBound(i);
+      }
+    }
+    return binUpperBound(BIN_COUNT - 1);
+  }
+
+  snapshot(now = Date.now()) {
+    const result = {};
+    for (const [name, windowMs] of Object.entries(this.windows)) {
+      result[name] = this.summarize(windowMs, now);
+    }
+    return result;
+  }
+}
+
+module.exports = SlidingLatencyWindow;
@@ -0,0 +1,145 @@
+// Search, sorting and pagination for list endpoints.
+//
+// The C# backend always returns whole collections, so the gateway applies
+// these on top of its response:
+//
+//   q=term               case-insensitive match of every term against the
+//                        configured search fields
+//   sort=field:asc|desc  comma-separated for several keys
+//   page=N&pageSize=M    1-based pages, or
+//   cursor=...           opaque cursor taken from a previous `nextCursor`
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_QUERY_LENGTH = 200;
+
+const encodeCursor = (offset) => Buffer.from(JSON.stringify({ offset })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const parsePositiveInt = (value) => (/^\d+$/.test(value) ? parseInt(value, 10) : NaN);
+
+// Parses and validates the list parameters of a query string. Returns
+// { value, errors } with errors in the same { field, message } shape as
+// body validation.
+function parseListQuery(query, { sortFields }) {
+  const errors = [];
+  const value = { q: '', sort: [], paginate: false, offset: 0, pageSize: DEFAULT_PAGE_SIZE };
+
+  if (query.q !== undefined) {
+    if (typeof query.q !== 'string' || query.q.length > MAX_QUERY_LENGTH) {
+      errors.push({ field: 'q', message: `q must be a string of at most ${MAX_QUERY_LENGTH} characters` });
+    } else {
+      value.q = query.q.trim();
+    }
+  }
+
+  if (query.sort !== undefined) {
+    const specs = typeof query.sort === 'string' ? query.sort.split(',') : [];
+    specs.forEach((spec) => {
+      const [field, direction = 'asc'] = spec.trim().split(':');
+      if (!sortFields.includes(field) || !['asc', 'desc'].includes(direction)) {
+        errors.push({
+          field: 'sort',
+          message: `sort must be field:asc or field:desc with field one of: ${sortFields.join(', ')}`
+        });
+      } else {
+        value.sort.push({ field, direction });
+      }
+    });
+    if (specs.length === 0) {
+      errors.push({ field: 'sort', message: 'sort must be a string' });
+    }
+  }
+
+  if (query.pageSize !== undefined) {
+    const pageSize = parsePositiveInt(query.pageSize);
+    if (!(pageSize >= 1 && pageSize <= MAX_PAGE_SIZE)) {
+      errors.push({ field: 'pageSize', message: `pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+    } else {
+      value.pageSize = pageSize;
+    }
+    value.paginate = true;
+  }
+
+  if (query.cursor !== undefined) {
+    const offset = typeof query.cursor === 'string' ? decodeCursor(query.cursor) : null;
+    if (offset === null) {
+      errors.push({ field: 'cursor', message: 'cursor is invalid' });
+    } else {
+      value.offset = offset;
+    }
+    value.paginate = true;
+  } else if (query.page !== undefined) {
+    const page = parsePositiveInt(query.page);
+    if (!(page >= 1)) {
+      errors.push({ field: 'page', message: 'page must be an integer of at least 1' });
+    } else {
+      value.offset = (page - 1) * value.pageSize;
+    }
+    value.paginate = true;
+  }
+
+  return { value, errors };
+}
+
+const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  return String(a ?? '').localeCompare(String(b ?? ''), undefined, { sensitivity: 'base' });
+};
+
+// Filters, sorts and slices `items`. Without pagination parameters every
+// match is returned, which keeps existing callers working unchanged.
+function applyListQuery(items, options, { searchFields }) {
+  let result = items;
+
+  if (options.q) {
+    const terms = options.q.toLowerCase().split(/\s+/);
+    result = result.filter((item) => {
+      const haystack = searchFields.map((field) => String(item[field] ?? '').toLowerCase()).join(' ');
+      return terms.every((term) => haystack.includes(term));
+    });
+  }
+
+  if (options.sort.length > 0) {
+    result = [...result].sort((a, b) => {
+      for (const { field, direction } of options.sort) {
+        const order = compareValues(a[field], b[field]);
+        if (order !== 0) {
+          return direction === 'desc' ? -order : order;
+        }
+      }
+      return 0;
+    });
+  }
+
+  const total = result.length;
+  if (!options.paginate) {
+    return { items: result, total, page: 1, pageSize: total, nextCursor: null };
+  }
+
+  const { offset, pageSize } = options;
+  const nextOffset = offset + pageSize;
+  return {
+    items: result.slice(offset, nextOffset),
+    total,
+    page: Math.floor(offset / pageSize) + 1,
+    pageSize,
+    nextCursor: nextOffset < total ? encodeCursor(nextOffset) : null
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseListQuery,
+  applyListQuery
+};
@@ -0,0 +1,88 @@
+const requestContext = require('./requestContext');
+
+// Structured logger: one JSON object per line on stdout (stderr for errors)
+// with level, timestamp, message, the current request ID and any extra
+// fields. The gateway sets the level and redacted fields from its
+// configuration (services/config.js), also on reload; the variables below
+// apply until then and when the mock backend runs on its own.
+//
+//   LOG_LEVEL          debug | info | warn | error (default: info)
+//   LOG_REDACT_FIELDS  comma-separated keys whose values are masked in
+//                      logged objects (default: email, tokens, passwords,
+//                      authorization)
+//
+// Credentials in URL query strings (URL_SECRET_PARAMS) are masked by
+// redactUrl, for logging or echoing a request's URL.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_REDACT_FIELDS = 'email,password,accessToken,refreshToken,authorization';
+
+const toFieldSet = (fields) => new Set(fields.map((field) => field.trim().toLowerCase()).filter(Boolean));
+
+let minLevel = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+let redactFields = toFieldSet((process.env.LOG_REDACT_FIELDS ?? DEFAULT_REDACT_FIELDS).split(','));
+
+const REDACTED = '[REDACTED]';
+const URL_SECRET_PARAMS = /([?&](?:access_token|ticket)=)[^&#]*/gi;
+
+const redactUrl = (url) => (typeof url === 'string' ? url.replace(URL_SECRET_PARAMS, `$1${REDACTED}`) : url);
+
+function redact(value, depth = 0) {
+  if (value === null || typeof value !== 'object' || depth > 5) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = redactFields.has(key.toLowerCase()) ? REDACTED : redact(item, depth + 1);
+  }
+  return result;
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < minLevel) {
+    return;
+  }
+
+  const { requestId } = requestContext.get();
+  const entry = {
+    level,
+    time: new Date().toISOString(),
+    msg: message,
+    ...(requestId && { requestId }),
+    ...redact(fields)
+  };
+
+  if (fields.error instanceof Error) {
+    entry.error = { message: fields.error.message, stack: fields.error.stack };
+  }
+
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.error) {
+    process.stderr.write(line + '\n');
+  } else {
+    process.stdout.write(line + '\n');
+  }
+}
+
+const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+  isLevelEnabled: (level) => LEVELS[level] >= minLevel,
+  setLevel: (level) => {
+    if (!LEVELS[level]) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    minLevel = LEVELS[level];
+  },
+  setRedactFields: (fields) => {
+    redactFields = toFieldSet(fields);
+  },
+  redact,
+  redactUrl
+};
+
+module.exports = logger;
@@ -0,0 +1,1286 @@
+const { userSchema, taskSchema, taskPatchSchema, webhookSchema, webhookPatchSchema, TASK_STATUSES } = require('../schemas');
+const { ROLES } = require('./permissions');
+const { ENTITIES, FORMATS } = require('./dataTransfer');
+const { AUDIT_ENTITIES, AUDIT_ACTIONS } = require('./auditLog');
+const { WEBHOOK_EVENTS } = require('./webhooks');
+const { PROBLEM_CONTENT_TYPE, PROBLEM_TYPES } = require('./problem');
+const { MIN_PASSWORD_LENGTH } = require('./credentialStore');
+const { version } = require('../package.json');
+
+// OpenAPI 3.0 description of every gateway route, served at /openapi.json
+// and used by middleware/openapiValidation.js. Request bodies are derived
+// from schemas.js so the document cannot drift from what validate.js
+// enforces; everything else is described here by hand and has to be kept
+// in step with server.js.
+
+// schemas.js field rules -> JSON Schema property
+const JSON_SCHEMA_FORMATS = { url: 'uri' };
+
+function toJsonProperty(rules) {
+  const property = { type: rules.type, ...(rules.label && { description: rules.label }) };
+  if (rules.minLength !== undefined) property.minLength = rules.minLength;
+  if (rules.maxLength !== undefined) property.maxLength = rules.maxLength;
+  if (rules.format) property.format = JSON_SCHEMA_FORMATS[rules.format] || rules.format;
+  if (rules.enum) property.enum = rules.enum;
+  if (rules.min !== undefined) property.minimum = rules.min;
+  if (rules.max !== undefined) property.maximum = rules.max;
+  if (rules.items) property.items = toJsonProperty(rules.items);
+  if (rules.minItems !== undefined) property.minItems = rules.minItems;
+  return property;
+}
+
+// schemas.js payload schema -> JSON Schema
+function toJsonSchema(schema) {
+  const properties = {};
+  const required = [];
+  for (const [field, rules] of Object.entries(schema)) {
+    properties[field] = toJsonProperty(rules);
+    if (rules.required) required.push(field);
+  }
+  return { type: 'object', properties, ...(required.length > 0 && { required }), additionalProperties: false };
+}
+
+const schemaRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+const paramRef = (name) => ({ $ref: `#/components/parameters/${name}` });
+const responseRef = (name) => ({ $ref: `#/components/responses/${name}` });
+
+const jsonResponse = (description, schema, headers) => ({
+  description,
+  ...(headers && { headers }),
+  content: { 'application/json': { schema } }
+});
+const problemResponse = (description, schema = schemaRef('Problem'), headers) => ({
+  description,
+  ...(headers && { headers }),
+  content: { [PROBLEM_CONTENT_TYPE]: { schema } }
+});
+// A Problem with extra extension members
+const problemWith = (properties, required) => ({
+  allOf: [schemaRef('Problem'), { type: 'object', required, properties }]
+});
+const jsonBody = (schema) => ({ required: true, content: { 'application/json': { schema } } });
+
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  409: 'Conflict',
+  410: 'Gone',
+  412: 'PreconditionFailed',
+  413: 'PayloadTooLarge',
+  422: 'UnprocessableEntity',
+  428: 'PreconditionRequired',
+  502: 'UpstreamError',
+  503: 'ServiceUnavailable'
+};
+
+// Every operation can be rate limited and can fail with a generic problem;
+// `errors` lists the other error statuses worth documenting.
+const operation = ({ errors = [], responses, ...rest }) => ({
+  ...rest,
+  responses: {
+    ...responses,
+    ...Object.fromEntries(errors.map((status) => [status, responseRef(ERROR_RESPONSES[status])])),
+    429: responseRef('TooManyRequests'),
+    default: responseRef('Error')
+  }
+});
+
+const ETAG_HEADER = { ETag: { $ref: '#/components/headers/ETag' } };
+const PUBLIC = [];
+const LIST_PARAMETERS = ['Q', 'Sort', 'Page', 'PageSize', 'Cursor'].map(paramRef);
+const TASK_FILTERS = [
+  { name: 'status', in: 'query', schema: { type: 'string', enum: TASK_STATUSES } },
+  { name: 'userId', in: 'query', schema: { type: 'integer', minimum: 1 } }
+];
+
+const TASK_COUNTS = {
+  type: 'object',
+  required: ['total', 'pending', 'inProgress', 'completed'],
+  properties: {
+    total: { type: 'integer' },
+    pending: { type: 'integer' },
+    inProgress: { type: 'integer' },
+    completed: { type: 'integer' }
+  }
+};
+
+// Bulk items are checked one by one so a bad item fails on its own (see
+// the results) instead of rejecting the whole batch
+const bulkBody = (itemSchema) => jsonBody({
+  type: 'array',
+  minItems: 1,
+  items: { type: 'object', description: `Validated per item as ${itemSchema}` }
+});
+
+const components = {
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+    streamTicket: {
+      type: 'apiKey',
+      in: 'query',
+      name: 'ticket',
+      description: 'Single-use ticket from POST /api/events/ticket, for EventSource clients that cannot set headers'
+    }
+  },
+  headers: {
+    ETag: { description: 'Version of the returned resource, for If-None-Match and If-Match', schema: { type: 'string' } },
+    RetryAfter: { description: 'Seconds to wait before retrying', schema: { type: 'integer' } }
+  },
+  parameters: {
+    Id: { name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } },
+    WebhookId: { name: 'webhookId', in: 'path', required: true, schema: { type: 'string' } },
+    DeliveryId: { name: 'deliveryId', in: 'path', required: true, schema: { type: 'string' } },
+    Q: {
+      name: 'q',
+      in: 'query',
+      description: 'Case-insensitive search; every term must match',
+      schema: { type: 'string', maxLength: 200 }
+    },
+    Sort: {
+      name: 'sort',
+      in: 'query',
+      description: 'field:asc or field:desc, comma-separated for several keys',
+      schema: { type: 'string' }
+    },
+    Page: { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1 } },
+    PageSize: { name: 'pageSize', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100 } },
+    Cursor: {
+      name: 'cursor',
+      in: 'query',
+      description: 'nextCursor from the previous page',
+      schema: { type: 'string' }
+    },
+    ReassignTo: {
+      name: 'reassignTo',
+      in: 'query',
+      description: 'User who takes over the open tasks of the deleted user; use this or cascade',
+      schema: { type: 'integer', minimum: 1 }
+    },
+    Cascade: {
+      name: 'cascade',
+      in: 'query',
+      description: 'true to delete every task of the user with them; use this or reassignTo',
+      schema: { type: 'boolean' }
+    },
+    IfMatch: {
+      name: 'If-Match',
+      in: 'header',
+      description: 'ETag the update or delete is based on; 412 if the resource has changed since',
+      schema: { type: 'string' }
+    },
+    IfNoneMatch: {
+      name: 'If-None-Match',
+      in: 'header',
+      description: 'ETag of a cached copy; 304 if it is still current',
+      schema: { type: 'string' }
+    },
+    IdempotencyKey: {
+      name: 'Idempotency-Key',
+      in: 'header',
+      description: 'Repeats with the same key replay the first response instead of creating again',
+      schema: { type: 'string', minLength: 1, maxLength: 255 }
+    }
+  },
+  schemas: {
+    User: {
+      type: 'object',
+      required: ['id', 'name', 'email', 'role'],
+      properties: {
+        id: { type: 'integer' },
+        name: { type: 'string' },
+        email: { type: 'string' },
+        role: { type: 'string', enum: ROLES }
+      }
+    },
+    Task: {
+      type: 'object',
+      required: ['id', 'title', 'status', 'userId'],
+      properties: {
+        id: { type: 'integer' },
+        title: { type: 'string' },
+        status: { type: 'string', enum: TASK_STATUSES },
+        userId: { type: 'integer' }
+      }
+    },
+    UserInput: toJsonSchema(userSchema),
+    TaskInput: toJsonSchema(taskSchema),
+    TaskPatch: toJsonSchema(taskPatchSchema),
+    WebhookInput: toJsonSchema(webhookSchema),
+    WebhookPatch: toJsonSchema(webhookPatchSchema),
+    Pagination: {
+      type: 'object',
+      required: ['count', 'total', 'page', 'pageSize', 'nextCursor'],
+      properties: {
+        count: { type: 'integer', description: 'Items in this page' },
+        total: { type: 'integer', description: 'Items matching the query' },
+        page: { type: 'integer' },
+        pageSize: { type: 'integer' },
+        nextCursor: { type: 'string', nullable: true }
+      }
+    },
+    UserList: {
+      allOf: [
+        schemaRef('Pagination'),
+        { type: 'object', required: ['users'], properties: { users: { type: 'array', items: schemaRef('User') } } }
+      ]
+    },
+    TaskList: {
+      allOf: [
+        schemaRef('Pagination'),
+        { type: 'object', required: ['tasks'], properties: { tasks: { type: 'array', items: schemaRef('Task') } } }
+      ]
+    },
+    AuditEntry: {
+      type: 'object',
+      required: ['id', 'timestamp', 'requestId', 'actor', 'entity', 'entityId', 'action', 'changes'],
+      properties: {
+        id: { type: 'integer' },
+        timestamp: { type: 'string', format: 'date-time' },
+        requestId: { type: 'string', nullable: true },
+        actor: {
+          type: 'object',
+          nullable: true,
+          properties: { id: { type: 'integer' }, name: { type: 'string' }, role: { type: 'string' } }
+        },
+        entity: { type: 'string', enum: AUDIT_ENTITIES },
+        entityId: { type: 'integer' },
+        action: { type: 'string', enum: AUDIT_ACTIONS },
+        changes: {
+          type: 'object',
+          description: 'Changed fields; every field from null for a create or restore, to null for a delete',
+          additionalProperties: {
+            type: 'object',
+            required: ['from', 'to'],
+            properties: { from: { description: 'Any JSON value, null when unset' }, to: {} }
+          }
+        }
+      }
+    },
+    Undo: {
+      type: 'object',
+      required: ['expiresAt', 'restoreUrl'],
+      properties: {
+        expiresAt: { type: 'string', format: 'date-time', description: 'The delete can be undone until then' },
+        restoreUrl: { type: 'string', description: 'POST here to undo the delete' }
+      }
+    },
+    TaskDeleted: {
+      type: 'object',
+      required: ['task', 'undo'],
+      properties: { task: schemaRef('Task'), undo: schemaRef('Undo') }
+    },
+    UserDeleted: {
+      type: 'object',
+      required: ['user', 'reassignedTasks', 'deletedTasks', 'undo'],
+      properties: {
+        user: schemaRef('User'),
+        reassignedTasks: { type: 'array', items: schemaRef('Task'), description: 'Open tasks as reassigned' },
+        deletedTasks: { type: 'array', items: schemaRef('Task'), description: 'Tasks deleted with the user (cascade)' },
+        undo: schemaRef('Undo')
+      }
+    },
+    UserRestored: {
+      type: 'object',
+      required: ['user', 'restoredTasks', 'reassignedTasks', 'skipped'],
+      properties: {
+        user: schemaRef('User'),
+        restoredTasks: { type: 'array', items: schemaRef('Task') },
+        reassignedTasks: { type: 'array', items: schemaRef('Task'), description: 'Tasks moved back to the user' },
+        skipped: {
+          type: 'array',
+          description: 'Tasks left as they are, e.g. because they were changed after the delete',
+          items: {
+            type: 'object',
+            required: ['taskId', 'reason'],
+            properties: { taskId: { type: 'integer' }, reason: { type: 'string' } }
+          }
+        }
+      }
+    },
+    History: {
+      allOf: [
+        schemaRef('Pagination'),
+        { type: 'object', required: ['history'], properties: { history: { type: 'array', items: schemaRef('AuditEntry') } } }
+      ]
+    },
+    AuditList: {
+      allOf: [
+        schemaRef('Pagination'),
+        { type: 'object', required: ['entries'], properties: { entries: { type: 'array', items: schemaRef('AuditEntry') } } }
+      ]
+    },
+    Config: {
+      type: 'object',
+      required: ['file', 'loadedAt', 'settings'],
+      properties: {
+        file: { type: 'string', description: 'Configuration file that was looked for (it may not exist)' },
+        loadedAt: { type: 'string', format: 'date-time', description: 'Start or last reload' },
+        settings: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['key', 'env', 'value', 'source', 'reloadable'],
+            properties: {
+              key: { type: 'string', description: 'Dotted key, as nested in the configuration file' },
+              env: { type: 'string', description: 'Environment variable' },
+              value: { description: 'Value in force; secrets that are set read [REDACTED]' },
+              source: { type: 'string', description: "'default', the file name or 'env NAME'" },
+              reloadable: { type: 'boolean', description: 'Applied on SIGHUP without a restart' }
+            }
+          }
+        }
+      }
+    },
+    Webhook: {
+      type: 'object',
+      required: ['id', 'url', 'events', 'description', 'active', 'createdAt', 'updatedAt', 'createdBy', 'deliveries'],
+      properties: {
+        id: { type: 'string' },
+        url: { type: 'string' },
+        events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+        description: { type: 'string', nullable: true },
+        active: { type: 'boolean' },
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' },
+        createdBy: { type: 'object', nullable: true, properties: { id: { type: 'integer' }, name: { type: 'string' } } },
+        deliveries: {
+          type: 'object',
+          description: 'Counters since the gateway started',
+          properties: {
+            succeeded: { type: 'integer' },
+            failed: { type: 'integer' },
+            lastAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+            lastOutcome: { type: 'string', enum: ['succeeded', 'retrying', 'failed', null], nullable: true }
+          }
+        }
+      }
+    },
+    WebhookCreated: {
+      allOf: [
+        schemaRef('Webhook'),
+        {
+          type: 'object',
+          required: ['secret'],
+          properties: { secret: { type: 'string', description: 'Signing secret; only shown here' } }
+        }
+      ]
+    },
+    WebhookList: {
+      type: 'object',
+      required: ['webhooks', 'count'],
+      properties: { webhooks: { type: 'array', items: schemaRef('Webhook') }, count: { type: 'integer' } }
+    },
+    WebhookEvent: {
+      type: 'object',
+      description: 'Body POSTed to a webhook URL',
+      required: ['id', 'type', 'timestamp', 'data', 'actor'],
+      properties: {
+        id: { type: 'string' },
+        type: { type: 'string', enum: WEBHOOK_EVENTS },
+        timestamp: { type: 'string', format: 'date-time' },
+        data: { type: 'object', description: '{ task } or { user }, plus `previous` (the record before) for updates' },
+        actor: { type: 'object', nullable: true, properties: { id: { type: 'integer' }, name: { type: 'string' } } }
+      }
+    },
+    WebhookAttempt: {
+      type: 'object',
+      required: ['id', 'timestamp', 'deliveryId', 'webhookId', 'eventId', 'eventType', 'attempt', 'outcome'],
+      properties: {
+        id: { type: 'integer' },
+        timestamp: { type: 'string', format: 'date-time' },
+        deliveryId: { type: 'string' },
+        webhookId: { type: 'string' },
+        eventId: { type: 'string' },
+        eventType: { type: 'string', enum: WEBHOOK_EVENTS },
+        attempt: { type: 'integer' },
+        outcome: { type: 'string', enum: ['succeeded', 'retrying', 'failed'] },
+        responseStatus: { type: 'integer', nullable: true },
+        responseBody: { type: 'string', nullable: true, description: 'First 500 characters' },
+        error: { type: 'string', nullable: true },
+        durationMs: { type: 'integer' },
+        nextAttemptAt: { type: 'string', format: 'date-time', nullable: true }
+      }
+    },
+    WebhookDeliveries: {
+      allOf: [
+        schemaRef('Pagination'),
+        { type: 'object', required: ['deliveries'], properties: { deliveries: { type: 'array', items: schemaRef('WebhookAttempt') } } }
+      ]
+    },
+    WebhookDelivery: {
+      type: 'object',
+      required: ['id', 'webhookId', 'event', 'attempts', 'createdAt'],
+      properties: {
+        id: { type: 'string' },
+        webhookId: { type: 'string' },
+        event: schemaRef('WebhookEvent'),
+        attempts: { type: 'integer' },
+        createdAt: { type: 'string', format: 'date-time' }
+      }
+    },
+    DeadLetter: {
+      allOf: [
+        schemaRef('WebhookDelivery'),
+        {
+          type: 'object',
+          required: ['lastError', 'lastStatus', 'failedAt'],
+          properties: {
+            lastError: { type: 'string' },
+            lastStatus: { type: 'integer', nullable: true },
+            failedAt: { type: 'string', format: 'date-time' }
+          }
+        }
+      ]
+    },
+    DeadLetterList: {
+      type: 'object',
+      required: ['deadLetters', 'count'],
+      properties: { deadLetters: { type: 'array', items: schemaRef('DeadLetter') }, count: { type: 'integer' } }
+    },
+    TaskCounts: TASK_COUNTS,
+    UserOverview: {
+      type: 'object',
+      required: ['user', 'tasks', 'counts', 'completionRate', 'partial', 'errors'],
+      properties: {
+        user: schemaRef('User'),
+        tasks: {
+          type: 'object',
+          nullable: true,
+          description: 'The user\'s tasks grouped by status; null when they could not be loaded',
+          properties: Object.fromEntries(TASK_STATUSES.map((status) => [status, { type: 'array', items: schemaRef('Task') }]))
+        },
+        counts: { ...TASK_COUNTS, nullable: true },
+        completionRate: { type: 'number', nullable: true, description: 'Percentage of tasks completed' },
+        partial: { type: 'boolean' },
+        errors: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              source: { type: 'string' },
+              message: { type: 'string' },
+              statusCode: { type: 'integer' }
+            }
+          }
+        }
+      }
+    },
+    Stats: {
+      type: 'object',
+      required: ['users', 'tasks'],
+      properties: {
+        users: { type: 'object', required: ['total'], properties: { total: { type: 'integer' } } },
+        tasks: schemaRef('TaskCounts')
+      }
+    },
+    BulkResult: {
+      type: 'object',
+      required: ['results', 'summary'],
+      properties: {
+        results: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['index', 'statusCode'],
+            properties: {
+              index: { type: 'integer', description: 'Position of the item in the request' },
+              statusCode: { type: 'integer' },
+              data: { type: 'object', description: 'The created or updated user or task' },
+              error: { type: 'string' },
+              fields: { type: 'array', items: schemaRef('FieldError') }
+            }
+          }
+        },
+        summary: {
+          type: 'object',
+          required: ['total', 'succeeded', 'failed'],
+          properties: {
+            total: { type: 'integer' },
+            succeeded: { type: 'integer' },
+            failed: { type: 'integer' }
+          }
+        }
+      }
+    },
+    ImportSummary: {
+      type: 'object',
+      properties: {
+        total: { type: 'integer' },
+        create: { type: 'integer' },
+        update: { type: 'integer' },
+        unchanged: { type: 'integer' },
+        invalid: { type: 'integer' }
+      }
+    },
+    ImportRowError: {
+      type: 'object',
+      required: ['row', 'field', 'message'],
+      properties: {
+        row: { type: 'integer', description: '1-based data row in the file' },
+        field: { type: 'string' },
+        message: { type: 'string' }
+      }
+    },
+    ImportReport: {
+      type: 'object',
+      required: ['dryRun', 'valid', 'summary', 'errors'],
+      properties: {
+        dryRun: { type: 'boolean', enum: [true] },
+        valid: { type: 'boolean' },
+        summary: schemaRef('ImportSummary'),
+        errors: { type: 'array', items: schemaRef('ImportRowError') }
+      }
+    },
+    ImportResult: {
+      type: 'object',
+      required: ['results', 'summary'],
+      properties: {
+        results: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['row', 'action', 'statusCode'],
+            properties: {
+              row: { type: 'integer' },
+              action: { type: 'string', enum: ['create', 'update'] },
+              statusCode: { type: 'integer' },
+              data: { type: 'object' },
+              error: { type: 'string' },
+              fields: { type: 'array', items: schemaRef('FieldError') }
+            }
+          }
+        },
+        summary: {
+          type: 'object',
+          required: ['total', 'succeeded', 'failed', 'unchanged'],
+          properties: {
+            total: { type: 'integer' },
+            succeeded: { type: 'integer' },
+            failed: { type: 'integer' },
+            unchanged: { type: 'integer' }
+          }
+        }
+      }
+    },
+    Tokens: {
+      type: 'object',
+      required: ['accessToken', 'refreshToken', 'tokenType', 'expiresIn', 'user'],
+      properties: {
+        accessToken: { type: 'string' },
+        refreshToken: { type: 'string' },
+        tokenType: { type: 'string', enum: ['Bearer'] },
+        expiresIn: { type: 'integer', description: 'Seconds until the access token expires' },
+        user: schemaRef('User')
+      }
+    },
+    StreamTicket: {
+      type: 'object',
+      required: ['ticket', 'expiresIn'],
+      properties: {
+        ticket: { type: 'string' },
+        expiresIn: { type: 'integer', description: 'Seconds until the ticket expires unused' }
+      }
+    },
+    Health: {
+      type: 'object',
+      required: ['status', 'message', 'checkedAt', 'build', 'dependencies'],
+      properties: {
+        status: {
+          type: 'string',
+          enum: ['ok', 'degraded', 'down'],
+          description: 'down: a critical dependency is down; degraded: something else is not fully up'
+        },
+        message: { type: 'string' },
+        checkedAt: { type: 'string', format: 'date-time' },
+        uptimeSeconds: { type: 'integer' },
+        build: {
+          type: 'object',
+          properties: {
+            version: { type: 'string' },
+            commit: { type: 'string', nullable: true },
+            builtAt: { type: 'string', nullable: true },
+            node: { type: 'string' }
+          }
+        },
+        dependencies: { type: 'object', additionalProperties: schemaRef('DependencyHealth') },
+        circuitBreaker: { type: 'object', description: 'How many C# backend instance circuits are closed, half-open and open' }
+      }
+    },
+    DependencyHealth: {
+      type: 'object',
+      required: ['critical', 'status'],
+      properties: {
+        critical: { type: 'boolean', description: 'Whether the gateway is down without it' },
+        status: { type: 'string', enum: ['unknown', 'up', 'degraded', 'down'] },
+        latencyMs: { type: 'integer', nullable: true },
+        lastCheckedAt: { type: 'string', format: 'date-time', nullable: true },
+        lastSuccessAt: { type: 'string', format: 'date-time', nullable: true },
+        lastFailureAt: { type: 'string', format: 'date-time', nullable: true },
+        consecutiveFailures: { type: 'integer' },
+        error: { type: 'string', nullable: true },
+        details: { type: 'object', nullable: true }
+      }
+    },
+    Readiness: {
+      type: 'object',
+      required: ['status', 'dependencies'],
+      properties: {
+        status: { type: 'string', enum: ['ready', 'not-ready'] },
+        dependencies: {
+          type: 'object',
+          description: 'Status of each dependency',
+          additionalProperties: { type: 'string' }
+        }
+      }
+    },
+    Metrics: {
+      type: 'object',
+      description: 'Request, latency, cache, circuit breaker, rate limit and idempotency counters',
+      required: ['requests', 'responseTime', 'errors', 'uptime', 'timestamp'],
+      properties: {
+        requests: { type: 'object' },
+        responseTime: { type: 'object' },
+        responseTimeByRoute: { type: 'object' },
+        errors: { type: 'object' },
+        upstream: { type: 'object', description: 'Retries, failovers, balancing strategy and per-instance C# backend stats' },
+        uptime: { type: 'object' },
+        events: { type: 'object' },
+        rateLimiting: { type: 'object' },
+        circuitBreaker: { type: 'object' },
+        idempotency: { type: 'object' },
+        undo: { type: 'object' },
+        audit: { type: 'object' },
+        webhooks: { type: 'object' },
+        cache: { type: 'object' },
+        timestamp: { type: 'string', format: 'date-time' }
+      }
+    },
+    GraphQLRequest: {
+      type: 'object',
+      required: ['query'],
+      properties: {
+        query: { type: 'string' },
+        operationName: { type: 'string', nullable: true },
+        variables: { type: 'object', nullable: true }
+      }
+    },
+    GraphQLResponse: {
+      type: 'object',
+      properties: {
+        data: { type: 'object', nullable: true },
+        errors: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['message'],
+            properties: {
+              message: { type: 'string' },
+              path: { type: 'array', items: {} },
+              extensions: { type: 'object' }
+            }
+          }
+        }
+      }
+    },
+    FieldError: {
+      type: 'object',
+      required: ['field', 'message'],
+      properties: {
+        field: { type: 'string', description: 'Offending field; empty for the body as a whole' },
+        message: { type: 'string' }
+      }
+    },
+    Problem: {
+      type: 'object',
+      description: 'RFC 7807 problem details',
+      required: ['type', 'title', 'status'],
+      properties: {
+        type: {
+          type: 'string',
+          description: 'Kind of problem: `about:blank` or one of '
+            + Object.keys(PROBLEM_TYPES).map((type) => `\`/problems/${type}\``).join(', ')
+        },
+        title: { type: 'string', description: 'Fixed summary of the problem type' },
+        status: { type: 'integer' },
+        detail: { type: 'string', description: 'What went wrong with this request' },
+        instance: { type: 'string' },
+        requestId: { type: 'string', description: 'Same as the X-Request-Id response header' },
+        fields: { type: 'array', items: schemaRef('FieldError') },
+        upstreamStatus: { type: 'integer', description: 'Status the C# backend answered with' }
+      }
+    }
+  },
+  responses: {
+    Error: problemResponse('Error'),
+    BadRequest: problemResponse('Invalid request; `fields` lists the problems'),
+    Unauthorized: problemResponse('Missing, invalid or expired access token'),
+    Forbidden: problemResponse('The caller is not allowed to do this'),
+    NotFound: problemResponse('Not found'),
+    Conflict: problemResponse('A request with this Idempotency-Key is still running'),
+    Gone: problemResponse('The undo window of the delete has closed'),
+    PreconditionFailed: problemResponse('Changed since the If-Match version was loaded', problemWith({
+      current: { type: 'object', description: 'The resource as it is now' }
+    }, ['current']), ETAG_HEADER),
+    PayloadTooLarge: problemResponse('Too many items, rows or bytes'),
+    UnprocessableEntity: problemResponse('Idempotency-Key reused with a different payload'),
+    PreconditionRequired: problemResponse('If-Match is required (REQUIRE_IF_MATCH)'),
+    TooManyRequests: problemResponse('Rate limit exceeded', problemWith({
+      retryAfter: { type: 'integer', description: 'Seconds until a request will be accepted again' }
+    }, ['retryAfter']), {
+      'Retry-After': { $ref: '#/components/headers/RetryAfter' }
+    }),
+    UpstreamError: problemResponse('The C# backend failed (its status is in `upstreamStatus`) or could not be reached'),
+    ServiceUnavailable: problemResponse('The circuit breaker of every C# backend instance is open', undefined, {
+      'Retry-After': { $ref: '#/components/headers/RetryAfter' }
+    })
+  }
+};
+
+const paths = {
+  '/health': {
+    get: operation({
+      tags: ['Operations'],
+      summary: 'Detailed health of the gateway and each dependency',
+      description: 'Answers 200 whenever the gateway serves requests, also while a dependency is down; '
+        + 'the state is in `status`. Readiness probes should use `/health/ready`.',
+      security: PUBLIC,
+      responses: {
+        200: jsonResponse('Health report, whether up, degraded or down', schemaRef('Health'))
+      }
+    })
+  },
+  '/health/live': {
+    get: operation({
+      tags: ['Operations'],
+      summary: 'Liveness: the gateway process is serving requests; never checks dependencies',
+      security: PUBLIC,
+      responses: {
+        200: jsonResponse('Alive', {
+          type: 'object',
+          required: ['status'],
+          properties: { status: { type: 'string', enum: ['alive'] }, uptimeSeconds: { type: 'integer' } }
+        })
+      }
+    })
+  },
+  '/health/ready': {
+    get: operation({
+      tags: ['Operations'],
+      summary: 'Readiness: the gateway can serve traffic (no critical dependency is down)',
+      security: PUBLIC,
+      responses: {
+        200: jsonResponse('Ready', schemaRef('Readiness')),
+        503: jsonResponse('Not ready', schemaRef('Readiness'))
+      }
+    })
+  },
+  '/metrics': {
+    get: operation({
+      tags: ['Operations'],
+      summary: 'Gateway metrics as JSON or in Prometheus text format',
+      security: PUBLIC,
+      parameters: [{
+        name: 'format',
+        in: 'query',
+        description: 'prometheus for the text format (also chosen by Accept: text/plain)',
+        schema: { type: 'string', enum: ['json', 'prometheus'] }
+      }],
+      responses: {
+        200: {
+          description: 'Metrics',
+          content: {
+            'application/json': { schema: schemaRef('Metrics') },
+            'text/plain': { schema: { type: 'string' } }
+          }
+        }
+      }
+    })
+  },
+  '/openapi.json': {
+    get: operation({
+      tags: ['Operations'],
+      summary: 'This document',
+      security: PUBLIC,
+      responses: { 200: jsonResponse('OpenAPI document', { type: 'object' }) }
+    })
+  },
+  '/api/auth/login': {
+    post: operation({
+      tags: ['Authentication'],
+      summary: 'Sign in with email and password',
+      security: PUBLIC,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['email'],
+        properties: {
+          email: { type: 'string' },
+          password: { type: 'string', description: 'Required unless AUTH_DEV_LOGIN is on' }
+        }
+      }),
+      errors: [400, 401],
+      responses: { 200: jsonResponse('Token pair and the signed-in user', schemaRef('Tokens')) }
+    })
+  },
+  '/api/auth/refresh': {
+    post: operation({
+      tags: ['Authentication'],
+      summary: 'Exchange a refresh token for a new token pair',
+      security: PUBLIC,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['refreshToken'],
+        properties: { refreshToken: { type: 'string' } }
+      }),
+      errors: [401],
+      responses: { 200: jsonResponse('New token pair', schemaRef('Tokens')) }
+    })
+  },
+  '/api/auth/me': {
+    get: operation({
+      tags: ['Authentication'],
+      summary: 'The signed-in user',
+      errors: [401],
+      responses: { 200: jsonResponse('Signed-in user', schemaRef('User')) }
+    })
+  },
+  '/api/events': {
+    get: operation({
+      tags: ['Events'],
+      summary: 'Server-Sent Events stream of user and task changes',
+      security: [{ bearerAuth: [] }, { streamTicket: [] }],
+      parameters: [
+        {
+          name: 'lastEventId',
+          in: 'query',
+          description: 'Resume after this event (or send Last-Event-ID)',
+          schema: { type: 'integer', minimum: 0 }
+        },
+        {
+          name: 'ticket',
+          in: 'query',
+          description: 'Single-use ticket from POST /api/events/ticket',
+          schema: { type: 'string' }
+        }
+      ],
+      errors: [401],
+      responses: {
+        200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } }
+      }
+    })
+  },
+  '/api/events/ticket': {
+    post: operation({
+      tags: ['Events'],
+      summary: 'A single-use ticket for opening the event stream, valid for 30 seconds',
+      errors: [401],
+      responses: { 200: jsonResponse('Stream ticket', schemaRef('StreamTicket')) }
+    })
+  },
+  '/api/users': {
+    get: operation({
+      tags: ['Users'],
+      summary: 'List users',
+      parameters: [...LIST_PARAMETERS, paramRef('IfNoneMatch')],
+      errors: [400, 401],
+      responses: { 200: jsonResponse('A page of users', schemaRef('UserList'), ETAG_HEADER) }
+    }),
+    post: operation({
+      tags: ['Users'],
+      summary: 'Create a user (admins only)',
+      parameters: [paramRef('IdempotencyKey')],
+      requestBody: jsonBody(schemaRef('UserInput')),
+      errors: [400, 401, 403, 409, 422],
+      responses: { 201: jsonResponse('Created user', schemaRef('User')) }
+    })
+  },
+  '/api/users/bulk': {
+    post: operation({
+      tags: ['Users'],
+      summary: 'Create many users (admins only)',
+      parameters: [paramRef('IdempotencyKey')],
+      requestBody: bulkBody('UserInput'),
+      errors: [400, 401, 403, 409, 413, 422],
+      responses: {
+        201: jsonResponse('Every user was created', schemaRef('BulkResult')),
+        207: jsonResponse('Some items failed; see each result', schemaRef('BulkResult'))
+      }
+    })
+  },
+  '/api/users/{id}': {
+    get: operation({
+      tags: ['Users'],
+      summary: 'Get a user',
+      parameters: [paramRef('Id'), paramRef('IfNoneMatch')],
+      errors: [401, 404],
+      responses: {
+        200: jsonResponse('User', schemaRef('User'), ETAG_HEADER),
+        304: { description: 'The If-None-Match copy is current' }
+      }
+    }),
+    put: operation({
+      tags: ['Users'],
+      summary: 'Update a user',
+      parameters: [paramRef('Id'), paramRef('IfMatch')],
+      requestBody: jsonBody(schemaRef('UserInput')),
+      errors: [400, 401, 403, 404, 412, 428],
+      responses: { 200: jsonResponse('Updated user', schemaRef('User'), ETAG_HEADER) }
+    }),
+    delete: operation({
+      tags: ['Users'],
+      summary: 'Delete a user after reassigning or deleting their tasks (admins only)',
+      parameters: [paramRef('Id'), paramRef('ReassignTo'), paramRef('Cascade'), paramRef('IfMatch')],
+      errors: [400, 401, 403, 404, 412, 428, 502],
+      responses: { 200: jsonResponse('Deleted user, what happened to their tasks and how to undo it', schemaRef('UserDeleted')) }
+    })
+  },
+  '/api/users/{id}/password': {
+    put: operation({
+      tags: ['Users'],
+      summary: 'Set a sign-in password (your own, or anyone\'s for admins)',
+      parameters: [paramRef('Id')],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['password'],
+        properties: {
+          password: { type: 'string', minLength: MIN_PASSWORD_LENGTH },
+          currentPassword: { type: 'string', description: 'Required to change your own password once one is set' }
+        }
+      }),
+      errors: [400, 401, 403, 404, 502],
+      responses: { 204: { description: 'Saved' } }
+    })
+  },
+  '/api/users/{id}/restore': {
+    post: operation({
+      tags: ['Users'],
+      summary: 'Undo a user delete within its undo window',
+      parameters: [paramRef('Id')],
+      errors: [401, 403, 404, 410, 502],
+      responses: { 200: jsonResponse('Restored user and tasks', schemaRef('UserRestored')) }
+    })
+  },
+  '/api/users/{id}/overview': {
+    get: operation({
+      tags: ['Users'],
+      summary: 'A user with their tasks grouped by status, counts and completion rate',
+      parameters: [paramRef('Id')],
+      errors: [400, 401, 404, 502],
+      responses: { 200: jsonResponse('Overview; partial when the tasks could not be loaded', schemaRef('UserOverview')) }
+    })
+  },
+  '/api/users/{id}/history': {
+    get: operation({
+      tags: ['Users'],
+      summary: 'Changes made to a user, newest first (admins and managers)',
+      parameters: [paramRef('Id'), ...LIST_PARAMETERS],
+      errors: [400, 401, 403],
+      responses: { 200: jsonResponse('Audit entries for the user', schemaRef('History')) }
+    })
+  },
+  '/api/tasks': {
+    get: operation({
+      tags: ['Tasks'],
+      summary: 'List tasks',
+      parameters: [...TASK_FILTERS, ...LIST_PARAMETERS, paramRef('IfNoneMatch')],
+      errors: [400, 401],
+      responses: { 200: jsonResponse('A page of tasks', schemaRef('TaskList'), ETAG_HEADER) }
+    }),
+    post: operation({
+      tags: ['Tasks'],
+      summary: 'Create a task',
+      parameters: [paramRef('IdempotencyKey')],
+      requestBody: jsonBody(schemaRef('TaskInput')),
+      errors: [400, 401, 403, 409, 422],
+      responses: { 201: jsonResponse('Created task', schemaRef('Task')) }
+    })
+  },
+  '/api/tasks/bulk': {
+    post: operation({
+      tags: ['Tasks'],
+      summary: 'Create many tasks',
+      parameters: [paramRef('IdempotencyKey')],
+      requestBody: bulkBody('TaskInput'),
+      errors: [400, 401, 409, 413, 422],
+      responses: {
+        201: jsonResponse('Every task was created', schemaRef('BulkResult')),
+        207: jsonResponse('Some items failed; see each result', schemaRef('BulkResult'))
+      }
+    }),
+    patch: operation({
+      tags: ['Tasks'],
+      summary: 'Change the status of and/or reassign many tasks',
+      requestBody: bulkBody('TaskPatch'),
+      errors: [400, 401, 413, 502],
+      responses: {
+        200: jsonResponse('Every task was updated', schemaRef('BulkResult')),
+        207: jsonResponse('Some items failed; see each result', schemaRef('BulkResult'))
+      }
+    })
+  },
+  '/api/tasks/{id}': {
+    get: operation({
+      tags: ['Tasks'],
+      summary: 'Get a task',
+      parameters: [paramRef('Id'), paramRef('IfNoneMatch')],
+      errors: [401, 404],
+      responses: {
+        200: jsonResponse('Task', schemaRef('Task'), ETAG_HEADER),
+        304: { description: 'The If-None-Match copy is current' }
+      }
+    }),
+    put: operation({
+      tags: ['Tasks'],
+      summary: 'Update a task',
+      parameters: [paramRef('Id'), paramRef('IfMatch')],
+      requestBody: jsonBody(schemaRef('TaskInput')),
+      errors: [400, 401, 403, 404, 412, 428],
+      responses: { 200: jsonResponse('Updated task', schemaRef('Task'), ETAG_HEADER) }
+    }),
+    delete: operation({
+      tags: ['Tasks'],
+      summary: 'Delete a task',
+      parameters: [paramRef('Id'), paramRef('IfMatch')],
+      errors: [401, 403, 404, 412, 428, 502],
+      responses: { 200: jsonResponse('Deleted task and how to undo it', schemaRef('TaskDeleted')) }
+    })
+  },
+  '/api/tasks/{id}/restore': {
+    post: operation({
+      tags: ['Tasks'],
+      summary: 'Undo a task delete within its undo window',
+      parameters: [paramRef('Id')],
+      errors: [401, 403, 404, 410, 502],
+      responses: { 200: jsonResponse('Restored task', schemaRef('Task')) }
+    })
+  },
+  '/api/tasks/{id}/history': {
+    get: operation({
+      tags: ['Tasks'],
+      summary: 'Changes made to a task, newest first (admins and managers)',
+      parameters: [paramRef('Id'), ...LIST_PARAMETERS],
+      errors: [400, 401, 403],
+      responses: { 200: jsonResponse('Audit entries for the task', schemaRef('History')) }
+    })
+  },
+  '/api/audit': {
+    get: operation({
+      tags: ['Audit'],
+      summary: 'Every audited create and update, newest first (admins and managers)',
+      parameters: [
+        { name: 'entity', in: 'query', schema: { type: 'string', enum: AUDIT_ENTITIES } },
+        { name: 'entityId', in: 'query', schema: { type: 'integer', minimum: 0 } },
+        { name: 'actorId', in: 'query', description: 'Who made the change', schema: { type: 'integer', minimum: 0 } },
+        { name: 'action', in: 'query', schema: { type: 'string', enum: AUDIT_ACTIONS } },
+        { name: 'field', in: 'query', description: 'Only changes to this field', schema: { type: 'string', minLength: 1 } },
+        { name: 'requestId', in: 'query', schema: { type: 'string', minLength: 1 } },
+        { name: 'since', in: 'query', description: 'ISO 8601 date or time', schema: { type: 'string' } },
+        { name: 'until', in: 'query', description: 'ISO 8601 date or time', schema: { type: 'string' } },
+        ...LIST_PARAMETERS
+      ],
+      errors: [400, 401, 403],
+      responses: { 200: jsonResponse('A page of audit entries (20 by default)', schemaRef('AuditList')) }
+    })
+  },
+  '/api/admin/config': {
+    get: operation({
+      tags: ['Admin'],
+      summary: 'The configuration in force, secrets masked (admins)',
+      errors: [401, 403],
+      responses: { 200: jsonResponse('Every setting with its value and source', schemaRef('Config')) }
+    })
+  },
+  '/api/webhooks': {
+    get: operation({
+      tags: ['Webhooks'],
+      summary: 'Webhook subscriptions (admins)',
+      errors: [401, 403],
+      responses: { 200: jsonResponse('Every subscription', schemaRef('WebhookList')) }
+    }),
+    post: operation({
+      tags: ['Webhooks'],
+      summary: 'Subscribe a URL to change events (admins)',
+      requestBody: jsonBody(schemaRef('WebhookInput')),
+      errors: [400, 401, 403],
+      responses: { 201: jsonResponse('Created; the only answer that includes the secret', schemaRef('WebhookCreated')) }
+    })
+  },
+  '/api/webhooks/dead-letters': {
+    get: operation({
+      tags: ['Webhooks'],
+      summary: 'Deliveries that gave up, newest first (admins)',
+      errors: [401, 403],
+      responses: { 200: jsonResponse('Dead letters', schemaRef('DeadLetterList')) }
+    })
+  },
+  '/api/webhooks/dead-letters/{deliveryId}': {
+    delete: operation({
+      tags: ['Webhooks'],
+      summary: 'Discard a dead letter (admins)',
+      parameters: [paramRef('DeliveryId')],
+      errors: [401, 403, 404],
+      responses: { 204: { description: 'Discarded' } }
+    })
+  },
+  '/api/webhooks/dead-letters/{deliveryId}/retry': {
+    post: operation({
+      tags: ['Webhooks'],
+      summary: 'Send a dead letter again, with a fresh set of attempts (admins)',
+      parameters: [paramRef('DeliveryId')],
+      errors: [401, 403, 404],
+      responses: {
+        202: jsonResponse('Queued', {
+          type: 'object',
+          required: ['delivery'],
+          properties: { delivery: schemaRef('WebhookDelivery') }
+        })
+      }
+    })
+  },
+  '/api/webhooks/{webhookId}': {
+    get: operation({
+      tags: ['Webhooks'],
+      summary: 'One webhook subscription (admins)',
+      parameters: [paramRef('WebhookId')],
+      errors: [401, 403, 404],
+      responses: { 200: jsonResponse('The subscription', schemaRef('Webhook')) }
+    }),
+    patch: operation({
+      tags: ['Webhooks'],
+      summary: 'Change a subscription\'s URL, events, secret, description or active flag (admins)',
+      parameters: [paramRef('WebhookId')],
+      requestBody: jsonBody(schemaRef('WebhookPatch')),
+      errors: [400, 401, 403, 404],
+      responses: { 200: jsonResponse('Updated', schemaRef('Webhook')) }
+    }),
+    delete: operation({
+      tags: ['Webhooks'],
+      summary: 'Delete a subscription and drop its pending deliveries (admins)',
+      parameters: [paramRef('WebhookId')],
+      errors: [401, 403, 404],
+      responses: { 204: { description: 'Deleted' } }
+    })
+  },
+  '/api/webhooks/{webhookId}/deliveries': {
+    get: operation({
+      tags: ['Webhooks'],
+      summary: 'Delivery log: every attempt for the subscription, newest first (admins)',
+      parameters: [paramRef('WebhookId'), ...LIST_PARAMETERS],
+      errors: [400, 401, 403, 404],
+      responses: { 200: jsonResponse('A page of attempts (20 by default)', schemaRef('WebhookDeliveries')) }
+    })
+  },
+  '/api/stats': {
+    get: operation({
+      tags: ['Statistics'],
+      summary: 'User and task counts',
+      parameters: [paramRef('IfNoneMatch')],
+      errors: [401],
+      responses: { 200: jsonResponse('Statistics', schemaRef('Stats'), ETAG_HEADER) }
+    })
+  },
+  '/api/export': {
+    get: operation({
+      tags: ['Import and Export'],
+      summary: 'Download every user or task',
+      parameters: [
+        { name: 'entity', in: 'query', required: true, schema: { type: 'string', enum: Object.keys(ENTITIES) } },
+        { name: 'format', in: 'query', schema: { type: 'string', enum: Object.keys(FORMATS), default: 'csv' } },
+        ...TASK_FILTERS
+      ],
+      errors: [400, 401, 502],
+      responses: {
+        200: {
+          description: 'File download (Content-Disposition: attachment)',
+          content: Object.fromEntries(Object.values(FORMATS).map((type) => [type.split(';')[0], { schema: { type: 'string' } }]))
+        }
+      }
+    })
+  },
+  '/api/import': {
+    post: operation({
+      tags: ['Import and Export'],
+      summary: 'Create and update users or tasks from a CSV, JSON or NDJSON file',
+      parameters: [
+        { name: 'entity', in: 'query', schema: { type: 'string', enum: Object.keys(ENTITIES) } },
+        {
+          name: 'dryRun',
+          in: 'query',
+          description: 'Only check the file and report what would change',
+          schema: { type: 'string', enum: ['true', 'false'] }
+        }
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              required: ['file'],
+              properties: {
+                file: { type: 'string', format: 'binary' },
+                entity: { type: 'string', enum: Object.keys(ENTITIES) },
+                dryRun: { type: 'string', enum: ['true', 'false'] }
+              }
+            }
+          }
+        }
+      },
+      errors: [400, 401, 413, 502],
+      responses: {
+        200: jsonResponse('Dry-run report, or every row was written', {
+          anyOf: [schemaRef('ImportReport'), schemaRef('ImportResult')]
+        }),
+        207: jsonResponse('Some rows failed; see each result', schemaRef('ImportResult')),
+        422: problemResponse('The file has invalid rows; nothing was written', problemWith({
+          summary: schemaRef('ImportSummary'),
+          errors: { type: 'array', items: schemaRef('ImportRowError') }
+        }, ['summary', 'errors']))
+      }
+    })
+  },
+  '/graphql': {
+    get: operation({
+      tags: ['GraphQL'],
+      summary: 'GraphQL query (mutations must use POST)',
+      parameters: [
+        { name: 'query', in: 'query', required: true, schema: { type: 'string' } },
+        { name: 'operationName', in: 'query', schema: { type: 'string' } },
+        { name: 'variables', in: 'query', description: 'JSON-encoded variables', schema: { type: 'string' } }
+      ],
+      errors: [401],
+      responses: {
+        200: jsonResponse('Result', schemaRef('GraphQLResponse')),
+        400: jsonResponse('The query could not be parsed or validated', schemaRef('GraphQLResponse')),
+        405: jsonResponse('Mutation sent over GET', schemaRef('GraphQLResponse'))
+      }
+    }),
+    post: operation({
+      tags: ['GraphQL'],
+      summary: 'GraphQL query or mutation',
+      requestBody: jsonBody(schemaRef('GraphQLRequest')),
+      errors: [401],
+      responses: {
+        200: jsonResponse('Result', schemaRef('GraphQLResponse')),
+        400: jsonResponse('The query could not be parsed or validated', schemaRef('GraphQLResponse'))
+      }
+    })
+  }
+};
+
+const openApiDocument = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Node.js API Gateway',
+    version,
+    description: 'Gateway in front of the C# backend: authentication, validation, caching and live updates for users and tasks.'
+  },
+  security: [{ bearerAuth: [] }],
+  tags: ['Operations', 'Authentication', 'Events', 'Users', 'Tasks', 'Statistics', 'Audit', 'Webhooks', 'Import and Export', 'GraphQL', 'Admin']
+    .map((name) => ({ name })),
+  paths,
+  components
+};
+
+module.exports = { openApiDocument, toJsonSchema };
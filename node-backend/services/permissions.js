@@ -0,0 +1,115 @@
+// Role-based permission policy for the gateway.
+//
+//   admin      - everything
+//   manager    - create/update any task; update users other than admins
+//                (but not their role)
+//   developer,
+//   designer   - update their own profile (but not their role); create
+//                tasks for themselves and update tasks assigned to them
+//                without reassigning them
+//
+// Everyone can set their own password; admins can set anyone's.
+//
+// Deleting users is for admins only (and never their own account); tasks
+// can be deleted by admins and managers, or by the person they are assigned
+// to.
+//
+// Reading the audit log (every change by everyone) is for admins and
+// managers; managing webhooks (which send data to outside URLs) and viewing
+// the gateway configuration are for admins only.
+//
+// Every check returns { allowed, reason } so the caller can explain a 403.
+const ROLES = ['admin', 'manager', 'developer', 'designer'];
+
+const allow = () => ({ allowed: true });
+const deny = (reason) => ({ allowed: false, reason });
+
+const isAdmin = (actor) => actor.role === 'admin';
+const isManager = (actor) => actor.role === 'manager';
+
+function canCreateUser(actor) {
+  return isAdmin(actor) ? allow() : deny('Only admins can create users');
+}
+
+function canUpdateUser(actor, currentUser, changes) {
+  if (changes.role !== undefined && changes.role !== currentUser.role && !isAdmin(actor)) {
+    return deny('Only admins can change roles');
+  }
+  if (isAdmin(actor) || actor.id === currentUser.id) {
+    return allow();
+  }
+  if (isManager(actor) && !isAdmin(currentUser)) {
+    return allow();
+  }
+  return deny('You can only update your own profile');
+}
+
+function canCreateTask(actor, task) {
+  if (isAdmin(actor) || isManager(actor)) {
+    return allow();
+  }
+  return Number(task.userId) === actor.id
+    ? allow()
+    : deny('You can only create tasks assigned to yourself');
+}
+
+function canUpdateTask(actor, currentTask, changes) {
+  if (isAdmin(actor) || isManager(actor)) {
+    return allow();
+  }
+  if (currentTask.userId !== actor.id) {
+    return deny('You can only update tasks assigned to you');
+  }
+  if (changes.userId !== undefined && Number(changes.userId) !== actor.id) {
+    return deny('Only admins and managers can reassign tasks');
+  }
+  return allow();
+}
+
+function canDeleteUser(actor, currentUser) {
+  if (!isAdmin(actor)) {
+    return deny('Only admins can delete users');
+  }
+  return actor.id === currentUser.id ? deny('You cannot delete your own account') : allow();
+}
+
+function canDeleteTask(actor, currentTask) {
+  if (isAdmin(actor) || isManager(actor) || currentTask.userId === actor.id) {
+    return allow();
+  }
+  return deny('You can only delete tasks assigned to you');
+}
+
+function canViewAuditLog(actor) {
+  return isAdmin(actor) || isManager(actor)
+    ? allow()
+    : deny('Only admins and managers can read the audit log');
+}
+
+function canManageWebhooks(actor) {
+  return isAdmin(actor) ? allow() : deny('Only admins can manage webhooks');
+}
+
+function canSetPassword(actor, userId) {
+  return isAdmin(actor) || actor.id === userId
+    ? allow()
+    : deny('You can only change your own password');
+}
+
+function canViewConfig(actor) {
+  return isAdmin(actor) ? allow() : deny('Only admins can view the configuration');
+}
+
+module.exports = {
+  ROLES,
+  canCreateUser,
+  canUpdateUser,
+  canCreateTask,
+  canUpdateTask,
+  canDeleteUser,
+  canDeleteTask,
+  canViewAuditLog,
+  canManageWebhooks,
+  canSetPassword,
+  canViewConfig
+};
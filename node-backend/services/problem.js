@@ -0,0 +1,106 @@
+const http = require('http');
+const logger = require('./logger');
+
+// RFC 7807 problem details, the body of every error response:
+//
+//   {
+//     "type": "/problems/validation-failed",
+//     "title": "Validation failed",
+//     "status": 400,
+//     "detail": "Email must be a valid email address",
+//     "instance": "/api/users",
+//     "requestId": "9f1c...",
+//     "fields": [{ "field": "email", "message": "..." }]
+//   }
+//
+// `type` identifies the kind of problem for clients to branch on; `title`
+// is its fixed human-readable summary and `detail` what went wrong this
+// time. Anything else (fields, current, retryAfter, upstreamStatus, ...) is
+// an extension member.
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+const PROBLEM_TYPES = {
+  'validation-failed': { status: 400, title: 'Validation failed' },
+  'invalid-request': { status: 400, title: 'Invalid request' },
+  unauthorized: { status: 401, title: 'Authentication required' },
+  forbidden: { status: 403, title: 'Forbidden' },
+  'not-found': { status: 404, title: 'Not found' },
+  conflict: { status: 409, title: 'Conflict' },
+  'undo-expired': { status: 410, title: 'Undo window closed' },
+  'precondition-failed': { status: 412, title: 'Changed since it was loaded' },
+  'payload-too-large': { status: 413, title: 'Payload too large' },
+  unprocessable: { status: 422, title: 'Unprocessable request' },
+  'precondition-required': { status: 428, title: 'If-Match required' },
+  'rate-limited': { status: 429, title: 'Rate limit exceeded' },
+  'internal-error': { status: 500, title: 'Internal server error' },
+  'upstream-error': { status: 502, title: 'C# backend error' },
+  'upstream-unavailable': { status: 503, title: 'C# backend unavailable' }
+};
+
+// The type used when a status is sent without one; a 400 listing fields
+// is a validation problem
+const DEFAULT_TYPE_BY_STATUS = Object.fromEntries(
+  Object.entries(PROBLEM_TYPES)
+    .filter(([type]) => type !== 'validation-failed')
+    .map(([type, { status }]) => [status, type])
+);
+const defaultType = (status, extensions) =>
+  status === 400 && extensions.fields ? 'validation-failed' : DEFAULT_TYPE_BY_STATUS[status];
+
+const problemDetails = (req, status, detail, { type: requestedType, ...extensions } = {}) => {
+  const type = requestedType || defaultType(status, extensions);
+  const known = PROBLEM_TYPES[type];
+  const body = {
+    type: known ? `/problems/${type}` : 'about:blank',
+    title: known ? known.title : http.STATUS_CODES[status] || 'Error',
+    status,
+    detail,
+    instance: logger.redactUrl(req.originalUrl),
+    requestId: req.id
+  };
+  for (const [key, value] of Object.entries(extensions)) {
+    if (value !== undefined) {
+      body[key] = value;
+    }
+  }
+  return body;
+};
+
+const sendProblem = (res, status, detail, extensions) =>
+  res.status(status).type(PROBLEM_CONTENT_TYPE).json(problemDetails(res.req, status, detail, extensions));
+
+// Status for an error thrown while handling a request. 4xx answers from the
+// C# backend keep their status; its 5xx answers and an unreachable backend
+// are a 502, an open circuit a 503. Errors without a status are bugs: they
+// are logged and answered with a generic 500.
+const statusFromError = (error) => {
+  if (error.code === 'UPSTREAM_UNREACHABLE' || error.upstreamStatus >= 500) {
+    return 502;
+  }
+  return error.statusCode || 500;
+};
+
+const sendError = (res, error, extensions = {}) => {
+  const status = statusFromError(error);
+  const expected = Boolean(error.statusCode || error.code);
+  if (!expected) {
+    logger.error('unexpected error', { method: res.req.method, path: logger.redactUrl(res.req.originalUrl), error });
+  }
+  if (error.retryAt) {
+    res.set('Retry-After', String(Math.max(1, Math.ceil((Date.parse(error.retryAt) - Date.now()) / 1000))));
+  }
+  return sendProblem(res, status, expected ? error.message : 'An unexpected error occurred', {
+    fields: error.fields,
+    upstreamStatus: error.upstreamStatus,
+    ...extensions
+  });
+};
+
+module.exports = {
+  PROBLEM_CONTENT_TYPE,
+  PROBLEM_TYPES,
+  problemDetails,
+  sendProblem,
+  sendError,
+  statusFromError
+};
@@ -0,0 +1,175 @@
+// Minimal Prometheus text exposition (format version 0.0.4) for the gateway.
+// Only what /metrics needs: labelled counters, histograms and collected
+// gauges/counters.
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabelValue = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+// Label sets are stored under a key built from the label values in the
+// order the metric declared its label names.
+class Metric {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  seriesFor(labels) {
+    const key = this.labelNames.map((name) => labels[name] ?? '').join('\u0000');
+    if (!this.series.has(key)) {
+      const labelValues = {};
+      this.labelNames.forEach((name) => {
+        labelValues[name] = labels[name] ?? '';
+      });
+      this.series.set(key, this.createSeries(labelValues));
+    }
+    return this.series.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+
+  createSeries(labels) {
+    return { labels, value: 0 };
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels).value += amount;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+// Values read at scrape time from a collect() callback returning
+// [{ labels, value }], for state owned by other modules (cache, circuit
+// breaker). Exposed as either a gauge or a counter.
+class Collector extends Metric {
+  constructor(name, help, type, collect) {
+    super(name, help);
+    this.metricType = type;
+    this.collect = collect;
+  }
+
+  get type() {
+    return this.metricType;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels = {}, value } of this.collect()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    super(name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  get type() {
+    return 'histogram';
+  }
+
+  createSeries(labels) {
+    return { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, collect) {
+    return this.register(new Collector(name, help, 'gauge', collect));
+  }
+
+  collectedCounter(name, help, collect) {
+    return this.register(new Collector(name, help, 'counter', collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  render() {
+    return this.metrics.map((metric) => metric.render().join('\n')).join('\n\n') + '\n';
+  }
+}
+
+// 200 -> '2xx'; used instead of the raw status to keep label cardinality low.
+const statusClass = (statusCode) => (statusCode ? `${Math.floor(statusCode / 100)}xx` : 'none');
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  Registry,
+  Counter,
+  Collector,
+  Histogram,
+  statusClass
+};
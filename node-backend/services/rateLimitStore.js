@@ -0,0 +1,169 @@
+const logger = require('./logger');
+
+// Token-bucket state for the rate limiter.
+//
+// A store has one method that matters, `take(key, { capacity, refillPerMs })`,
+// which refills the bucket for the time since it was last used, removes one
+// token if there is one and resolves to
+//   { allowed, remaining, retryAfterMs, resetMs }
+// where retryAfterMs is how long until a token is available again and
+// resetMs how long until the bucket is full. A full bucket is the same as
+// no bucket, so state only has to be kept until then.
+
+// Shared by both stores so they agree exactly
+const refill = ({ tokens, updatedAt }, { capacity, refillPerMs }, now) =>
+  Math.min(capacity, tokens + Math.max(0, now - updatedAt) * refillPerMs);
+
+const outcome = (tokens, allowed, { capacity, refillPerMs }) => ({
+  allowed,
+  remaining: Math.floor(tokens),
+  retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs),
+  resetMs: Math.ceil((capacity - tokens) / refillPerMs)
+});
+
+// Buckets for a single gateway instance. Entries are kept in order of last
+// use, so the ones that have refilled (and can be forgotten) are found from
+// the front without scanning the rest; when the store is full the least
+// recently used buckets are dropped first.
+class MemoryRateLimitStore {
+  constructor({ maxBuckets = 100000 } = {}) {
+    this.type = 'memory';
+    this.maxBuckets = maxBuckets;
+    this.buckets = new Map();
+    this.stats = { evictions: 0 };
+  }
+
+  async take(key, limits, now = Date.now()) {
+    const bucket = this.buckets.get(key);
+    let tokens = bucket ? refill(bucket, limits, now) : limits.capacity;
+    const allowed = tokens >= 1;
+    if (allowed) {
+      tokens -= 1;
+    }
+
+    this.buckets.delete(key);
+    this.evict(now);
+    this.buckets.set(key, {
+      tokens,
+      updatedAt: now,
+      fullAt: now + (limits.capacity - tokens) / limits.refillPerMs
+    });
+    return outcome(tokens, allowed, limits);
+  }
+
+  // Stops at the first bucket still refilling. Buckets of a slow-refilling
+  // policy can hold up the sweep for a while, which maxBuckets bounds.
+  evict(now) {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.fullAt > now && this.buckets.size < this.maxBuckets) {
+        break;
+      }
+      if (bucket.fullAt > now) {
+        this.stats.evictions++;
+      }
+      this.buckets.delete(key);
+    }
+  }
+
+  getStats() {
+    return {
+      type: this.type,
+      buckets: this.buckets.size,
+      maxBuckets: this.maxBuckets,
+      ...this.stats
+    };
+  }
+}
+
+// Refill and take in one atomic step on the Redis server, using its clock
+// so gateway instances with drifting clocks still share one bucket.
+// Keys expire once the bucket would be full again.
+const TAKE_TOKEN_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refillPerMs = tonumber(ARGV[2])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = capacity
+if bucket[1] then
+  tokens = math.min(capacity, tonumber(bucket[1]) + math.max(0, now - tonumber(bucket[2])) * refillPerMs)
+end
+
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / refillPerMs) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+// Buckets shared by every gateway instance pointing at the same Redis.
+// When Redis cannot be reached requests are let through (and counted)
+// rather than failing the whole API.
+class RedisRateLimitStore {
+  constructor({ url, keyPrefix = 'gateway:ratelimit:' } = {}) {
+    // Only needed when this store is configured
+    const Redis = require('ioredis');
+
+    this.type = 'redis';
+    this.keyPrefix = keyPrefix;
+    this.redis = new Redis(url, {
+      // Fail fast instead of queueing requests while disconnected
+      enableOfflineQueue: false,
+      maxRetriesPerRequest: 1
+    });
+    this.redis.defineCommand('takeToken', { numberOfKeys: 1, lua: TAKE_TOKEN_SCRIPT });
+    // ioredis emits an error for every failed reconnect attempt, so only
+    // the change to unavailable and back is logged at warn/info
+    this.available = true;
+    this.redis.on('error', (error) => {
+      if (this.available) {
+        this.available = false;
+        logger.warn('rate limit store unavailable', { error: error.message });
+      } else {
+        logger.debug('rate limit store still unavailable', { error: error.message });
+      }
+    });
+    this.redis.on('ready', () => {
+      if (!this.available) {
+        this.available = true;
+        logger.info('rate limit store recovered');
+      }
+    });
+    this.stats = { errors: 0, lastError: null };
+  }
+
+  async take(key, limits) {
+    try {
+      const [allowed, tokens] = await this.redis.takeToken(
+        this.keyPrefix + key,
+        limits.capacity,
+        limits.refillPerMs
+      );
+      return outcome(parseFloat(tokens), allowed === 1, limits);
+    } catch (error) {
+      this.stats.errors++;
+      this.stats.lastError = error.message;
+      return outcome(limits.capacity, true, limits);
+    }
+  }
+
+  // Rejects when Redis cannot be reached; used by the health checks
+  async ping() {
+    await this.redis.ping();
+  }
+
+  getStats() {
+    return {
+      type: this.type,
+      status: this.redis.status,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = { MemoryRateLimitStore, RedisRateLimitStore };
@@ -0,0 +1,65 @@
+// Picks the rate limit policy for a request and takes a token from the
+// caller's bucket for it.
+//
+// Policies are checked in order and the first whose `match(req)` returns
+// true applies:
+//   { name, match, exempt: true }
+//   { name, match, capacity, refillPerMinute, anonymous: { capacity, refillPerMinute } }
+// `capacity` is the burst a client may send at once, `refillPerMinute` the
+// sustained rate. `anonymous` optionally sets tighter limits for callers
+// without a valid access token. Each client has its own bucket per policy,
+// keyed by the identity `identify(req)` returns.
+class RateLimiter {
+  constructor({ store, policies, identify }) {
+    this.store = store;
+    this.identify = identify;
+    this.counts = new Map();
+    this.setPolicies(policies);
+  }
+
+  // Can be called at runtime; existing buckets keep their tokens
+  setPolicies(policies) {
+    this.policies = policies;
+  }
+
+  limitsFor(policy, identity) {
+    const limits = (identity.anonymous && policy.anonymous) || policy;
+    return { capacity: limits.capacity, refillPerMs: limits.refillPerMinute / 60000 };
+  }
+
+  // Resolves to null for exempt requests, otherwise to the policy, the
+  // limits applied and the store's outcome
+  async check(req) {
+    const policy = this.policies.find((candidate) => candidate.match(req));
+    if (!policy || policy.exempt) {
+      return null;
+    }
+
+    const identity = this.identify(req);
+    const limits = this.limitsFor(policy, identity);
+    const result = await this.store.take(`${policy.name}:${identity.key}`, limits);
+    this.count(policy.name, result.allowed ? 'allowed' : 'limited');
+    return { policy, limits, result };
+  }
+
+  count(policyName, outcome) {
+    if (!this.counts.has(policyName)) {
+      this.counts.set(policyName, { allowed: 0, limited: 0 });
+    }
+    this.counts.get(policyName)[outcome]++;
+  }
+
+  getStats() {
+    return {
+      store: this.store.getStats(),
+      policies: this.policies.map(({ name, exempt = false, capacity, refillPerMinute, anonymous }) => ({
+        name,
+        exempt,
+        ...(exempt ? {} : { capacity, refillPerMinute, anonymous: anonymous || null }),
+        ...(this.counts.get(name) || { allowed: 0, limited: 0 })
+      }))
+    };
+  }
+}
+
+module.exports = RateLimiter;
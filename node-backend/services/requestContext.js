@@ -0,0 +1,12 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request context (currently the request ID) that follows the request
+// through every await, so the logger and makeRequest can read it without
+// threading `req` through each call.
+const storage = new AsyncLocalStorage();
+
+const run = (context, fn) => storage.run(context, fn);
+
+const get = () => storage.getStore() || {};
+
+module.exports = { run, get };
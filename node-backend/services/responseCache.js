@@ -0,0 +1,113 @@
+// In-process read-through cache for upstream GET responses.
+// Entries are keyed by path + normalized query string and expire after a
+// per-entry TTL. The Map keeps insertion order, so re-inserting on read gives
+// us LRU eviction once maxEntries is reached.
+//
+// `generation` goes up with every invalidation. A caller that takes it
+// before fetching passes it to `set`, which then drops the value if an
+// invalidation happened meanwhile: the response may predate the write.
+class ResponseCache {
+  constructor({ maxEntries = 500 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.generation = 0;
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      evictions: 0,
+      invalidations: 0,
+      discarded: 0
+    };
+  }
+
+  // Builds a stable key so `?userId=1&status=pending` and
+  // `?status=pending&userId=1` share one entry.
+  static keyFor(path, query = {}) {
+    const params = new URLSearchParams();
+    Object.keys(query).sort().forEach((name) => {
+      const value = query[name];
+      (Array.isArray(value) ? value : [value]).forEach((v) => params.append(name, v));
+    });
+    const search = params.toString();
+    return search ? `${path}?${search}` : path;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      this.stats.evictions++;
+      this.stats.misses++;
+      return undefined;
+    }
+
+    // Refresh LRU position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    return entry.value;
+  }
+
+  // Returns false when the value was dropped because `generation` is out
+  // of date
+  set(key, value, ttlMs, generation = this.generation) {
+    if (generation !== this.generation) {
+      this.stats.discarded++;
+      return false;
+    }
+    if (this.entries.has(key)) {
+      this.entries.delete(key);
+    }
+
+    while (this.entries.size >= this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+      this.stats.evictions++;
+    }
+
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    return true;
+  }
+
+  // Drops every entry whose path is one of the given prefixes or lives below
+  // it, e.g. '/api/tasks' removes '/api/tasks', '/api/tasks?userId=1' and
+  // '/api/tasks/3'.
+  invalidate(prefixes) {
+    this.generation++;
+    let removed = 0;
+    for (const key of this.entries.keys()) {
+      const matches = prefixes.some((prefix) =>
+        key === prefix || key.startsWith(`${prefix}?`) || key.startsWith(`${prefix}/`)
+      );
+      if (matches) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    this.stats.invalidations += removed;
+    return removed;
+  }
+
+  clear() {
+    this.generation++;
+    this.stats.invalidations += this.entries.size;
+    this.entries.clear();
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      hitRate: lookups ? (this.stats.hits / lookups * 100).toFixed(2) : '0.00'
+    };
+  }
+}
+
+module.exports = ResponseCache;
@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+
+// Tickets for opening the change event stream (GET /api/events).
+//
+// EventSource cannot send an Authorization header, so a browser asks for a
+// ticket with its access token and puts the ticket in the stream URL
+// instead. A ticket names the user it was issued to, is random, can be
+// used once and expires after `ttlMs`, so one that ends up in a log or a
+// proxy's history is of no use. Tickets live in memory only.
+class StreamTicketStore {
+  constructor({ ttlMs = 30000 } = {}) {
+    this.ttlMs = ttlMs;
+    this.tickets = new Map();
+    this.stats = { issued: 0, redeemed: 0, rejected: 0 };
+  }
+
+  // Returns { ticket, expiresIn } (seconds)
+  issue(user, now = Date.now()) {
+    this.evict(now);
+    const ticket = crypto.randomBytes(32).toString('base64url');
+    this.tickets.set(ticket, { user, expiresAt: now + this.ttlMs });
+    this.stats.issued++;
+    return { ticket, expiresIn: Math.ceil(this.ttlMs / 1000) };
+  }
+
+  // Returns the user the ticket was issued to, or null when it is unknown,
+  // already used or expired
+  redeem(ticket, now = Date.now()) {
+    const entry = this.tickets.get(ticket);
+    this.tickets.delete(ticket);
+    if (!entry || entry.expiresAt <= now) {
+      this.stats.rejected++;
+      return null;
+    }
+    this.stats.redeemed++;
+    return entry.user;
+  }
+
+  evict(now = Date.now()) {
+    for (const [ticket, { expiresAt }] of this.tickets) {
+      if (expiresAt <= now) {
+        this.tickets.delete(ticket);
+      }
+    }
+  }
+
+  getStats() {
+    return { pending: this.tickets.size, ...this.stats };
+  }
+}
+
+module.exports = StreamTicketStore;
@@ -0,0 +1,81 @@
+// Remembers what a delete did so it can be undone for a while afterwards.
+//
+// Each entry is keyed by entity and ID and holds whatever the restore needs
+// (the deleted record, tasks that were reassigned or deleted with it). An
+// entry can be taken once: a second restore, or one after the window has
+// closed, finds nothing to undo. Closed entries are kept for one more window
+// so a late undo can be told apart from one that never existed. Entries live
+// in memory only, so a restart ends every undo window.
+class UndoStore {
+  constructor({ windowMs = 30000 } = {}) {
+    this.windowMs = windowMs;
+    this.entries = new Map();
+    this.stats = { remembered: 0, restored: 0, expired: 0 };
+  }
+
+  // Returns the time until which the delete can be undone
+  remember(entity, id, data, now = Date.now()) {
+    this.evict(now);
+    const expiresAt = now + this.windowMs;
+    this.entries.delete(`${entity}:${id}`);
+    this.entries.set(`${entity}:${id}`, { data, expiresAt });
+    this.stats.remembered++;
+    return new Date(expiresAt);
+  }
+
+  // Returns one of
+  //   { status: 'ok', data, expiresAt } - the delete can be undone
+  //   { status: 'expired' }             - the undo window has closed
+  //   { status: 'missing' }             - nothing was deleted under this ID
+  peek(entity, id, now = Date.now()) {
+    const entry = this.entries.get(`${entity}:${id}`);
+    if (!entry) {
+      return { status: 'missing' };
+    }
+    if (entry.expiresAt <= now) {
+      return { status: 'expired' };
+    }
+    return { status: 'ok', data: entry.data, expiresAt: entry.expiresAt };
+  }
+
+  // Same as peek, but an open entry is removed so only one restore can use it
+  take(entity, id, now = Date.now()) {
+    const result = this.peek(entity, id, now);
+    if (result.status === 'ok') {
+      this.entries.delete(`${entity}:${id}`);
+    } else if (result.status === 'expired') {
+      this.stats.expired++;
+    }
+    return result;
+  }
+
+  // Puts a taken entry back when its restore failed, so it can be retried
+  // within the same window
+  giveBack(entity, id, { data, expiresAt }) {
+    this.entries.set(`${entity}:${id}`, { data, expiresAt });
+  }
+
+  // Counts a taken entry as restored
+  completed() {
+    this.stats.restored++;
+  }
+
+  // Entries are kept in insertion order and share one window, so the ones
+  // closed for longer than a window are at the front
+  evict(now) {
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt + this.windowMs > now) {
+        break;
+      }
+      this.entries.delete(key);
+    }
+  }
+
+  getStats() {
+    const now = Date.now();
+    const open = [...this.entries.values()].filter((entry) => entry.expiresAt > now).length;
+    return { ...this.stats, open, windowMs: this.windowMs };
+  }
+}
+
+module.exports = UndoStore;
@@ -0,0 +1,204 @@
+const logger = require('./logger');
+
+// The C# backend instances the gateway spreads its calls over.
+//
+// Each instance is probed every `intervalMs` (see `probe`) and the calls
+// sent to it are counted. `ejectAfter` consecutive failures, from probes or
+// calls, take it out of rotation; while out, only probes reach it, and
+// `readmitAfter` consecutive successful probes bring it back. Every
+// instance also has its own circuit breaker (from `createBreaker`); while
+// that is open the instance is passed over too. When no instance is
+// available, calls go to all of them anyway: failing fast would not help,
+// and the first one to come back is used straight away.
+//
+// Instances are picked with
+//   round-robin        - each in turn
+//   least-outstanding  - the one with the fewest calls in flight (in turn
+//                        among equals)
+const STRATEGIES = ['round-robin', 'least-outstanding'];
+
+class UpstreamPool {
+  constructor({
+    urls = [],
+    strategy = 'round-robin',
+    probe,
+    createBreaker,
+    isFailure = () => true,
+    intervalMs = 5000,
+    ejectAfter = 3,
+    readmitAfter = 2
+  } = {}) {
+    this.probe = probe;
+    this.createBreaker = createBreaker;
+    this.isFailure = isFailure;
+    this.intervalMs = intervalMs;
+    this.ejectAfter = ejectAfter;
+    this.readmitAfter = readmitAfter;
+    this.upstreams = [];
+    this.cursor = 0;
+    this.timer = null;
+    this.setStrategy(strategy);
+    urls.forEach((url) => this.add(url));
+  }
+
+  // Can be called at runtime
+  setStrategy(strategy) {
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown balancing strategy: ${strategy}`);
+    }
+    this.strategy = strategy;
+  }
+
+  add(url) {
+    const trimmed = url.replace(/\/+$/, '');
+    this.upstreams.push({
+      url: trimmed,
+      breaker: this.createBreaker(trimmed),
+      state: 'healthy',
+      outstanding: 0,
+      requests: 0,
+      failures: 0,
+      ejections: 0,
+      consecutiveFailures: 0,
+      consecutiveSuccesses: 0,
+      ejectedAt: null,
+      lastCheck: null,
+      probing: null
+    });
+  }
+
+  healthy() {
+    return this.upstreams.filter((upstream) => upstream.state === 'healthy');
+  }
+
+  // Healthy and not refused by its circuit breaker
+  available() {
+    return this.healthy().filter((upstream) => upstream.breaker.allowsCalls());
+  }
+
+  // Whether an available instance is left that is not in `tried` (a Set)
+  hasUntried(tried) {
+    return this.available().some((upstream) => !tried.has(upstream));
+  }
+
+  // Prefers available instances not in `tried`, then any available one,
+  // then any at all
+  pick(tried = new Set()) {
+    const available = this.available();
+    const untried = available.filter((upstream) => !tried.has(upstream));
+    const candidates = [untried, available, this.upstreams].find((list) => list.length > 0);
+    if (!candidates) {
+      throw new Error('No C# backend instances are configured');
+    }
+
+    const start = this.cursor++ % candidates.length;
+    const inTurn = [...candidates.slice(start), ...candidates.slice(0, start)];
+    if (this.strategy === 'least-outstanding') {
+      return inTurn.reduce((best, upstream) => (upstream.outstanding < best.outstanding ? upstream : best));
+    }
+    return inTurn[0];
+  }
+
+  // Runs `call` against `upstream`, counting it as in flight until it settles
+  async track(upstream, call) {
+    upstream.outstanding++;
+    upstream.requests++;
+    try {
+      const result = await call();
+      this.succeeded(upstream);
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        upstream.failures++;
+        this.failed(upstream, error.message);
+      } else {
+        this.succeeded(upstream);
+      }
+      throw error;
+    } finally {
+      upstream.outstanding--;
+    }
+  }
+
+  // Calls only count towards ejecting; readmission takes probes
+  succeeded(upstream) {
+    if (upstream.state === 'healthy') {
+      upstream.consecutiveFailures = 0;
+    }
+  }
+
+  failed(upstream, reason) {
+    upstream.consecutiveSuccesses = 0;
+    upstream.consecutiveFailures++;
+    if (upstream.state === 'healthy' && upstream.consecutiveFailures >= this.ejectAfter) {
+      upstream.state = 'ejected';
+      upstream.ejectedAt = new Date().toISOString();
+      upstream.ejections++;
+      logger.warn('upstream instance ejected', {
+        upstream: upstream.url,
+        consecutiveFailures: upstream.consecutiveFailures,
+        reason,
+        healthy: this.healthy().length
+      });
+    }
+  }
+
+  async check(upstream) {
+    const start = Date.now();
+    try {
+      await this.probe(upstream.url);
+      upstream.lastCheck = { at: new Date().toISOString(), ok: true, latencyMs: Date.now() - start, error: null };
+      upstream.consecutiveFailures = 0;
+      upstream.consecutiveSuccesses++;
+      if (upstream.state === 'ejected' && upstream.consecutiveSuccesses >= this.readmitAfter) {
+        upstream.state = 'healthy';
+        upstream.ejectedAt = null;
+        logger.info('upstream instance readmitted', { upstream: upstream.url, healthy: this.healthy().length });
+      }
+    } catch (error) {
+      upstream.lastCheck = { at: new Date().toISOString(), ok: false, latencyMs: Date.now() - start, error: error.message };
+      this.failed(upstream, error.message);
+    }
+  }
+
+  // Probes every instance; an instance still being probed is not probed
+  // again, and callers share the running probe
+  checkAll() {
+    return Promise.all(this.upstreams.map((upstream) => {
+      if (!upstream.probing) {
+        upstream.probing = this.check(upstream).finally(() => {
+          upstream.probing = null;
+        });
+      }
+      return upstream.probing;
+    }));
+  }
+
+  start() {
+    this.stop();
+    this.checkAll();
+    this.timer = setInterval(() => this.checkAll(), this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  getStats() {
+    const total = this.upstreams.reduce((sum, upstream) => sum + upstream.requests, 0);
+    return {
+      strategy: this.strategy,
+      healthy: this.healthy().length,
+      available: this.available().length,
+      instances: this.upstreams.map(({ probing, consecutiveSuccesses, breaker, ...upstream }) => ({
+        ...upstream,
+        share: total > 0 ? Number((upstream.requests / total).toFixed(3)) : 0,
+        circuitBreaker: breaker.getState()
+      }))
+    };
+  }
+}
+
+module.exports = { UpstreamPool, STRATEGIES };
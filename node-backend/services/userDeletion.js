@@ -0,0 +1,143 @@
+const logger = require('./logger');
+const { mapWithConcurrency } = require('./concurrency');
+
+// Deleting a user through the gateway. The C# backend deletes only the user
+// record, so the gateway first deals with that user's tasks, as the caller
+// chose:
+//
+//   reassignTo=<id> - open (not completed) tasks move to that user;
+//                     completed ones keep their assignee as a record
+//   cascade=true    - every task of the user is deleted too
+//
+// If any step fails, the steps already done are undone before the error is
+// passed on, so a failed delete leaves the user and their tasks as they
+// were. Restoring reverses a successful delete.
+
+// Parses ?reassignTo and ?cascade; same { value, errors } shape as
+// parseListQuery. Exactly one of the two is required.
+function parseUserDeleteQuery(query, userId) {
+  const errors = [];
+  const value = {};
+  const hasReassign = query.reassignTo !== undefined;
+  const hasCascade = query.cascade !== undefined;
+
+  if (hasReassign && hasCascade) {
+    errors.push({ field: 'reassignTo', message: 'Use either reassignTo or cascade, not both' });
+  } else if (!hasReassign && !hasCascade) {
+    errors.push({ field: 'reassignTo', message: 'Choose where the user\'s tasks go: reassignTo=<userId> or cascade=true' });
+  } else if (hasReassign) {
+    if (!/^\d+$/.test(typeof query.reassignTo === 'string' ? query.reassignTo : '')) {
+      errors.push({ field: 'reassignTo', message: 'reassignTo must be a positive integer' });
+    } else if (parseInt(query.reassignTo, 10) === userId) {
+      errors.push({ field: 'reassignTo', message: 'Tasks cannot be reassigned to the user being deleted' });
+    } else {
+      value.reassignTo = parseInt(query.reassignTo, 10);
+    }
+  } else if (query.cascade !== 'true') {
+    errors.push({ field: 'cascade', message: 'cascade must be true when given' });
+  } else {
+    value.cascade = true;
+  }
+  return { value, errors };
+}
+
+const moveTask = (backend, task, userId) =>
+  backend.updateTask(task.id, { title: task.title, status: task.status, userId });
+
+// Runs `step` for every task, then `undo` for the ones that succeeded if
+// any failed; resolves to the results or rejects with the first failure
+async function allOrNothing(tasks, concurrency, step, undo) {
+  const outcomes = await mapWithConcurrency(tasks, concurrency, (task) =>
+    step(task).then((result) => ({ task, result }), (error) => ({ task, error })));
+  const failure = outcomes.find((outcome) => outcome.error);
+  if (!failure) {
+    return outcomes;
+  }
+  await rollBack(outcomes.filter((outcome) => !outcome.error), concurrency, undo);
+  throw failure.error;
+}
+
+// Best effort: a step that cannot be undone is logged and left as it is
+async function rollBack(outcomes, concurrency, undo) {
+  await mapWithConcurrency(outcomes, concurrency, (outcome) =>
+    undo(outcome).catch((error) => {
+      logger.error('could not roll back task change of failed user delete', { taskId: outcome.task.id, error });
+    }));
+}
+
+// Deletes `user` after moving or deleting their tasks. Resolves to
+// { reassigned: [{ before, after }], deleted: [task] }.
+async function deleteUserWithTasks(backend, user, { reassignTo, cascade }, { concurrency }) {
+  const tasks = await backend.listTasks({ userId: user.id });
+
+  let outcomes;
+  if (cascade) {
+    outcomes = await allOrNothing(tasks, concurrency,
+      (task) => backend.deleteTask(task.id),
+      ({ task }) => backend.restoreTask(task.id));
+  } else {
+    const open = tasks.filter((task) => task.status !== 'completed');
+    outcomes = await allOrNothing(open, concurrency,
+      (task) => moveTask(backend, task, reassignTo),
+      ({ task }) => moveTask(backend, task, task.userId));
+  }
+
+  try {
+    await backend.deleteUser(user.id);
+  } catch (error) {
+    await rollBack(outcomes, concurrency, cascade
+      ? ({ task }) => backend.restoreTask(task.id)
+      : ({ task }) => moveTask(backend, task, task.userId));
+    throw error;
+  }
+
+  return cascade
+    ? { reassigned: [], deleted: outcomes.map(({ task }) => task) }
+    : { reassigned: outcomes.map(({ task, result }) => ({ before: task, after: result })), deleted: [] };
+}
+
+// Restores a deleted user from what deleteUserWithTasks returned, then
+// their deleted tasks, then moves reassigned tasks back. Tasks changed by
+// someone else in the meantime (reassigned again, deleted, or already
+// restored) are left alone and listed in `skipped`. Only the user's own
+// restore is required; task steps that fail are logged and skipped.
+async function restoreUserWithTasks(backend, { user, reassignTo, reassigned, deleted }, { concurrency }) {
+  const restoredUser = await backend.restoreUser(user.id);
+  const skipped = [];
+  const skip = (taskId, reason) => {
+    skipped.push({ taskId, reason });
+    return null;
+  };
+
+  const restored = (await mapWithConcurrency(deleted, concurrency, (task) =>
+    backend.restoreTask(task.id).catch((error) => skip(task.id, error.message)))).filter(Boolean);
+
+  let current = new Map();
+  let movable = reassigned;
+  try {
+    if (reassigned.length > 0) {
+      current = new Map((await backend.listTasks({ userId: reassignTo })).map((task) => [task.id, task]));
+    }
+  } catch (error) {
+    reassigned.forEach(({ before }) => skip(before.id, error.message));
+    movable = [];
+  }
+  const movedBack = (await mapWithConcurrency(movable, concurrency, async ({ before }) => {
+    const task = current.get(before.id);
+    if (!task) {
+      return skip(before.id, 'Task is no longer assigned to the user it was reassigned to');
+    }
+    try {
+      return { before: task, after: await moveTask(backend, task, user.id) };
+    } catch (error) {
+      return skip(before.id, error.message);
+    }
+  })).filter(Boolean);
+
+  if (skipped.length > 0) {
+    logger.warn('user restored without some of their tasks', { userId: user.id, skipped });
+  }
+  return { user: restoredUser, restored, movedBack, skipped };
+}
+
+module.exports = { parseUserDeleteQuery, deleteUserWithTasks, restoreUserWithTasks };
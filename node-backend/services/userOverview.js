@@ -0,0 +1,27 @@
+const { TASK_STATUSES } = require('../schemas');
+
+// Per-user task breakdown for GET /api/users/:id/overview. Counts use the
+// same keys as the tasks block of /api/stats; completionRate is a
+// percentage with one decimal (0 when the user has no tasks).
+function summarizeTasks(tasks) {
+  const byStatus = Object.fromEntries(TASK_STATUSES.map((status) => [status, []]));
+  tasks.forEach((task) => {
+    (byStatus[task.status] = byStatus[task.status] || []).push(task);
+  });
+
+  const total = tasks.length;
+  const completed = byStatus.completed.length;
+
+  return {
+    tasks: byStatus,
+    counts: {
+      total,
+      pending: byStatus.pending.length,
+      inProgress: byStatus['in-progress'].length,
+      completed
+    },
+    completionRate: total > 0 ? Math.round((completed / total) * 1000) / 10 : 0
+  };
+}
+
+module.exports = { summarizeTasks };
@@ -0,0 +1,398 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const logger = require('./logger');
+
+// Outbound webhooks: subscriptions to change events, delivered as signed
+// JSON POSTs in the background.
+//
+// Every published change becomes one event per matching subscription:
+//
+//   { "id": "<event id>", "type": "task.status_changed", "timestamp": "...",
+//     "data": { "task": {...}, "previous": {...} },
+//     "actor": { "id": 4, "name": "Alice Admin" } }
+//
+// `task.status_changed` is sent next to `task.updated` when an update
+// changes the status; `previous` is the record before an update. Requests
+// carry X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+// keyed with the subscription's secret, the timestamp being
+// X-Webhook-Timestamp (Unix seconds).
+//
+// A delivery succeeds on a 2xx answer. Network errors, timeouts, 408, 429
+// and 5xx are retried with exponential backoff up to `maxAttempts`; other
+// answers (including redirects) are not. Deliveries that give up land in a
+// bounded dead-letter list from which they can be sent again. Every attempt
+// is kept in a bounded delivery log. Subscriptions are kept in `file`;
+// queued deliveries, dead letters and the log live in memory only.
+const WEBHOOK_EVENTS = [
+  'task.created', 'task.updated', 'task.status_changed', 'task.deleted', 'task.restored',
+  'user.created', 'user.updated', 'user.deleted', 'user.restored'
+];
+const RETRYABLE_STATUS_CODES = [408, 429];
+const MAX_LOGGED_BODY = 500;
+
+const sign = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+const newSecret = () => crypto.randomBytes(24).toString('hex');
+
+// Webhook event types for one published change
+const eventTypesFor = ({ type, payload, before }) => {
+  const types = [type];
+  if (type === 'task.updated' && before && payload.task && before.status !== payload.task.status) {
+    types.push('task.status_changed');
+  }
+  return types;
+};
+
+class WebhookDispatcher {
+  constructor({
+    file,
+    http = axios,
+    timeoutMs = 5000,
+    maxAttempts = 5,
+    retryBaseDelayMs = 1000,
+    retryMaxDelayMs = 60000,
+    concurrency = 10,
+    maxQueued = 10000,
+    logSize = 1000,
+    deadLetterSize = 500
+  }) {
+    this.file = file;
+    this.http = http;
+    this.timeoutMs = timeoutMs;
+    this.maxAttempts = maxAttempts;
+    this.retryBaseDelayMs = retryBaseDelayMs;
+    this.retryMaxDelayMs = retryMaxDelayMs;
+    this.concurrency = concurrency;
+    this.maxQueued = maxQueued;
+    this.logSize = logSize;
+    this.deadLetterSize = deadLetterSize;
+
+    this.subscriptions = new Map();
+    this.counters = new Map(); // webhookId -> delivery counters since startup
+    this.queue = [];
+    this.active = 0;
+    this.waiting = new Map(); // deliveryId -> { webhookId, timer } until the retry
+    this.log = [];
+    this.lastAttemptId = 0;
+    this.deadLetters = new Map();
+    this.saving = Promise.resolve();
+    this.stats = { events: 0, attempts: 0, succeeded: 0, retried: 0, failed: 0, dropped: 0 };
+    this.load();
+  }
+
+  load() {
+    let content;
+    try {
+      content = fs.readFileSync(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      return;
+    }
+    for (const subscription of JSON.parse(content)) {
+      this.subscriptions.set(subscription.id, subscription);
+    }
+  }
+
+  // Applies `mutate` to a copy of the subscriptions, writes the copy to a
+  // temporary file renamed over the old one, and only then makes it
+  // current: a failed write changes nothing, and a crash never leaves a
+  // half-written file behind. Changes are applied one at a time.
+  change(mutate) {
+    const changed = this.saving.then(async () => {
+      const next = new Map(this.subscriptions);
+      const result = mutate(next);
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      const temporary = `${this.file}.tmp`;
+      await fs.promises.writeFile(temporary, JSON.stringify([...next.values()], null, 2), { mode: 0o600 });
+      await fs.promises.rename(temporary, this.file);
+      this.subscriptions = next;
+      return result;
+    });
+    this.saving = changed.catch(() => {});
+    return changed;
+  }
+
+  counterFor(webhookId) {
+    if (!this.counters.has(webhookId)) {
+      this.counters.set(webhookId, { succeeded: 0, failed: 0, lastAttemptAt: null, lastOutcome: null });
+    }
+    return this.counters.get(webhookId);
+  }
+
+  // Subscription as shown by the API: everything but the secret, plus the
+  // delivery counters
+  view(subscription) {
+    const { secret, ...rest } = subscription;
+    return { ...rest, deliveries: { ...this.counterFor(subscription.id) } };
+  }
+
+  list() {
+    return [...this.subscriptions.values()].map((subscription) => this.view(subscription));
+  }
+
+  get(id) {
+    const subscription = this.subscriptions.get(id);
+    return subscription ? this.view(subscription) : null;
+  }
+
+  // Returns the new subscription including its secret, which is not shown
+  // again; one is generated when none is given
+  async create({ url, events, secret, description, active = true }, actor) {
+    const now = new Date().toISOString();
+    const subscription = {
+      id: crypto.randomUUID(),
+      url,
+      events: [...new Set(events)],
+      description: description || null,
+      active,
+      secret: secret || newSecret(),
+      createdAt: now,
+      updatedAt: now,
+      createdBy: actor ? { id: actor.id, name: actor.name } : null
+    };
+    await this.change((subscriptions) => subscriptions.set(subscription.id, subscription));
+    return { ...this.view(subscription), secret: subscription.secret };
+  }
+
+  async update(id, changes) {
+    const updated = await this.change((subscriptions) => {
+      const current = subscriptions.get(id);
+      if (!current) {
+        return null;
+      }
+      const subscription = {
+        ...current,
+        ...changes,
+        ...(changes.events && { events: [...new Set(changes.events)] }),
+        updatedAt: new Date().toISOString()
+      };
+      subscriptions.set(id, subscription);
+      return subscription;
+    });
+    return updated && this.view(updated);
+  }
+
+  // Also drops the subscription's pending deliveries and dead letters
+  async remove(id) {
+    const removed = await this.change((subscriptions) => subscriptions.delete(id));
+    if (!removed) {
+      return false;
+    }
+    this.counters.delete(id);
+    this.queue = this.queue.filter((delivery) => delivery.webhookId !== id);
+    for (const [deliveryId, { webhookId, timer }] of this.waiting) {
+      if (webhookId === id) {
+        clearTimeout(timer);
+        this.waiting.delete(deliveryId);
+      }
+    }
+    for (const [deliveryId, delivery] of this.deadLetters) {
+      if (delivery.webhookId === id) this.deadLetters.delete(deliveryId);
+    }
+    return true;
+  }
+
+  // Queues deliveries for published changes ({ type, payload, before });
+  // returns at once
+  dispatch(changes, { actor } = {}) {
+    const timestamp = new Date().toISOString();
+    for (const change of changes) {
+      for (const type of eventTypesFor(change)) {
+        const subscribers = [...this.subscriptions.values()]
+          .filter((subscription) => subscription.active && subscription.events.includes(type));
+        if (subscribers.length === 0) {
+          continue;
+        }
+        const event = {
+          id: crypto.randomUUID(),
+          type,
+          timestamp,
+          data: { ...change.payload, ...(change.before && { previous: change.before }) },
+          actor: actor ? { id: actor.id, name: actor.name } : null
+        };
+        this.stats.events++;
+        subscribers.forEach((subscription) => this.enqueue({
+          id: crypto.randomUUID(),
+          webhookId: subscription.id,
+          event,
+          attempts: 0,
+          createdAt: timestamp
+        }));
+      }
+    }
+  }
+
+  enqueue(delivery) {
+    if (this.queue.length >= this.maxQueued) {
+      this.stats.dropped++;
+      this.bury(delivery, { error: 'Delivery queue is full', responseStatus: null });
+      return;
+    }
+    this.queue.push(delivery);
+    this.pump();
+  }
+
+  pump() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const delivery = this.queue.shift();
+      this.active++;
+      this.attempt(delivery)
+        .catch((error) => logger.error('webhook delivery crashed', { deliveryId: delivery.id, error }))
+        .finally(() => {
+          this.active--;
+          this.pump();
+        });
+    }
+  }
+
+  async attempt(delivery) {
+    const subscription = this.subscriptions.get(delivery.webhookId);
+    if (!subscription) {
+      return;
+    }
+    delivery.attempts++;
+    this.stats.attempts++;
+
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const start = Date.now();
+    let responseStatus = null;
+    let responseBody = null;
+    let error = null;
+    try {
+      const response = await this.http.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'task-gateway-webhooks',
+          'X-Webhook-Id': subscription.id,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Event': delivery.event.type,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': sign(subscription.secret, timestamp, body)
+        },
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        responseType: 'text',
+        transformResponse: [(data) => data],
+        validateStatus: () => true
+      });
+      responseStatus = response.status;
+      responseBody = typeof response.data === 'string' ? response.data.slice(0, MAX_LOGGED_BODY) : null;
+      if (responseStatus < 200 || responseStatus >= 300) {
+        error = `Answered ${responseStatus}`;
+      }
+    } catch (requestError) {
+      error = requestError.code === 'ECONNABORTED' ? `No answer within ${this.timeoutMs}ms` : requestError.message;
+    }
+
+    const retryable = error !== null &&
+      (responseStatus === null || responseStatus >= 500 || RETRYABLE_STATUS_CODES.includes(responseStatus));
+    const outcome = error === null ? 'succeeded' : retryable && delivery.attempts < this.maxAttempts ? 'retrying' : 'failed';
+    const nextAttemptAt = outcome === 'retrying' ? Date.now() + this.backoffDelay(delivery.attempts) : null;
+
+    this.record({
+      deliveryId: delivery.id,
+      webhookId: subscription.id,
+      eventId: delivery.event.id,
+      eventType: delivery.event.type,
+      attempt: delivery.attempts,
+      outcome,
+      responseStatus,
+      responseBody,
+      error,
+      durationMs: Date.now() - start,
+      nextAttemptAt: nextAttemptAt && new Date(nextAttemptAt).toISOString()
+    });
+    const counters = this.counterFor(subscription.id);
+    Object.assign(counters, { lastAttemptAt: new Date().toISOString(), lastOutcome: outcome });
+
+    if (outcome === 'succeeded') {
+      this.stats.succeeded++;
+      counters.succeeded++;
+    } else if (outcome === 'retrying') {
+      this.stats.retried++;
+      const timer = setTimeout(() => {
+        this.waiting.delete(delivery.id);
+        this.enqueue(delivery);
+      }, nextAttemptAt - Date.now());
+      timer.unref();
+      this.waiting.set(delivery.id, { webhookId: subscription.id, timer });
+    } else {
+      counters.failed++;
+      logger.warn('webhook delivery failed', {
+        webhookId: subscription.id,
+        deliveryId: delivery.id,
+        eventType: delivery.event.type,
+        attempts: delivery.attempts,
+        error
+      });
+      this.bury(delivery, { error, responseStatus });
+    }
+  }
+
+  // Exponential backoff with full jitter, like upstream retries
+  backoffDelay(attempt) {
+    const ceiling = Math.min(this.retryMaxDelayMs, this.retryBaseDelayMs * 2 ** (attempt - 1));
+    return Math.round(Math.random() * ceiling);
+  }
+
+  record(entry) {
+    this.log.push({ id: ++this.lastAttemptId, timestamp: new Date().toISOString(), ...entry });
+    if (this.log.length > this.logSize) {
+      this.log.shift();
+    }
+  }
+
+  bury(delivery, { error, responseStatus }) {
+    this.stats.failed++;
+    this.deadLetters.set(delivery.id, { ...delivery, lastError: error, lastStatus: responseStatus, failedAt: new Date().toISOString() });
+    if (this.deadLetters.size > this.deadLetterSize) {
+      this.deadLetters.delete(this.deadLetters.keys().next().value);
+    }
+  }
+
+  // Attempts of one subscription's deliveries, newest first
+  getDeliveries(webhookId) {
+    return this.log.filter((entry) => entry.webhookId === webhookId).reverse();
+  }
+
+  getDeadLetters() {
+    return [...this.deadLetters.values()].reverse();
+  }
+
+  // Sends a dead letter again with a fresh set of attempts; null when there
+  // is no such dead letter (or its subscription is gone)
+  redeliver(deliveryId) {
+    const deadLetter = this.deadLetters.get(deliveryId);
+    if (!deadLetter || !this.subscriptions.has(deadLetter.webhookId)) {
+      return null;
+    }
+    this.deadLetters.delete(deliveryId);
+    const { lastError, lastStatus, failedAt, ...delivery } = deadLetter;
+    const queued = { ...delivery, attempts: 0 };
+    this.enqueue(queued);
+    return { ...delivery, attempts: 0 };
+  }
+
+  discard(deliveryId) {
+    return this.deadLetters.delete(deliveryId);
+  }
+
+  getStats() {
+    return {
+      subscriptions: this.subscriptions.size,
+      queued: this.queue.length,
+      inFlight: this.active,
+      waitingForRetry: this.waiting.size,
+      deadLetters: this.deadLetters.size,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = { WebhookDispatcher, WEBHOOK_EVENTS, sign };
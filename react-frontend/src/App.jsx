@@ -1,45 +1,207 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import './App.css'
-import { getUsers, createUser, updateUser, getUserById, getTasks, createTask, updateTask, getStats, checkHealth } from './services/api'
+import { getUsers, createUser, updateUser, getUserVersion, getUserOverview, getTasks, createTask, updateTask, getTaskVersion, bulkCreateTasks, bulkUpdateTasks, deleteUser, restoreUser, deleteTask, restoreTask, getStats, login, logout, getCurrentUser, onAuthChange, subscribeToChanges } from './services/api'
 import UserList from './components/UserList'
 import TaskList from './components/TaskList'
 import Stats from './components/Stats'
 import HealthStatus from './components/HealthStatus'
 import Metrics from './components/Metrics'
+import Login from './components/Login'
+import UserOverview from './components/UserOverview'
+import ImportExport from './components/ImportExport'
+import UndoToast from './components/UndoToast'
+
+const PAGE_SIZE = 10
+const DEFAULT_USER_QUERY = { q: '', sort: 'name:asc', page: 1 }
+const DEFAULT_TASK_QUERY = { q: '', sort: 'id:desc', page: 1 }
 
 function App() {
   const [users, setUsers] = useState([])
   const [tasks, setTasks] = useState([])
   const [stats, setStats] = useState(null)
-  const [health, setHealth] = useState(null)
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
   const [selectedUserId, setSelectedUserId] = useState(null)
-  const [selectedUser, setSelectedUser] = useState(null)
+  const [selectedOverview, setSelectedOverview] = useState(null)
   const [taskFilter, setTaskFilter] = useState('')
+  // `users` is the full list (task owner lookups, assignee dropdown); the
+  // Users panel shows one searchable, sorted page of it
+  const [userQuery, setUserQuery] = useState(DEFAULT_USER_QUERY)
+  const [userPage, setUserPage] = useState({ users: [], total: 0, page: 1 })
+  const [taskQuery, setTaskQuery] = useState(DEFAULT_TASK_QUERY)
+  const [taskTotal, setTaskTotal] = useState(0)
   const [activeTab, setActiveTab] = useState('dashboard')
+  const [currentUser, setCurrentUser] = useState(getCurrentUser())
+  // Recent deletes that can still be undone: { id, message, expiresAt, restore }
+  const [undoToasts, setUndoToasts] = useState([])
+
+  // Token refreshes and expired sessions update the signed-in user
+  useEffect(() => onAuthChange(setCurrentUser), [])
+
+  useEffect(() => {
+    if (currentUser) {
+      loadInitialData()
+    }
+  }, [currentUser?.id])
+
+  // Live updates: patch lists and stats in place as change events arrive
+  const [liveStatus, setLiveStatus] = useState('offline')
+  const [remoteChanges, setRemoteChanges] = useState(0)
+  const viewRef = useRef({})
+  viewRef.current = {
+    taskFilter,
+    selectedUserId,
+    selectedOverview,
+    taskSearch: taskQuery.q,
+    currentUserId: currentUser?.id
+  }
+  const remoteChangesTimer = useRef(null)
 
   useEffect(() => {
-    loadInitialData()
-  }, [])
+    if (!currentUser) return undefined
+    return subscribeToChanges({ onEvent: applyChangeEvent, onStatusChange: setLiveStatus })
+  }, [currentUser?.id])
+
+  useEffect(() => () => clearTimeout(remoteChangesTimer.current), [])
+
+  const upsertById = (list, item) =>
+    list.some((existing) => existing.id === item.id)
+      ? list.map((existing) => (existing.id === item.id ? item : existing))
+      : [...list, item]
+
+  // Tasks on screen may be filtered by status, the selected user or a search
+  const matchesTaskView = (task) => {
+    const { taskFilter: status, selectedUserId: userId, taskSearch } = viewRef.current
+    const terms = taskSearch.toLowerCase().split(/\s+/).filter(Boolean)
+    return (
+      (!status || task.status === status) &&
+      (!userId || task.userId === userId) &&
+      terms.every((term) => task.title.toLowerCase().includes(term))
+    )
+  }
+
+  // Live events only patch the page on screen: existing rows are replaced in
+  // place and new ones are counted, then appended while the page has room
+  const patchPage = (list, item, isNew) => {
+    if (list.some((existing) => existing.id === item.id)) return upsertById(list, item)
+    return isNew && list.length < PAGE_SIZE ? [...list, item] : list
+  }
+
+  // A task event matters to the selected user's overview when the task is
+  // (or was, before a reassignment) one of theirs
+  const affectsOverview = (task) => {
+    const { selectedUserId: userId, selectedOverview: overview } = viewRef.current
+    if (!userId) return false
+    if (task.userId === userId) return true
+    return Boolean(overview?.tasks) && Object.values(overview.tasks).some((group) =>
+      group.some((existing) => existing.id === task.id)
+    )
+  }
+
+  const refreshOverview = async () => {
+    const userId = viewRef.current.selectedUserId
+    try {
+      const overview = await getUserOverview(userId)
+      // Ignore the answer if another user was selected meanwhile
+      setSelectedOverview((prev) => (prev && prev.user.id === overview.user.id ? overview : prev))
+    } catch (err) {
+      console.error('Error refreshing user overview:', err)
+    }
+  }
+
+  const applyChangeEvent = (event) => {
+    switch (event.type) {
+      case 'user.created':
+      case 'user.updated':
+        setUsers((prev) => upsertById(prev, event.user))
+        setUserPage((prev) => ({
+          ...prev,
+          users: patchPage(prev.users, event.user, event.type === 'user.created'),
+          total: prev.total + (event.type === 'user.created' ? 1 : 0)
+        }))
+        setSelectedOverview((prev) =>
+          prev && prev.user.id === event.user.id ? { ...prev, user: event.user } : prev
+        )
+        break
+      case 'user.deleted':
+        setUsers((prev) => prev.filter((user) => user.id !== event.user.id))
+        setUserPage((prev) => ({
+          ...prev,
+          users: prev.users.filter((user) => user.id !== event.user.id),
+          total: Math.max(0, prev.total - 1)
+        }))
+        if (viewRef.current.selectedUserId === event.user.id) {
+          setSelectedUserId(null)
+          setSelectedOverview(null)
+        }
+        break
+      case 'user.restored':
+        setUsers((prev) => upsertById(prev, event.user))
+        setUserPage((prev) => ({ ...prev, users: patchPage(prev.users, event.user, true), total: prev.total + 1 }))
+        break
+      case 'task.created':
+      case 'task.updated':
+      case 'task.restored': {
+        const isNew = event.type !== 'task.updated'
+        if (matchesTaskView(event.task)) {
+          setTasks((prev) => patchPage(prev, event.task, isNew))
+          if (isNew) setTaskTotal((total) => total + 1)
+        } else {
+          setTasks((prev) => prev.filter((task) => task.id !== event.task.id))
+        }
+        if (affectsOverview(event.task)) refreshOverview()
+        break
+      }
+      case 'task.deleted':
+        setTasks((prev) => prev.filter((task) => task.id !== event.task.id))
+        if (matchesTaskView(event.task)) setTaskTotal((total) => Math.max(0, total - 1))
+        if (affectsOverview(event.task)) refreshOverview()
+        break
+      case 'resync':
+        // Too many missed events to replay; reload everything
+        loadInitialData()
+        return
+      default:
+        return
+    }
+
+    if (event.stats) {
+      setStats(event.stats)
+    }
+
+    if (event.actor && event.actor.id !== viewRef.current.currentUserId) {
+      setRemoteChanges((count) => count + 1)
+      clearTimeout(remoteChangesTimer.current)
+      remoteChangesTimer.current = setTimeout(() => setRemoteChanges(0), 5000)
+    }
+  }
+
+  const loadUserPage = async (query) => {
+    const data = await getUsers({ ...query, pageSize: PAGE_SIZE })
+    setUserPage({ users: data.users || [], total: data.total ?? 0, page: data.page ?? 1 })
+  }
 
-  const loadInitialData = async () => {
+  const loadTaskPage = async (view) => {
+    const data = await getTasks({ ...view, pageSize: PAGE_SIZE })
+    setTasks(data.tasks || [])
+    setTaskTotal(data.total ?? 0)
+  }
+
+  const currentTaskView = () => ({ status: taskFilter, userId: selectedUserId, ...taskQuery })
+
+  const loadInitialData = async (query = userQuery, taskView = currentTaskView()) => {
     setLoading(true)
     setError(null)
     try {
-      // Check health first
-      const healthData = await checkHealth()
-      setHealth(healthData)
-
       // Load data in parallel
-      const [usersData, tasksData, statsData] = await Promise.all([
+      const [usersData, , , statsData] = await Promise.all([
         getUsers(),
-        getTasks(),
+        loadUserPage(query),
+        loadTaskPage(taskView),
         getStats()
       ])
 
       setUsers(usersData.users || [])
-      setTasks(tasksData.tasks || [])
       setStats(statsData)
       
       console.log('Loaded users:', usersData.users)
@@ -57,11 +219,15 @@ function App() {
     setLoading(true)
     setError(null)
     try {
-      const user = await getUserById(userId)
-      setSelectedUser(user)
-      // Also filter tasks for this user
-      const userTasks = await getTasks('', userId.toString())
-      setTasks(userTasks.tasks || [])
+      // The overview (user, grouped tasks, completion) and the filtered task
+      // list are independent, so load them side by side
+      const query = { ...taskQuery, page: 1 }
+      setTaskQuery(query)
+      const [overview] = await Promise.all([
+        getUserOverview(userId),
+        loadTaskPage({ ...query, status: taskFilter, userId })
+      ])
+      setSelectedOverview(overview)
     } catch (err) {
       setError(err.message || 'Failed to load user details')
       console.error('Error loading user:', err)
@@ -75,8 +241,9 @@ function App() {
     setLoading(true)
     setError(null)
     try {
-      const tasksData = await getTasks(status, '')
-      setTasks(tasksData.tasks || [])
+      const query = { ...taskQuery, page: 1 }
+      setTaskQuery(query)
+      await loadTaskPage({ ...query, status, userId: selectedUserId })
     } catch (err) {
       setError(err.message || 'Failed to filter tasks')
       console.error('Error filtering tasks:', err)
@@ -85,20 +252,43 @@ function App() {
     }
   }
 
-  const handleUserCreate = async (userData) => {
+  const handleUserQueryChange = async (query) => {
+    setUserQuery(query)
+    setError(null)
+    try {
+      await loadUserPage(query)
+    } catch (err) {
+      setError(err.message || 'Failed to load users')
+      console.error('Error loading users:', err)
+    }
+  }
+
+  const handleTaskQueryChange = async (query) => {
+    setTaskQuery(query)
+    setError(null)
+    try {
+      await loadTaskPage({ ...query, status: taskFilter, userId: selectedUserId })
+    } catch (err) {
+      setError(err.message || 'Failed to load tasks')
+      console.error('Error loading tasks:', err)
+    }
+  }
+
+  const handleUserCreate = async (userData, idempotencyKey) => {
     setLoading(true)
     setError(null)
     try {
       console.log('Creating user with data:', userData)
-      await createUser(userData)
-      // Refresh the users list
-      const usersData = await getUsers()
+      await createUser(userData, idempotencyKey)
+      // Refresh the users list and the page on screen
+      const [usersData] = await Promise.all([getUsers(), loadUserPage(userQuery)])
       setUsers(usersData.users || [])
       // Also refresh stats
       const statsData = await getStats()
       setStats(statsData)
     } catch (err) {
-      setError(err.message || 'Failed to create user')
+      // Field errors are shown next to the form inputs instead
+      if (!err.fields) setError(err.message || 'Failed to create user')
       console.error('Error creating user:', err)
       throw err // Re-throw to let the form handle the error
     } finally {
@@ -106,20 +296,20 @@ function App() {
     }
   }
 
-  const handleTaskCreate = async (taskData) => {
+  const handleTaskCreate = async (taskData, idempotencyKey) => {
     setLoading(true)
     setError(null)
     try {
       console.log('Creating task with data:', taskData)
-      await createTask(taskData)
-      // Refresh the tasks list
-      const tasksData = await getTasks()
-      setTasks(tasksData.tasks || [])
+      await createTask(taskData, idempotencyKey)
+      // Refresh the tasks page on screen
+      await loadTaskPage(currentTaskView())
       // Also refresh stats
       const statsData = await getStats()
       setStats(statsData)
     } catch (err) {
-      setError(err.message || 'Failed to create task')
+      // Field errors are shown next to the form inputs instead
+      if (!err.fields) setError(err.message || 'Failed to create task')
       console.error('Error creating task:', err)
       throw err // Re-throw to let the form handle the error
     } finally {
@@ -127,20 +317,21 @@ function App() {
     }
   }
 
-  const handleUserUpdate = async (id, userData) => {
+  const handleUserUpdate = async (id, userData, etag) => {
     setLoading(true)
     setError(null)
     try {
       console.log('Updating user with data:', userData)
-      await updateUser(id, userData)
-      // Refresh the users list
-      const usersData = await getUsers()
+      await updateUser(id, userData, etag)
+      // Refresh the users list and the page on screen
+      const [usersData] = await Promise.all([getUsers(), loadUserPage(userQuery)])
       setUsers(usersData.users || [])
       // Also refresh stats if needed
       const statsData = await getStats()
       setStats(statsData)
     } catch (err) {
-      setError(err.message || 'Failed to update user')
+      // Field errors and edit conflicts are shown with the form instead
+      if (!err.fields && err.status !== 412) setError(err.message || 'Failed to update user')
       console.error('Error updating user:', err)
       throw err
     } finally {
@@ -148,20 +339,20 @@ function App() {
     }
   }
 
-  const handleTaskUpdate = async (id, taskData) => {
+  const handleTaskUpdate = async (id, taskData, etag) => {
     setLoading(true)
     setError(null)
     try {
       console.log('Updating task with data:', taskData)
-      await updateTask(id, taskData)
-      // Refresh the tasks list
-      const tasksData = await getTasks()
-      setTasks(tasksData.tasks || [])
+      await updateTask(id, taskData, etag)
+      // Refresh the tasks page on screen
+      await loadTaskPage(currentTaskView())
       // Also refresh stats
       const statsData = await getStats()
       setStats(statsData)
     } catch (err) {
-      setError(err.message || 'Failed to update task')
+      // Field errors and edit conflicts are shown with the form instead
+      if (!err.fields && err.status !== 412) setError(err.message || 'Failed to update task')
       console.error('Error updating task:', err)
       throw err
     } finally {
@@ -169,18 +360,146 @@ function App() {
     }
   }
 
+  // Bulk writes resolve with per-item results; failures are left to the
+  // caller (TaskList) to show, but the page and stats refresh either way
+  const handleTaskBulkCreate = async (items, idempotencyKey) => {
+    setError(null)
+    const outcome = await bulkCreateTasks(items, idempotencyKey)
+    await Promise.all([loadTaskPage(currentTaskView()), getStats().then(setStats)])
+    return outcome
+  }
+
+  const handleTaskBulkUpdate = async (changes) => {
+    setError(null)
+    try {
+      const outcome = await bulkUpdateTasks(changes)
+      await Promise.all([loadTaskPage(currentTaskView()), getStats().then(setStats)])
+      const { failed, total } = outcome.summary
+      if (failed > 0) {
+        const reasons = [...new Set(outcome.results.filter((r) => r.statusCode >= 400).map((r) => r.error))]
+        setError(`${failed} of ${total} tasks could not be updated: ${reasons.join('; ')}`)
+      }
+      return outcome
+    } catch (err) {
+      setError(err.message || 'Failed to update tasks')
+      throw err
+    }
+  }
+
+  const showUndo = (message, expiresAt, restore) => {
+    setUndoToasts((prev) => [...prev, { id: `${Date.now()}-${Math.random()}`, message, expiresAt, restore }])
+  }
+
+  const dismissUndo = (id) => setUndoToasts((prev) => prev.filter((toast) => toast.id !== id))
+
+  const refreshAfterDelete = async () => {
+    const [usersData] = await Promise.all([
+      getUsers(),
+      loadUserPage(userQuery),
+      loadTaskPage(currentTaskView()),
+      getStats().then(setStats)
+    ])
+    setUsers(usersData.users || [])
+  }
+
+  // plan is { reassignTo } or { cascade: true }; errors are left to the
+  // confirm dialog
+  const handleUserDelete = async (user, plan) => {
+    setError(null)
+    const outcome = await deleteUser(user.id, plan)
+    const moved = plan.cascade ? outcome.deletedTasks.length : outcome.reassignedTasks.length
+    showUndo(
+      `Deleted ${user.name}${moved > 0 ? ` and ${plan.cascade ? 'deleted' : 'reassigned'} ${moved} ${moved === 1 ? 'task' : 'tasks'}` : ''}`,
+      outcome.undo.expiresAt,
+      () => restoreUser(user.id)
+    )
+    if (selectedUserId === user.id) {
+      setSelectedUserId(null)
+      setSelectedOverview(null)
+    }
+    await refreshAfterDelete()
+  }
+
+  const handleTaskDelete = async (task) => {
+    setError(null)
+    const outcome = await deleteTask(task.id)
+    showUndo(`Deleted "${task.title}"`, outcome.undo.expiresAt, () => restoreTask(task.id))
+    await Promise.all([loadTaskPage(currentTaskView()), getStats().then(setStats)])
+  }
+
+  const handleUndo = async (toast) => {
+    setUndoToasts((prev) => prev.map((t) => (t.id === toast.id ? { ...t, undoing: true } : t)))
+    try {
+      const outcome = await toast.restore()
+      dismissUndo(toast.id)
+      if (outcome.skipped?.length > 0) {
+        setError(`Restored, but ${outcome.skipped.length} task(s) had changed since and were left as they are`)
+      }
+      await refreshAfterDelete()
+    } catch (err) {
+      dismissUndo(toast.id)
+      setError(err.status === 410 ? 'Too late to undo that delete' : err.message || 'Failed to undo the delete')
+      console.error('Error undoing delete:', err)
+    }
+  }
+
+  // Imports can touch any row, so reload what is on screen
+  const handleImported = () => loadInitialData()
+
+  const handleLogin = async (email, password) => {
+    const user = await login(email, password)
+    setCurrentUser(user)
+  }
+
+  const handleLogout = () => {
+    logout()
+    setUsers([])
+    setUserPage({ users: [], total: 0, page: 1 })
+    setTasks([])
+    setTaskTotal(0)
+    setStats(null)
+    setSelectedUserId(null)
+    setSelectedOverview(null)
+    setUndoToasts([])
+    setError(null)
+  }
+
   const handleRefresh = () => {
     setSelectedUserId(null)
-    setSelectedUser(null)
+    setSelectedOverview(null)
     setTaskFilter('')
-    loadInitialData()
+    setUserQuery(DEFAULT_USER_QUERY)
+    setTaskQuery(DEFAULT_TASK_QUERY)
+    loadInitialData(DEFAULT_USER_QUERY, DEFAULT_TASK_QUERY)
   }
 
+  // Mirrors the gateway policy: histories come from the audit log, which
+  // only admins and managers may read
+  const canViewHistory = ['admin', 'manager'].includes(currentUser?.role)
+
   return (
     <div className="app">
       <header className="app-header">
         <h1>Go Developer Test Project</h1>
         <p>React Frontend → Node.js Backend → C# Backend</p>
+
+        {currentUser && (
+          <div className="session-info">
+            <span
+              className={`live-indicator ${liveStatus}`}
+              title={liveStatus === 'live' ? 'Receiving live updates' : 'Live updates unavailable, reconnecting...'}
+            >
+              ● {{ live: 'Live', reconnecting: 'Reconnecting' }[liveStatus] || 'Offline'}
+            </span>
+            {remoteChanges > 0 && (
+              <span className="remote-changes">
+                {remoteChanges} {remoteChanges === 1 ? 'change' : 'changes'} from others
+              </span>
+            )}
+            <span>Signed in as <strong>{currentUser.name}</strong> ({currentUser.role})</span>
+            <button onClick={handleLogout} className="logout-btn">Sign Out</button>
+          </div>
+        )}
         
         <nav className="app-nav">
           <button 
@@ -198,7 +517,7 @@ function App() {
         </nav>
       </header>
 
-      <HealthStatus health={health} />
+      {currentUser ? <HealthStatus /> : <Login onLogin={handleLogin} />}
 
       {error && (
         <div className="error-banner">
@@ -207,7 +526,7 @@ function App() {
         </div>
       )}
 
-      {activeTab === 'dashboard' && (
+      {currentUser && activeTab === 'dashboard' && (
         <div className="main-content">
           <div className="stats-section">
             {stats && <Stats stats={stats} />}
@@ -215,28 +534,34 @@ function App() {
 
           <div className="data-section">
             <div className="panel">
-              <h2>Users</h2>
+              <div className="panel-header">
+                <h2>Users</h2>
+                <ImportExport
+                  entity="users"
+                  canImport={currentUser.role === 'admin'}
+                  onImported={handleImported}
+                />
+              </div>
               {loading && !users.length ? (
                 <div className="loading">Loading users...</div>
               ) : (
                 <UserList
-                  users={users}
+                  users={userPage.users}
+                  allUsers={users}
+                  query={userQuery}
+                  onQueryChange={handleUserQueryChange}
+                  total={userPage.total}
+                  pageSize={PAGE_SIZE}
+                  currentUser={currentUser}
                   selectedUserId={selectedUserId}
                   onUserSelect={handleUserSelect}
                   onUserCreate={handleUserCreate}
                   onUserUpdate={handleUserUpdate}
+                  onUserEditStart={getUserVersion}
+                  onUserDelete={handleUserDelete}
                 />
               )}
-              {selectedUser && (
-                <div className="user-details">
-                  <h3>Selected User Details</h3>
-                  <div className="detail-card">
-                    <p><strong>Name:</strong> {selectedUser.name}</p>
-                    <p><strong>Email:</strong> {selectedUser.email}</p>
-                    <p><strong>Role:</strong> {selectedUser.role}</p>
-                  </div>
-                </div>
-              )}
+              {selectedOverview && <UserOverview overview={selectedOverview} canViewHistory={canViewHistory} />}
             </div>
 
             <div className="panel">
@@ -268,6 +593,7 @@ function App() {
                     Completed
                   </button>
                 </div>
+                <ImportExport entity="tasks" canImport onImported={handleImported} />
               </div>
               {loading && !tasks.length ? (
                 <div className="loading">Loading tasks...</div>
@@ -275,8 +601,17 @@ function App() {
                 <TaskList 
                   tasks={tasks} 
                   users={users}
+                  query={taskQuery}
+                  onQueryChange={handleTaskQueryChange}
+                  total={taskTotal}
+                  pageSize={PAGE_SIZE}
                   onTaskCreate={handleTaskCreate}
                   onTaskUpdate={handleTaskUpdate}
+                  onTaskEditStart={getTaskVersion}
+                  onTaskBulkCreate={handleTaskBulkCreate}
+                  onTaskBulkUpdate={handleTaskBulkUpdate}
+                  onTaskDelete={handleTaskDelete}
+                  canViewHistory={canViewHistory}
                 />
               )}
             </div>
@@ -284,13 +619,17 @@ function App() {
         </div>
       )}
 
-      {activeTab === 'metrics' && <Metrics />}
+      {currentUser && activeTab === 'metrics' && <Metrics />}
+
+      <UndoToast toasts={undoToasts} onUndo={handleUndo} onDismiss={dismissUndo} />
 
-      <footer className="app-footer">
-        <button onClick={handleRefresh} className="refresh-btn">
-          🔄 Refresh All Data
-        </button>
-      </footer>
+      {currentUser && (
+        <footer className="app-footer">
+          <button onClick={handleRefresh} className="refresh-btn">
+            🔄 Refresh All Data
+          </button>
+        </footer>
+      )}
     </div>
   )
 }
@@ -0,0 +1,97 @@
+import { useRef, useState } from 'react'
+import { submissionKey } from '../services/api'
+
+// Creates one task per line of the textarea, all with the same status and
+// assignee, in a single bulk request. Lines that fail stay in the textarea
+// with their error so they can be fixed and resubmitted.
+function BulkTaskForm({ users, onSubmit, onCancel }) {
+  const [titles, setTitles] = useState('')
+  const [status, setStatus] = useState('pending')
+  const [userId, setUserId] = useState('')
+  const [failures, setFailures] = useState([])
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  // Idempotency-Key of the request until it is answered; resubmitting the
+  // lines that failed is a new submission
+  const submission = useRef(null)
+
+  const lines = titles.split('\n').map((line) => line.trim()).filter(Boolean)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (lines.length === 0 || !userId) return
+    const items = lines.map((title) => ({ title, status, userId: parseInt(userId) }))
+
+    setIsSubmitting(true)
+    try {
+      const { results } = await onSubmit(items, submissionKey(submission, items))
+      submission.current = null
+      const failed = results.filter((result) => result.statusCode >= 400)
+      if (failed.length === 0) {
+        onCancel()
+        return
+      }
+      setFailures(
+        failed.map((result) => ({
+          title: items[result.index].title,
+          message: result.fields ? result.fields.map((field) => field.message).join('; ') : result.error
+        }))
+      )
+      setTitles(failed.map((result) => items[result.index].title).join('\n'))
+    } catch (error) {
+      setFailures([{ title: '', message: error.message || 'Failed to create tasks' }])
+      console.error('Error creating tasks:', error)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <form className="create-task-form" onSubmit={handleSubmit}>
+      <h3>Add Several Tasks</h3>
+      {failures.length > 0 && (
+        <div className="form-error">
+          {failures.map((failure, index) => (
+            <div key={index}>
+              {failure.title && <strong>{failure.title}: </strong>}
+              {failure.message}
+            </div>
+          ))}
+        </div>
+      )}
+      <div className="form-row">
+        <textarea
+          placeholder="One task title per line"
+          value={titles}
+          onChange={(e) => setTitles(e.target.value)}
+          rows={6}
+          required
+        />
+      </div>
+      <div className="form-row">
+        <select value={status} onChange={(e) => setStatus(e.target.value)}>
+          <option value="pending">Pending</option>
+          <option value="in-progress">In Progress</option>
+          <option value="completed">Completed</option>
+        </select>
+        <select value={userId} onChange={(e) => setUserId(e.target.value)} required>
+          <option value="">Assign to user...</option>
+          {users.map((user) => (
+            <option key={user.id} value={user.id}>
+              {user.name}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="form-actions">
+        <button type="submit" disabled={isSubmitting || lines.length === 0}>
+          {isSubmitting ? 'Creating...' : `Create ${lines.length || ''} ${lines.length === 1 ? 'Task' : 'Tasks'}`}
+        </button>
+        <button type="button" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default BulkTaskForm
@@ -0,0 +1,25 @@
+import './ConfirmDialog.css'
+
+// Asks before a destructive action. `children` holds any choices the action
+// needs (e.g. where a deleted user's tasks go); `error` is shown when the
+// action failed so the dialog can stay open for another try.
+function ConfirmDialog({ title, message, confirmLabel = 'Delete', busy = false, disabled = false, error, onConfirm, onCancel, children }) {
+  return (
+    <div className="confirm-overlay" role="dialog" aria-modal="true">
+      <div className="confirm-dialog">
+        <h3>{title}</h3>
+        {message && <p>{message}</p>}
+        {children}
+        {error && <div className="confirm-error">{error}</div>}
+        <div className="confirm-actions">
+          <button type="button" onClick={onCancel} disabled={busy}>Cancel</button>
+          <button type="button" className="danger" onClick={onConfirm} disabled={busy || disabled}>
+            {busy ? 'Working...' : confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ConfirmDialog
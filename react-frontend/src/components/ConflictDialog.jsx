@@ -0,0 +1,42 @@
+import './ConflictDialog.css'
+
+// Shown when an update is refused because someone else changed the record
+// after the edit started. Lists the user's values next to the server's so
+// they can overwrite, take the server version, or go back to the form.
+function ConflictDialog({ noun, fields, mine, current, onOverwrite, onUseCurrent, onCancel }) {
+  const display = (field, value) => (field.format ? field.format(value) : String(value ?? ''))
+
+  return (
+    <div className="conflict-overlay" role="dialog" aria-modal="true">
+      <div className="conflict-dialog">
+        <h3>This {noun} was changed by someone else</h3>
+        <p>Your changes were not saved. Compare them with the current version:</p>
+        <table className="conflict-table">
+          <thead>
+            <tr>
+              <th></th>
+              <th>Your changes</th>
+              <th>Current version</th>
+            </tr>
+          </thead>
+          <tbody>
+            {fields.map((field) => (
+              <tr key={field.key} className={mine[field.key] !== current[field.key] ? 'differs' : ''}>
+                <th>{field.label}</th>
+                <td>{display(field, mine[field.key])}</td>
+                <td>{display(field, current[field.key])}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="conflict-actions">
+          <button className="overwrite" onClick={onOverwrite}>Save mine anyway</button>
+          <button onClick={onUseCurrent}>Use current version</button>
+          <button onClick={onCancel}>Keep editing</button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ConflictDialog
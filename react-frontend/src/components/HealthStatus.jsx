@@ -1,25 +1,164 @@
+import { useEffect, useRef, useState } from 'react'
+import { checkHealth } from '../services/api'
 import './HealthStatus.css'
 
-function HealthStatus({ health }) {
+const POLL_INTERVAL_MS = 15000
+const NOTICE_DURATION_MS = 8000
+
+const TIER_LABELS = {
+  gateway: 'Node.js gateway',
+  csharpBackend: 'C# backend',
+  rateLimitStore: 'Rate limit store',
+}
+const STATUS_ICONS = { up: '✅', degraded: '⚠️', down: '❌', unknown: '⏳' }
+const OVERALL_CLASSES = { ok: 'healthy', degraded: 'degraded', down: 'unhealthy' }
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleTimeString() : 'never')
+
+// The gateway itself, then every dependency it reports on. When the
+// gateway cannot be reached it is down and nothing is known about the rest.
+const tiersFrom = (health) => {
   if (!health) {
+    return [{ name: 'gateway', status: 'down' }]
+  }
+  return [
+    { name: 'gateway', status: 'up' },
+    ...Object.entries(health.dependencies || {}).map(([name, dependency]) => ({ name, ...dependency })),
+  ]
+}
+
+const noticeText = ({ name, from, to }) => {
+  const label = TIER_LABELS[name] || name
+  if (to === 'up') return `${label} has recovered`
+  return `${label} is ${to === 'down' ? 'down' : 'degraded'} (was ${from})`
+}
+
+// Polls GET /health, shows the status of each tier and a notice whenever
+// one changes state. Polling pauses while the tab is hidden.
+function HealthStatus() {
+  const [health, setHealth] = useState(null)
+  const [unreachable, setUnreachable] = useState(false)
+  const [checkedAt, setCheckedAt] = useState(null)
+  const [notices, setNotices] = useState([])
+  const previousTiers = useRef(null)
+
+  useEffect(() => {
+    let cancelled = false
+    const timers = new Set()
+
+    const notify = (transitions) => {
+      const added = transitions.map((transition) => ({ id: `${transition.name}-${Date.now()}`, ...transition }))
+      setNotices((current) => [...current, ...added])
+      added.forEach(({ id }) => {
+        const timer = setTimeout(() => {
+          timers.delete(timer)
+          setNotices((current) => current.filter((notice) => notice.id !== id))
+        }, NOTICE_DURATION_MS)
+        timers.add(timer)
+      })
+    }
+
+    const poll = async () => {
+      let report = null
+      try {
+        report = await checkHealth()
+      } catch (err) {
+        console.error('Health check failed:', err)
+      }
+      if (cancelled) return
+
+      const tiers = tiersFrom(report)
+      if (previousTiers.current) {
+        const transitions = tiers
+          .map(({ name, status }) => ({ name, from: previousTiers.current[name], to: status }))
+          .filter(({ from, to }) => from && from !== 'unknown' && to !== 'unknown' && from !== to)
+        if (transitions.length > 0) notify(transitions)
+      }
+      previousTiers.current = Object.fromEntries(tiers.map(({ name, status }) => [name, status]))
+
+      setHealth(report)
+      setUnreachable(!report)
+      setCheckedAt(new Date().toISOString())
+    }
+
+    poll()
+    const interval = setInterval(() => {
+      if (!document.hidden) poll()
+    }, POLL_INTERVAL_MS)
+    const onVisible = () => {
+      if (!document.hidden) poll()
+    }
+    document.addEventListener('visibilitychange', onVisible)
+
+    return () => {
+      cancelled = true
+      clearInterval(interval)
+      timers.forEach(clearTimeout)
+      document.removeEventListener('visibilitychange', onVisible)
+    }
+  }, [])
+
+  const dismiss = (id) => setNotices((current) => current.filter((notice) => notice.id !== id))
+
+  if (!health && !unreachable) {
     return (
       <div className="health-status unknown">
-        <span className="status-indicator">⏳</span>
-        <span>Checking backend status...</span>
+        <div className="health-summary">
+          <span className="status-indicator">⏳</span>
+          <span>Checking backend status...</span>
+        </div>
       </div>
     )
   }
 
-  const isHealthy = health.status === 'ok'
+  const overall = unreachable ? 'down' : health.status
+  const breaker = health?.circuitBreaker
+  const tiers = tiersFrom(unreachable ? null : health)
 
   return (
-    <div className={`health-status ${isHealthy ? 'healthy' : 'unhealthy'}`}>
-      <span className="status-indicator">
-        {isHealthy ? '✅' : '❌'}
-      </span>
-      <span>
-        {health.message || `Backend is ${isHealthy ? 'healthy' : 'unhealthy'}`}
-      </span>
+    <div className={`health-status ${OVERALL_CLASSES[overall] || 'unknown'}`}>
+      <div className="health-summary">
+        <span className="status-indicator">{STATUS_ICONS[overall === 'ok' ? 'up' : overall] || '⏳'}</span>
+        <span>
+          {unreachable ? 'Cannot reach the Node.js backend' : health.message}
+          {breaker && breaker.open + breaker.halfOpen > 0 && (
+            <small className="breaker-info">
+              {' '}(circuit open on {breaker.open + breaker.halfOpen} of {breaker.closed + breaker.open + breaker.halfOpen} instances{breaker.retryAt ? `, retrying after ${formatTime(breaker.retryAt)}` : ''})
+            </small>
+          )}
+        </span>
+        <small className="health-checked">
+          Checked {formatTime(checkedAt)}
+          {health?.build && ` · v${health.build.version}${health.build.commit ? ` (${health.build.commit.slice(0, 7)})` : ''}`}
+        </small>
+      </div>
+
+      <ul className="health-tiers">
+        {tiers.map((tier) => (
+          <li key={tier.name} className={`health-tier ${tier.status}`} title={tier.error || ''}>
+            <span>{STATUS_ICONS[tier.status] || '⏳'}</span>
+            <span className="tier-name">{TIER_LABELS[tier.name] || tier.name}</span>
+            {tier.latencyMs != null && <small>{tier.latencyMs}ms</small>}
+            {tier.details?.instances?.length > 1 && (
+              <small>{tier.details.healthy}/{tier.details.instances.length} instances</small>
+            )}
+            {tier.status !== 'up' && tier.lastSuccessAt !== undefined && (
+              <small>last OK {formatTime(tier.lastSuccessAt)}</small>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {notices.length > 0 && (
+        <div className="health-notices" role="status" aria-live="polite">
+          {notices.map((notice) => (
+            <div key={notice.id} className={`health-notice ${notice.to}`}>
+              <span>{STATUS_ICONS[notice.to]} {noticeText(notice)}</span>
+              <button type="button" onClick={() => dismiss(notice.id)} aria-label="Dismiss">×</button>
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   )
 }
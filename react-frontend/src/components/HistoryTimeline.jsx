@@ -0,0 +1,106 @@
+import { useEffect, useState } from 'react'
+import { getTaskHistory, getUserHistory } from '../services/api'
+import './HistoryTimeline.css'
+
+const PAGE_SIZE = 10
+const LOADERS = { user: getUserHistory, task: getTaskHistory }
+const ACTION_LABELS = { create: 'Created', update: 'Updated', delete: 'Deleted', restore: 'Restored' }
+
+const formatValue = (value) => (value === null || value === undefined || value === '' ? '—' : String(value))
+
+// Audit trail of one user or task, newest first. `version` is anything that
+// changes when the record does, so a fresh edit shows up straight away.
+function HistoryTimeline({ entity, id, version, formatters = {} }) {
+  const [entries, setEntries] = useState([])
+  const [total, setTotal] = useState(0)
+  const [page, setPage] = useState(1)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    setLoading(true)
+    LOADERS[entity](id, { page: 1, pageSize: PAGE_SIZE })
+      .then(({ history, total }) => {
+        if (cancelled) return
+        setEntries(history)
+        setTotal(total)
+        setPage(1)
+        setError(null)
+      })
+      .catch((err) => {
+        if (cancelled) return
+        console.error('Error loading history:', err)
+        setError(err.message)
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [entity, id, version])
+
+  const loadOlder = async () => {
+    setLoading(true)
+    try {
+      const { history, total } = await LOADERS[entity](id, { page: page + 1, pageSize: PAGE_SIZE })
+      // Entries recorded since the last page shift the pages, so the start
+      // of this one may already be shown
+      setEntries((current) => {
+        const shown = new Set(current.map((entry) => entry.id))
+        return [...current, ...history.filter((entry) => !shown.has(entry.id))]
+      })
+      setTotal(total)
+      setPage(page + 1)
+    } catch (err) {
+      console.error('Error loading history:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const format = (field, value) => (formatters[field] ? formatters[field](value) : formatValue(value))
+
+  return (
+    <div className="history-timeline">
+      <h4>History</h4>
+      {error && <div className="history-error">⚠️ History is unavailable: {error}</div>}
+      {!error && !loading && entries.length === 0 && <div className="history-empty">No recorded changes yet</div>}
+
+      <ol>
+        {entries.map((entry) => (
+          <li key={entry.id} className={`history-entry ${entry.action}`}>
+            <div className="history-meta">
+              <strong>{ACTION_LABELS[entry.action] || entry.action}</strong>
+              {' by '}{entry.actor ? entry.actor.name : 'unknown'}
+              <time dateTime={entry.timestamp}>{new Date(entry.timestamp).toLocaleString()}</time>
+            </div>
+            <ul className="history-changes">
+              {Object.entries(entry.changes).map(([field, { from, to }]) => (
+                <li key={field}>
+                  <span className="history-field">{field}</span>
+                  {entry.action !== 'create' && entry.action !== 'restore' && (
+                    <span className="history-from">{format(field, from)}</span>
+                  )}
+                  {entry.action === 'update' && ' → '}
+                  {entry.action !== 'delete' && <span className="history-to">{format(field, to)}</span>}
+                </li>
+              ))}
+            </ul>
+          </li>
+        ))}
+      </ol>
+
+      {loading && <div className="history-loading">Loading history...</div>}
+      {!loading && entries.length < total && (
+        <button type="button" className="history-more" onClick={loadOlder}>
+          Show older changes
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default HistoryTimeline
@@ -0,0 +1,125 @@
+import { useRef, useState } from 'react'
+import { exportData, importData } from '../services/api'
+import './ImportExport.css'
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'json', label: 'JSON' },
+  { value: 'ndjson', label: 'NDJSON' }
+]
+
+// Export/Import controls for a panel. An import is always checked with a
+// dry run first; rows are only written after the user confirms a clean
+// report.
+function ImportExport({ entity, canImport, onImported }) {
+  const fileInput = useRef(null)
+  const [pending, setPending] = useState(null) // { file, report }
+  const [message, setMessage] = useState(null)
+  const [busy, setBusy] = useState(false)
+
+  const handleExport = async (format) => {
+    setMessage(null)
+    try {
+      await exportData(entity, format)
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Export failed' })
+    }
+  }
+
+  const handleFileChosen = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    setMessage(null)
+    setBusy(true)
+    try {
+      const report = await importData(entity, file, { dryRun: true })
+      setPending({ file, report })
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Could not read the file' })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleConfirm = async () => {
+    setBusy(true)
+    try {
+      const { summary } = await importData(entity, pending.file)
+      setMessage(
+        summary.failed > 0
+          ? { type: 'error', text: `${summary.failed} of ${summary.total} rows could not be imported` }
+          : { type: 'success', text: `Imported ${summary.succeeded} ${summary.succeeded === 1 ? 'row' : 'rows'}` }
+      )
+      setPending(null)
+      onImported()
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Import failed' })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const report = pending?.report
+
+  return (
+    <div className="import-export">
+      <div className="import-export-actions">
+        <select value="" onChange={(e) => handleExport(e.target.value)} aria-label={`Export ${entity}`}>
+          <option value="">⬇ Export</option>
+          {FORMATS.map((format) => (
+            <option key={format.value} value={format.value}>
+              {format.label}
+            </option>
+          ))}
+        </select>
+        {canImport && (
+          <>
+            <button onClick={() => fileInput.current.click()} disabled={busy}>
+              ⬆ Import
+            </button>
+            <input
+              ref={fileInput}
+              type="file"
+              accept=".csv,.json,.ndjson"
+              onChange={handleFileChosen}
+              hidden
+            />
+          </>
+        )}
+      </div>
+
+      {message && <div className={`import-message ${message.type}`}>{message.text}</div>}
+
+      {report && (
+        <div className="import-report">
+          <p>
+            <strong>{pending.file.name}</strong>: {report.summary.create} to create, {report.summary.update} to
+            update, {report.summary.unchanged} unchanged
+          </p>
+          {report.errors.length > 0 && (
+            <ul className="import-errors">
+              {report.errors.map((error, index) => (
+                <li key={index}>
+                  Row {error.row}
+                  {error.field && ` · ${error.field}`}: {error.message}
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="import-report-actions">
+            <button onClick={handleConfirm} disabled={busy || !report.valid}>
+              {busy ? 'Importing...' : 'Import'}
+            </button>
+            <button onClick={() => setPending(null)} disabled={busy}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ImportExport
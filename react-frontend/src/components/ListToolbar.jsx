@@ -0,0 +1,42 @@
+import { useState, useEffect } from 'react'
+import './ListToolbar.css'
+
+// Search box (debounced) and sort selector shared by the user and task lists
+function ListToolbar({ query, sortOptions, placeholder, onQueryChange }) {
+  const [search, setSearch] = useState(query.q)
+
+  useEffect(() => {
+    setSearch(query.q)
+  }, [query.q])
+
+  useEffect(() => {
+    if (search === query.q) return undefined
+    const timer = setTimeout(() => onQueryChange({ ...query, q: search, page: 1 }), 300)
+    return () => clearTimeout(timer)
+  }, [search])
+
+  return (
+    <div className="list-toolbar">
+      <input
+        type="search"
+        className="list-search"
+        placeholder={placeholder}
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+      />
+      <select
+        className="list-sort"
+        value={query.sort}
+        onChange={(e) => onQueryChange({ ...query, sort: e.target.value, page: 1 })}
+      >
+        {sortOptions.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    </div>
+  )
+}
+
+export default ListToolbar
@@ -1,6 +1,8 @@
 import { useState, useEffect } from 'react'
 import './Metrics.css'
 
+const PERCENTILES = ['p50', 'p90', 'p95', 'p99']
+
 function Metrics() {
   const [nodeMetrics, setNodeMetrics] = useState(null)
   const [csharpMetrics, setCsharpMetrics] = useState(null)
@@ -13,7 +15,7 @@ function Metrics() {
     try {
       const [nodeResponse, csharpResponse] = await Promise.allSettled([
         fetch('http://localhost:3000/metrics'),
-        fetch('http://localhost:8081/metrics')
+        fetch('http://localhost:8080/metrics')
       ])
 
       if (nodeResponse.status === 'fulfilled' && nodeResponse.value.ok) {
@@ -95,6 +97,56 @@ function Metrics() {
                 </div>
               </div>
 
+              {nodeMetrics.responseTime?.percentiles && (
+                <div className="metric-group">
+                  <h4>Latency Percentiles</h4>
+                  <table className="percentile-table">
+                    <thead>
+                      <tr>
+                        <th>Window</th>
+                        {PERCENTILES.map((p) => <th key={p}>{p}</th>)}
+                        <th>Reqs</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {Object.entries(nodeMetrics.responseTime.percentiles).map(([window, data]) => (
+                        <tr key={window}>
+                          <td>{window}</td>
+                          {PERCENTILES.map((p) => <td key={p}>{formatDuration(data[p])}</td>)}
+                          <td>{formatNumber(data.count)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {nodeMetrics.responseTimeByRoute && Object.keys(nodeMetrics.responseTimeByRoute).length > 0 && (
+                <div className="metric-group">
+                  <h4>Latency by Route (last 5m)</h4>
+                  <table className="percentile-table">
+                    <thead>
+                      <tr>
+                        <th>Route</th>
+                        {PERCENTILES.map((p) => <th key={p}>{p}</th>)}
+                        <th>Reqs</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {Object.entries(nodeMetrics.responseTimeByRoute)
+                        .filter(([, windows]) => windows['5m']?.count > 0)
+                        .map(([route, windows]) => (
+                          <tr key={route}>
+                            <td className="route-cell">{route}</td>
+                            {PERCENTILES.map((p) => <td key={p}>{formatDuration(windows['5m'][p])}</td>)}
+                            <td>{formatNumber(windows['5m'].count)}</td>
+                          </tr>
+                        ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
               <div className="metric-group">
                 <h4>Rate Limiting</h4>
                 <div className="metric-item">
@@ -107,6 +159,43 @@ function Metrics() {
                 </div>
               </div>
 
+              <div className="metric-group">
+                <h4>C# Backend Circuits</h4>
+                <div className="metric-item">
+                  <span>Closed / Half-open / Open:</span>
+                  <span>
+                    {formatNumber(nodeMetrics.circuitBreaker?.closed)} / {formatNumber(nodeMetrics.circuitBreaker?.halfOpen)} / {formatNumber(nodeMetrics.circuitBreaker?.open)}
+                  </span>
+                </div>
+                <div className="metric-item">
+                  <span>Trips:</span>
+                  <span>{formatNumber(nodeMetrics.circuitBreaker?.trips)}</span>
+                </div>
+                <div className="metric-item">
+                  <span>Rejected / Retries:</span>
+                  <span>{formatNumber(nodeMetrics.circuitBreaker?.rejected)} / {formatNumber(nodeMetrics.upstream?.retries)}</span>
+                </div>
+              </div>
+
+              {nodeMetrics.upstream?.instances?.length > 0 && (
+                <div className="metric-group">
+                  <h4>C# Backend Instances ({nodeMetrics.upstream.strategy})</h4>
+                  {nodeMetrics.upstream.instances.map((instance) => (
+                    <div key={instance.url} className="metric-item">
+                      <span>
+                        {instance.state === 'healthy' ? '✅' : '❌'} {instance.url}
+                        {instance.circuitBreaker?.state !== 'closed' && ` (circuit ${instance.circuitBreaker?.state})`}
+                      </span>
+                      <span>{formatNumber(instance.requests)} ({Math.round(instance.share * 100)}%)</span>
+                    </div>
+                  ))}
+                  <div className="metric-item">
+                    <span>Failovers:</span>
+                    <span>{formatNumber(nodeMetrics.upstream.failovers)}</span>
+                  </div>
+                </div>
+              )}
+
               <div className="metric-group">
                 <h4>Uptime</h4>
                 <div className="metric-item">
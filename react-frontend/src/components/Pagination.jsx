@@ -0,0 +1,22 @@
+import './ListToolbar.css'
+
+function Pagination({ page, pageSize, total, onPageChange }) {
+  const pageCount = Math.max(1, Math.ceil(total / pageSize))
+  if (total <= pageSize) return null
+
+  return (
+    <div className="pagination">
+      <button onClick={() => onPageChange(page - 1)} disabled={page <= 1}>
+        ‹ Prev
+      </button>
+      <span>
+        Page {page} of {pageCount} · {total} total
+      </span>
+      <button onClick={() => onPageChange(page + 1)} disabled={page >= pageCount}>
+        Next ›
+      </button>
+    </div>
+  )
+}
+
+export default Pagination
@@ -1,50 +1,86 @@
-import { useState } from 'react'
+import { useRef, useState } from 'react'
 import './TaskList.css'
+import { submissionKey } from '../services/api'
+import ListToolbar from './ListToolbar'
+import Pagination from './Pagination'
+import BulkTaskForm from './BulkTaskForm'
+import ConflictDialog from './ConflictDialog'
+import HistoryTimeline from './HistoryTimeline'
+import ConfirmDialog from './ConfirmDialog'
 
-function TaskList({ tasks, users, onTaskCreate, onTaskUpdate }) {
+const CONFLICT_FIELDS = [
+  { key: 'title', label: 'Title' },
+  { key: 'status', label: 'Status' },
+  { key: 'userId', label: 'Assigned to' }
+]
+
+const toFormData = (task) => ({ title: task.title, status: task.status, userId: task.userId.toString() })
+
+const SORT_OPTIONS = [
+  { value: 'id:desc', label: 'Newest first' },
+  { value: 'id:asc', label: 'Oldest first' },
+  { value: 'title:asc', label: 'Title A–Z' },
+  { value: 'status:asc', label: 'Status' }
+]
+
+function TaskList({ tasks, users, query, onQueryChange, total, pageSize, onTaskCreate, onTaskUpdate, onTaskEditStart, onTaskBulkCreate, onTaskBulkUpdate, onTaskDelete, canViewHistory }) {
   const [showCreateForm, setShowCreateForm] = useState(false)
   const [editingTaskId, setEditingTaskId] = useState(null)
+  // ETag of the version the edit started from, and the server's version
+  // when an update was refused because the task changed in the meantime
+  const [editingEtag, setEditingEtag] = useState(null)
+  const [conflict, setConflict] = useState(null)
   const [formData, setFormData] = useState({ title: '', status: 'pending', userId: '' })
   const [isCreating, setIsCreating] = useState(false)
   const [isUpdating, setIsUpdating] = useState(false)
+  const [fieldErrors, setFieldErrors] = useState({})
+  // Idempotency-Key of the create until it succeeds
+  const submission = useRef(null)
+  const [showBulkForm, setShowBulkForm] = useState(false)
+  const [selectedIds, setSelectedIds] = useState([])
+  const [isBulkUpdating, setIsBulkUpdating] = useState(false)
+  // Task whose card is opened to show its history
+  const [openTaskId, setOpenTaskId] = useState(null)
+  // Task waiting for delete confirmation
+  const [deleting, setDeleting] = useState(null)
 
   console.log('TaskList rendered with users:', users)
   console.log('Users length:', users?.length || 0)
 
   const handleInputChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value })
+    setFieldErrors({ ...fieldErrors, [e.target.name]: undefined })
+  }
+
+  // Gateway validation errors arrive as [{ field, message }]; anything not
+  // tied to one of the inputs is shown above the form
+  const showValidationErrors = (error) => {
+    const errors = {}
+    ;(error.fields || []).forEach(({ field, message }) => {
+      const key = ['title', 'status', 'userId'].includes(field) ? field : 'form'
+      errors[key] = errors[key] ? `${errors[key]}; ${message}` : message
+    })
+    setFieldErrors(errors)
   }
 
   const handleSubmit = async (e) => {
     e.preventDefault()
     if (!formData.title || !formData.status || !formData.userId) return
+    setFieldErrors({})
     
     if (editingTaskId) {
-      // Update existing task
-      setIsUpdating(true)
-      try {
-        await onTaskUpdate(editingTaskId, {
-          ...formData,
-          userId: parseInt(formData.userId)
-        })
-        setFormData({ title: '', status: 'pending', userId: '' })
-        setEditingTaskId(null)
-      } catch (error) {
-        console.error('Error updating task:', error)
-      } finally {
-        setIsUpdating(false)
-      }
+      await saveEdit(editingEtag)
     } else {
       // Create new task
       setIsCreating(true)
       try {
-        await onTaskCreate({
-          ...formData,
-          userId: parseInt(formData.userId)
-        })
+        const taskData = { ...formData, userId: parseInt(formData.userId) }
+        await onTaskCreate(taskData, submissionKey(submission, taskData))
+        submission.current = null
         setFormData({ title: '', status: 'pending', userId: '' })
         setShowCreateForm(false)
       } catch (error) {
+        showValidationErrors(error)
         console.error('Error creating task:', error)
       } finally {
         setIsCreating(false)
@@ -52,18 +88,105 @@ function TaskList({ tasks, users, onTaskCreate, onTaskUpdate }) {
     }
   }
 
+  const saveEdit = async (etag) => {
+    setIsUpdating(true)
+    try {
+      await onTaskUpdate(editingTaskId, {
+        ...formData,
+        userId: parseInt(formData.userId)
+      }, etag)
+      setFormData({ title: '', status: 'pending', userId: '' })
+      setEditingTaskId(null)
+      setEditingEtag(null)
+    } catch (error) {
+      if (error.status === 412 && error.current) {
+        setConflict({ current: error.current, etag: error.etag })
+      } else {
+        showValidationErrors(error)
+      }
+      console.error('Error updating task:', error)
+    } finally {
+      setIsUpdating(false)
+    }
+  }
+
   const handleCancel = () => {
     setFormData({ title: '', status: 'pending', userId: '' })
+    setFieldErrors({})
     setShowCreateForm(false)
     setEditingTaskId(null)
+    setEditingEtag(null)
   }
 
-  const handleEdit = (task) => {
-    setFormData({ title: task.title, status: task.status, userId: task.userId.toString() })
+  // Edits start from the server's latest version of the task (not the
+  // possibly stale copy in the list) so the update can be made conditional
+  const handleEdit = async (task) => {
+    let latest = task
+    let etag = null
+    try {
+      ;({ task: latest, etag } = await onTaskEditStart(task.id))
+    } catch (error) {
+      console.error('Error loading task for editing:', error)
+    }
+    setFormData(toFormData(latest))
+    setFieldErrors({})
     setEditingTaskId(task.id)
+    setEditingEtag(etag)
     setShowCreateForm(false)
   }
 
+  const handleConflictOverwrite = async () => {
+    const { etag } = conflict
+    setConflict(null)
+    setEditingEtag(etag)
+    await saveEdit(etag)
+  }
+
+  const handleConflictUseCurrent = () => {
+    setFormData(toFormData(conflict.current))
+    setEditingEtag(conflict.etag)
+    setConflict(null)
+  }
+
+  const userName = (id) => {
+    const user = (users || []).find((u) => u.id === Number(id))
+    return user ? user.name : `User ID: ${id}`
+  }
+
+  const toggleSelected = (id) => {
+    setSelectedIds((prev) => (prev.includes(id) ? prev.filter((selected) => selected !== id) : [...prev, id]))
+  }
+
+  // Applies the same change to every selected task; the ones that failed
+  // stay selected
+  const applyToSelected = async (changes) => {
+    setIsBulkUpdating(true)
+    try {
+      const { results } = await onTaskBulkUpdate(selectedIds.map((id) => ({ id, ...changes })))
+      setSelectedIds(results.filter((result) => result.statusCode >= 400).map((result) => selectedIds[result.index]))
+    } catch (error) {
+      console.error('Error updating tasks:', error)
+    } finally {
+      setIsBulkUpdating(false)
+    }
+  }
+
+  const confirmDelete = async () => {
+    setDeleting({ ...deleting, busy: true, error: null })
+    try {
+      await onTaskDelete(deleting.task)
+      setSelectedIds((prev) => prev.filter((id) => id !== deleting.task.id))
+      setDeleting(null)
+    } catch (error) {
+      setDeleting((current) => current && { ...current, busy: false, error: error.message })
+      console.error('Error deleting task:', error)
+    }
+  }
+
+  const bulkForm = showBulkForm && (
+    <BulkTaskForm users={users || []} onSubmit={onTaskBulkCreate} onCancel={() => setShowBulkForm(false)} />
+  )
+
   if (tasks.length === 0 && !showCreateForm) {
     return (
       <div className="task-list-container">
@@ -71,10 +194,25 @@ function TaskList({ tasks, users, onTaskCreate, onTaskUpdate }) {
           <button 
             className="add-task-btn"
             onClick={() => setShowCreateForm(true)}
+            disabled={showBulkForm}
           >
             + Add New Task
           </button>
+          <button
+            className="add-task-btn secondary"
+            onClick={() => setShowBulkForm(true)}
+            disabled={showBulkForm}
+          >
+            + Add Several
+          </button>
         </div>
+        {bulkForm}
+        <ListToolbar
+          query={query}
+          sortOptions={SORT_OPTIONS}
+          placeholder="Search task titles"
+          onQueryChange={onQueryChange}
+        />
         <div className="empty-state">No tasks found</div>
       </div>
     )
@@ -99,51 +237,103 @@ function TaskList({ tasks, users, onTaskCreate, onTaskUpdate }) {
         <button 
           className="add-task-btn"
           onClick={() => setShowCreateForm(true)}
-          disabled={showCreateForm || editingTaskId}
+          disabled={showCreateForm || editingTaskId || showBulkForm}
         >
           + Add New Task
         </button>
+        <button
+          className="add-task-btn secondary"
+          onClick={() => setShowBulkForm(true)}
+          disabled={showCreateForm || editingTaskId || showBulkForm}
+        >
+          + Add Several
+        </button>
       </div>
 
+      {bulkForm}
+
+      {conflict && (
+        <ConflictDialog
+          noun="task"
+          fields={CONFLICT_FIELDS.map((field) => (field.key === 'userId' ? { ...field, format: userName } : field))}
+          mine={{ ...formData, userId: parseInt(formData.userId) }}
+          current={conflict.current}
+          onOverwrite={handleConflictOverwrite}
+          onUseCurrent={handleConflictUseCurrent}
+          onCancel={() => setConflict(null)}
+        />
+      )}
+
+      {deleting && (
+        <ConfirmDialog
+          title={`Delete "${deleting.task.title}"?`}
+          message="You can undo this for a short while afterwards."
+          busy={deleting.busy}
+          error={deleting.error}
+          onConfirm={confirmDelete}
+          onCancel={() => setDeleting(null)}
+        />
+      )}
+
+      <ListToolbar
+        query={query}
+        sortOptions={SORT_OPTIONS}
+        placeholder="Search task titles"
+        onQueryChange={onQueryChange}
+      />
+
       {(showCreateForm || editingTaskId) && (
         <form className="create-task-form" onSubmit={handleSubmit}>
           <h3>{editingTaskId ? 'Edit Task' : 'Create New Task'}</h3>
+          {fieldErrors.form && <div className="form-error">{fieldErrors.form}</div>}
           <div className="form-row">
-            <input
-              type="text"
-              name="title"
-              placeholder="Task title"
-              value={formData.title}
-              onChange={handleInputChange}
-              required
-            />
-            <select
-              name="status"
-              value={formData.status}
-              onChange={handleInputChange}
-              required
-            >
-              <option value="pending">Pending</option>
-              <option value="in-progress">In Progress</option>
-              <option value="completed">Completed</option>
-            </select>
-            <select
-              name="userId"
-              value={formData.userId}
-              onChange={handleInputChange}
-              required
-            >
-              <option value="">Select User</option>
-              {users && users.length > 0 ? (
-                users.map(user => (
-                  <option key={user.id} value={user.id}>
-                    {user.name}
-                  </option>
-                ))
-              ) : (
-                <option disabled>Loading users...</option>
-              )}
-            </select>
+            <div className="form-field">
+              <input
+                type="text"
+                name="title"
+                placeholder="Task title"
+                value={formData.title}
+                onChange={handleInputChange}
+                className={fieldErrors.title ? 'invalid' : ''}
+                required
+              />
+              {fieldErrors.title && <span className="field-error">{fieldErrors.title}</span>}
+            </div>
+            <div className="form-field">
+              <select
+                name="status"
+                value={formData.status}
+                onChange={handleInputChange}
+                className={fieldErrors.status ? 'invalid' : ''}
+                required
+              >
+                <option value="pending">Pending</option>
+                <option value="in-progress">In Progress</option>
+                <option value="completed">Completed</option>
+              </select>
+              {fieldErrors.status && <span className="field-error">{fieldErrors.status}</span>}
+            </div>
+            <div className="form-field">
+              <select
+                name="userId"
+                value={formData.userId}
+                onChange={handleInputChange}
+                className={fieldErrors.userId ? 'invalid' : ''}
+                required
+              >
+                <option value="">Select User</option>
+                {users && users.length > 0 ? (
+                  users.map(user => (
+                    <option key={user.id} value={user.id}>
+                      {user.name}
+                    </option>
+                  ))
+                ) : (
+                  <option disabled>Loading users...</option>
+                )}
+              </select>
+              {fieldErrors.userId && <span className="field-error">{fieldErrors.userId}</span>}
+            </div>
           </div>
           <div className="form-actions">
             <button type="submit" disabled={isCreating || isUpdating}>
@@ -156,12 +346,46 @@ function TaskList({ tasks, users, onTaskCreate, onTaskUpdate }) {
         </form>
       )}
 
+      {selectedIds.length > 0 && (
+        <div className="bulk-bar">
+          <span>{selectedIds.length} selected</span>
+          <select value="" onChange={(e) => applyToSelected({ status: e.target.value })} disabled={isBulkUpdating}>
+            <option value="">Set status...</option>
+            <option value="pending">Pending</option>
+            <option value="in-progress">In Progress</option>
+            <option value="completed">Completed</option>
+          </select>
+          <select
+            value=""
+            onChange={(e) => applyToSelected({ userId: parseInt(e.target.value) })}
+            disabled={isBulkUpdating}
+          >
+            <option value="">Reassign to...</option>
+            {(users || []).map((user) => (
+              <option key={user.id} value={user.id}>
+                {user.name}
+              </option>
+            ))}
+          </select>
+          <button onClick={() => setSelectedIds([])} disabled={isBulkUpdating}>
+            Clear
+          </button>
+        </div>
+      )}
+
       <div className="task-list">
         {tasks.map((task) => {
           const user = users && users.length > 0 ? users.find(u => u.id === task.userId) : null
           return (
             <div key={task.id} className={`task-card ${editingTaskId === task.id ? 'editing' : ''}`}>
               <div className="task-header">
+                <input
+                  type="checkbox"
+                  className="task-select"
+                  checked={selectedIds.includes(task.id)}
+                  onChange={() => toggleSelected(task.id)}
+                  aria-label={`Select ${task.title}`}
+                />
                 <h3>{task.title}</h3>
                 <div className="task-header-actions">
                   <span
@@ -177,16 +401,50 @@ function TaskList({ tasks, users, onTaskCreate, onTaskUpdate }) {
                   >
                     ✏️
                   </button>
+                  {canViewHistory && (
+                    <button
+                      className={`history-task-btn ${openTaskId === task.id ? 'open' : ''}`}
+                      onClick={() => setOpenTaskId(openTaskId === task.id ? null : task.id)}
+                      aria-expanded={openTaskId === task.id}
+                      title="History"
+                    >
+                      🕘
+                    </button>
+                  )}
+                  <button
+                    className="delete-task-btn"
+                    onClick={() => setDeleting({ task, busy: false, error: null })}
+                    disabled={editingTaskId === task.id}
+                    aria-label={`Delete ${task.title}`}
+                    title="Delete"
+                  >
+                    🗑️
+                  </button>
                 </div>
               </div>
               <div className="task-footer">
                 <span className="task-id">Task #{task.id}</span>
                 <span className="task-user">{user ? user.name : `User ID: ${task.userId}`}</span>
               </div>
+              {canViewHistory && openTaskId === task.id && (
+                <HistoryTimeline
+                  entity="task"
+                  id={task.id}
+                  version={`${task.title}|${task.status}|${task.userId}`}
+                  formatters={{ userId: userName }}
+                />
+              )}
             </div>
           )
         })}
       </div>
+
+      <Pagination
+        page={query.page}
+        pageSize={pageSize}
+        total={total}
+        onPageChange={(page) => onQueryChange({ ...query, page })}
+      />
     </div>
   )
 }
@@ -0,0 +1,38 @@
+import { useEffect, useState } from 'react'
+import './UndoToast.css'
+
+const secondsLeft = (expiresAt, now) => Math.max(0, Math.ceil((Date.parse(expiresAt) - now) / 1000))
+
+// Toasts for recent deletes, each with an Undo button and the seconds left
+// in its undo window. A toast goes away by itself when the window closes.
+function UndoToast({ toasts, onUndo, onDismiss }) {
+  const [now, setNow] = useState(Date.now())
+
+  useEffect(() => {
+    if (toasts.length === 0) return undefined
+    const interval = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(interval)
+  }, [toasts.length])
+
+  useEffect(() => {
+    toasts.filter((toast) => secondsLeft(toast.expiresAt, now) === 0).forEach((toast) => onDismiss(toast.id))
+  }, [now])
+
+  if (toasts.length === 0) return null
+
+  return (
+    <div className="undo-toasts" role="status" aria-live="polite">
+      {toasts.map((toast) => (
+        <div key={toast.id} className="undo-toast">
+          <span>{toast.message}</span>
+          <button type="button" className="undo-btn" onClick={() => onUndo(toast)} disabled={toast.undoing}>
+            {toast.undoing ? 'Undoing...' : `Undo (${secondsLeft(toast.expiresAt, now)}s)`}
+          </button>
+          <button type="button" className="undo-dismiss" onClick={() => onDismiss(toast.id)} aria-label="Dismiss">×</button>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default UndoToast
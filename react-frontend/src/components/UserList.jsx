@@ -1,41 +1,79 @@
-import { useState } from 'react'
+import { useRef, useState } from 'react'
 import './UserList.css'
+import { submissionKey } from '../services/api'
+import ListToolbar from './ListToolbar'
+import Pagination from './Pagination'
+import ConflictDialog from './ConflictDialog'
+import ConfirmDialog from './ConfirmDialog'
 
-function UserList({ users, selectedUserId, onUserSelect, onUserCreate, onUserUpdate }) {
+const CONFLICT_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'role', label: 'Role' }
+]
+
+const toFormData = (user) => ({ name: user.name, email: user.email, role: user.role })
+
+const SORT_OPTIONS = [
+  { value: 'name:asc', label: 'Name A–Z' },
+  { value: 'name:desc', label: 'Name Z–A' },
+  { value: 'email:asc', label: 'Email' },
+  { value: 'role:asc', label: 'Role' },
+  { value: 'id:desc', label: 'Newest first' }
+]
+
+function UserList({ users, allUsers, query, onQueryChange, total, pageSize, currentUser, selectedUserId, onUserSelect, onUserCreate, onUserUpdate, onUserEditStart, onUserDelete }) {
   const [showCreateForm, setShowCreateForm] = useState(false)
   const [editingUserId, setEditingUserId] = useState(null)
+  // ETag of the version the edit started from, and the server's version
+  // when an update was refused because the user changed in the meantime
+  const [editingEtag, setEditingEtag] = useState(null)
+  const [conflict, setConflict] = useState(null)
   const [formData, setFormData] = useState({ name: '', email: '', role: '' })
   const [isCreating, setIsCreating] = useState(false)
   const [isUpdating, setIsUpdating] = useState(false)
+  const [fieldErrors, setFieldErrors] = useState({})
+  // Idempotency-Key of the create until it succeeds
+  const submission = useRef(null)
+  // User waiting for delete confirmation, and where their tasks should go
+  const [deleting, setDeleting] = useState(null)
+
+  // Mirrors the gateway policy so the UI does not offer what would be refused
+  const isAdmin = currentUser?.role === 'admin'
 
   const handleInputChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value })
+    setFieldErrors({ ...fieldErrors, [e.target.name]: undefined })
+  }
+
+  // Gateway validation errors arrive as [{ field, message }]; anything not
+  // tied to one of the inputs is shown above the form
+  const showValidationErrors = (error) => {
+    const errors = {}
+    ;(error.fields || []).forEach(({ field, message }) => {
+      const key = ['name', 'email', 'role'].includes(field) ? field : 'form'
+      errors[key] = errors[key] ? `${errors[key]}; ${message}` : message
+    })
+    setFieldErrors(errors)
   }
 
   const handleSubmit = async (e) => {
     e.preventDefault()
     if (!formData.name || !formData.email || !formData.role) return
+    setFieldErrors({})
     
     if (editingUserId) {
-      // Update existing user
-      setIsUpdating(true)
-      try {
-        await onUserUpdate(editingUserId, formData)
-        setFormData({ name: '', email: '', role: '' })
-        setEditingUserId(null)
-      } catch (error) {
-        console.error('Error updating user:', error)
-      } finally {
-        setIsUpdating(false)
-      }
+      await saveEdit(editingEtag)
     } else {
       // Create new user
       setIsCreating(true)
       try {
-        await onUserCreate(formData)
+        await onUserCreate(formData, submissionKey(submission, formData))
+        submission.current = null
         setFormData({ name: '', email: '', role: '' })
         setShowCreateForm(false)
       } catch (error) {
+        showValidationErrors(error)
         console.error('Error creating user:', error)
       } finally {
         setIsCreating(false)
@@ -43,64 +81,200 @@ function UserList({ users, selectedUserId, onUserSelect, onUserCreate, onUserUpd
     }
   }
 
+  const saveEdit = async (etag) => {
+    setIsUpdating(true)
+    try {
+      await onUserUpdate(editingUserId, formData, etag)
+      setFormData({ name: '', email: '', role: '' })
+      setEditingUserId(null)
+      setEditingEtag(null)
+    } catch (error) {
+      if (error.status === 412 && error.current) {
+        setConflict({ current: error.current, etag: error.etag })
+      } else {
+        showValidationErrors(error)
+      }
+      console.error('Error updating user:', error)
+    } finally {
+      setIsUpdating(false)
+    }
+  }
+
   const handleCancel = () => {
     setFormData({ name: '', email: '', role: '' })
+    setFieldErrors({})
     setShowCreateForm(false)
     setEditingUserId(null)
+    setEditingEtag(null)
   }
 
-  const handleEdit = (user) => {
-    setFormData({ name: user.name, email: user.email, role: user.role })
+  // Edits start from the server's latest version of the user so the update
+  // can be made conditional on nobody else having changed it
+  const handleEdit = async (user) => {
+    let latest = user
+    let etag = null
+    try {
+      ;({ user: latest, etag } = await onUserEditStart(user.id))
+    } catch (error) {
+      console.error('Error loading user for editing:', error)
+    }
+    setFormData(toFormData(latest))
+    setFieldErrors({})
     setEditingUserId(user.id)
+    setEditingEtag(etag)
     setShowCreateForm(false)
   }
 
+  const handleConflictOverwrite = async () => {
+    const { etag } = conflict
+    setConflict(null)
+    setEditingEtag(etag)
+    await saveEdit(etag)
+  }
+
+  const handleConflictUseCurrent = () => {
+    setFormData(toFormData(conflict.current))
+    setEditingEtag(conflict.etag)
+    setConflict(null)
+  }
+
+  const startDelete = (user) => setDeleting({ user, mode: 'reassign', reassignTo: '', busy: false, error: null })
+
+  const confirmDelete = async () => {
+    const { user, mode, reassignTo } = deleting
+    setDeleting({ ...deleting, busy: true, error: null })
+    try {
+      await onUserDelete(user, mode === 'cascade' ? { cascade: true } : { reassignTo: parseInt(reassignTo) })
+      setDeleting(null)
+    } catch (error) {
+      setDeleting((current) => current && { ...current, busy: false, error: error.message })
+      console.error('Error deleting user:', error)
+    }
+  }
+
   return (
     <div className="user-list-container">
-      <div className="user-list-header">
-        <button 
-          className="add-user-btn"
-          onClick={() => setShowCreateForm(true)}
-          disabled={showCreateForm || editingUserId}
+      {isAdmin && (
+        <div className="user-list-header">
+          <button 
+            className="add-user-btn"
+            onClick={() => setShowCreateForm(true)}
+            disabled={showCreateForm || editingUserId}
+          >
+            + Add New User
+          </button>
+        </div>
+      )}
+
+      {conflict && (
+        <ConflictDialog
+          noun="user"
+          fields={CONFLICT_FIELDS}
+          mine={formData}
+          current={conflict.current}
+          onOverwrite={handleConflictOverwrite}
+          onUseCurrent={handleConflictUseCurrent}
+          onCancel={() => setConflict(null)}
+        />
+      )}
+
+      {deleting && (
+        <ConfirmDialog
+          title={`Delete ${deleting.user.name}?`}
+          message="What should happen to their tasks?"
+          busy={deleting.busy}
+          disabled={deleting.mode === 'reassign' && !deleting.reassignTo}
+          error={deleting.error}
+          onConfirm={confirmDelete}
+          onCancel={() => setDeleting(null)}
         >
-          + Add New User
-        </button>
-      </div>
+          <label className="confirm-choice">
+            <input
+              type="radio"
+              name="delete-mode"
+              checked={deleting.mode === 'reassign'}
+              onChange={() => setDeleting({ ...deleting, mode: 'reassign' })}
+            />
+            Reassign open tasks to
+            <select
+              value={deleting.reassignTo}
+              onChange={(e) => setDeleting({ ...deleting, mode: 'reassign', reassignTo: e.target.value })}
+            >
+              <option value="">Select user</option>
+              {(allUsers || []).filter((user) => user.id !== deleting.user.id).map((user) => (
+                <option key={user.id} value={user.id}>{user.name}</option>
+              ))}
+            </select>
+          </label>
+          <p className="confirm-hint">Completed tasks stay assigned to {deleting.user.name}.</p>
+          <label className="confirm-choice">
+            <input
+              type="radio"
+              name="delete-mode"
+              checked={deleting.mode === 'cascade'}
+              onChange={() => setDeleting({ ...deleting, mode: 'cascade' })}
+            />
+            Delete all their tasks too
+          </label>
+        </ConfirmDialog>
+      )}
+
+      <ListToolbar
+        query={query}
+        sortOptions={SORT_OPTIONS}
+        placeholder="Search by name or email"
+        onQueryChange={onQueryChange}
+      />
 
       {(showCreateForm || editingUserId) && (
         <form className="create-user-form" onSubmit={handleSubmit}>
           <h3>{editingUserId ? 'Edit User' : 'Create New User'}</h3>
+          {fieldErrors.form && <div className="form-error">{fieldErrors.form}</div>}
           <div className="form-row">
-            <input
-              type="text"
-              name="name"
-              placeholder="Full Name"
-              value={formData.name}
-              onChange={handleInputChange}
-              required
-            />
-            <input
-              type="email"
-              name="email"
-              placeholder="Email Address"
-              value={formData.email}
-              onChange={handleInputChange}
-              required
-            />
+            <div className="form-field">
+              <input
+                type="text"
+                name="name"
+                placeholder="Full Name"
+                value={formData.name}
+                onChange={handleInputChange}
+                className={fieldErrors.name ? 'invalid' : ''}
+                required
+              />
+              {fieldErrors.name && <span className="field-error">{fieldErrors.name}</span>}
+            </div>
+            <div className="form-field">
+              <input
+                type="email"
+                name="email"
+                placeholder="Email Address"
+                value={formData.email}
+                onChange={handleInputChange}
+                className={fieldErrors.email ? 'invalid' : ''}
+                required
+              />
+              {fieldErrors.email && <span className="field-error">{fieldErrors.email}</span>}
+            </div>
           </div>
           <div className="form-row">
-            <select
-              name="role"
-              value={formData.role}
-              onChange={handleInputChange}
-              required
-            >
-              <option value="">Select Role</option>
-              <option value="developer">Developer</option>
-              <option value="designer">Designer</option>
-              <option value="manager">Manager</option>
-              <option value="admin">Admin</option>
-            </select>
+            <div className="form-field">
+              <select
+                name="role"
+                value={formData.role}
+                onChange={handleInputChange}
+                disabled={!isAdmin}
+                title={isAdmin ? undefined : 'Only admins can change roles'}
+                className={fieldErrors.role ? 'invalid' : ''}
+                required
+              >
+                <option value="">Select Role</option>
+                <option value="developer">Developer</option>
+                <option value="designer">Designer</option>
+                <option value="manager">Manager</option>
+                <option value="admin">Admin</option>
+              </select>
+              {fieldErrors.role && <span className="field-error">{fieldErrors.role}</span>}
+            </div>
           </div>
           <div className="form-actions">
             <button 
@@ -153,11 +327,31 @@ function UserList({ users, selectedUserId, onUserSelect, onUserCreate, onUserUpd
                 >
                   ✏️ Edit
                 </button>
+                {isAdmin && user.id !== currentUser.id && (
+                  <button
+                    className="delete-btn"
+                    onClick={(e) => {
+                      e.stopPropagation()
+                      startDelete(user)
+                    }}
+                    disabled={Boolean(editingUserId)}
+                    aria-label={`Delete ${user.name}`}
+                  >
+                    🗑️
+                  </button>
+                )}
               </div>
             </div>
           ))}
         </div>
       )}
+
+      <Pagination
+        page={query.page}
+        pageSize={pageSize}
+        total={total}
+        onPageChange={(page) => onQueryChange({ ...query, page })}
+      />
     </div>
   )
 }
@@ -0,0 +1,63 @@
+import './UserOverview.css'
+import HistoryTimeline from './HistoryTimeline'
+
+const STATUS_GROUPS = [
+  { status: 'pending', label: 'Pending' },
+  { status: 'in-progress', label: 'In Progress' },
+  { status: 'completed', label: 'Completed' }
+]
+
+function UserOverview({ overview, canViewHistory }) {
+  const { user, tasks, counts, completionRate, partial } = overview
+
+  return (
+    <div className="user-details">
+      <h3>Selected User Details</h3>
+      <div className="detail-card">
+        <p><strong>Name:</strong> {user.name}</p>
+        <p><strong>Email:</strong> {user.email}</p>
+        <p><strong>Role:</strong> {user.role}</p>
+      </div>
+
+      {partial ? (
+        <div className="overview-warning">⚠️ Task summary is unavailable right now</div>
+      ) : (
+        <div className="overview-summary">
+          <div className="completion">
+            <div className="completion-label">
+              <span>Completion</span>
+              <strong>{completionRate}%</strong>
+            </div>
+            <div className="completion-bar">
+              <div className="completion-fill" style={{ width: `${completionRate}%` }} />
+            </div>
+            <div className="completion-counts">
+              {counts.completed} of {counts.total} {counts.total === 1 ? 'task' : 'tasks'} completed
+            </div>
+          </div>
+
+          {STATUS_GROUPS.map(({ status, label }) => (
+            <div key={status} className={`overview-group ${status}`}>
+              <h4>
+                {label} <span className="group-count">{tasks[status].length}</span>
+              </h4>
+              {tasks[status].length > 0 && (
+                <ul>
+                  {tasks[status].map((task) => (
+                    <li key={task.id}>{task.title}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {canViewHistory && (
+        <HistoryTimeline entity="user" id={user.id} version={`${user.name}|${user.email}|${user.role}`} />
+      )}
+    </div>
+  )
+}
+
+export default UserOverview
@@ -1,4 +1,5 @@
 import axios from 'axios'
+import { AuthenticationError, NetworkError, toApiError } from './errors'
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
 
@@ -10,10 +11,46 @@ const apiClient = axios.create({
   },
 })
 
-// Request interceptor for logging
+const ACCESS_TOKEN_KEY = 'accessToken'
+const REFRESH_TOKEN_KEY = 'refreshToken'
+const CURRENT_USER_KEY = 'currentUser'
+
+// Auth state lives in localStorage so a page reload keeps the session.
+// Listeners are notified on login, refresh and logout.
+const authListeners = new Set()
+
+export const getCurrentUser = () => {
+  const stored = localStorage.getItem(CURRENT_USER_KEY)
+  return stored ? JSON.parse(stored) : null
+}
+
+export const onAuthChange = (listener) => {
+  authListeners.add(listener)
+  return () => authListeners.delete(listener)
+}
+
+const storeSession = ({ accessToken, refreshToken, user }) => {
+  localStorage.setItem(ACCESS_TOKEN_KEY, accessToken)
+  localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken)
+  localStorage.setItem(CURRENT_USER_KEY, JSON.stringify(user))
+  authListeners.forEach((listener) => listener(user))
+}
+
+const clearSession = () => {
+  localStorage.removeItem(ACCESS_TOKEN_KEY)
+  localStorage.removeItem(REFRESH_TOKEN_KEY)
+  localStorage.removeItem(CURRENT_USER_KEY)
+  authListeners.forEach((listener) => listener(null))
+}
+
+// Request interceptor for logging and attaching the access token
 apiClient.interceptors.request.use(
   (config) => {
     console.log(`Making ${config.method.toUpperCase()} request to ${config.url}`)
+    const accessToken = localStorage.getItem(ACCESS_TOKEN_KEY)
+    if (accessToken && !config.headers.Authorization) {
+      config.headers.Authorization = `Bearer ${accessToken}`
+    }
     return config
   },
   (error) => {
@@ -21,20 +58,69 @@ apiClient.interceptors.request.use(
   }
 )
 
-// Response interceptor for error handling
+// Concurrent 401s share one refresh call
+let refreshPromise = null
+
+const refreshSession = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY)
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_BASE_URL}/api/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error('No refresh token'))
+    )
+      .then((response) => {
+        storeSession(response.data)
+        return response.data.accessToken
+      })
+      .finally(() => {
+        refreshPromise = null
+      })
+  }
+  return refreshPromise
+}
+
+// Blob requests (exports) get their error body as a Blob too
+const readErrorBody = async (data) => {
+  if (typeof Blob === 'undefined' || !(data instanceof Blob)) {
+    return data
+  }
+  const text = await data.text()
+  try {
+    return JSON.parse(text)
+  } catch {
+    return text
+  }
+}
+
+const isAuthEndpoint = (url = '') => url.startsWith('/api/auth/login') || url.startsWith('/api/auth/refresh')
+
+// Response interceptor for token refresh and error handling
 apiClient.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config
+
+    // Expired access token: refresh once and replay the request
+    if (error.response?.status === 401 && originalRequest && !originalRequest._retried && !isAuthEndpoint(originalRequest.url)) {
+      originalRequest._retried = true
+      try {
+        const accessToken = await refreshSession()
+        originalRequest.headers.Authorization = `Bearer ${accessToken}`
+        return apiClient(originalRequest)
+      } catch (refreshError) {
+        clearSession()
+        throw new AuthenticationError({ status: 401, detail: 'Your session has expired. Please sign in again.' })
+      }
+    }
+
     if (error.response) {
-      // Server responded with error status
-      throw new Error(
-        error.response.data?.error || 
-        error.response.data?.message || 
-        `Request failed with status ${error.response.status}`
-      )
+      // Server responded with a problem+json body; see ./errors for the
+      // classes and the properties (status, fields, current, ...) they carry
+      const { status, data, headers } = error.response
+      throw toApiError(status, await readErrorBody(data), headers)
     } else if (error.request) {
       // Request was made but no response received
-      throw new Error('No response from server. Is the Node.js backend running?')
+      throw new NetworkError()
     } else {
       // Something else happened
       throw new Error(error.message || 'An unexpected error occurred')
@@ -42,6 +128,103 @@ apiClient.interceptors.response.use(
   }
 )
 
+const CHANGE_EVENT_TYPES = [
+  'user.created', 'user.updated', 'user.deleted', 'user.restored',
+  'task.created', 'task.updated', 'task.deleted', 'task.restored',
+]
+
+// Subscribes to the gateway's change stream (Server-Sent Events). EventSource
+// cannot send headers, so each connection is opened with a short-lived,
+// single-use ticket from POST /api/events/ticket rather than the access
+// token (which would end up in URLs and logs). A ticket is only good once,
+// so when the connection drops or the gateway refuses it we fetch a new one
+// and reconnect with backoff, resuming from the last event seen. Returns
+// an unsubscribe function.
+export const subscribeToChanges = ({ onEvent, onStatusChange = () => {} }) => {
+  let source = null
+  let lastEventId = null
+  let retryTimer = null
+  let attempts = 0
+  let stopped = false
+
+  const connect = async () => {
+    if (stopped || !localStorage.getItem(ACCESS_TOKEN_KEY)) return
+
+    let ticket
+    try {
+      // Refreshes the session first if the access token has expired
+      const response = await apiClient.post('/api/events/ticket')
+      ticket = response.data.ticket
+    } catch (error) {
+      // A session that could not be refreshed has been cleared; anything
+      // else (e.g. a network error) is tried again later
+      if (!(error instanceof AuthenticationError)) {
+        onStatusChange('reconnecting')
+        scheduleReconnect()
+      }
+      return
+    }
+    if (stopped) return
+
+    const params = new URLSearchParams({ ticket })
+    if (lastEventId !== null) params.set('lastEventId', lastEventId)
+    source = new EventSource(`${API_BASE_URL}/api/events?${params}`)
+
+    source.onopen = () => {
+      attempts = 0
+      onStatusChange('live')
+    }
+
+    source.addEventListener('ready', (e) => {
+      if (lastEventId === null) lastEventId = String(JSON.parse(e.data).lastEventId)
+    })
+
+    source.addEventListener('resync', (e) => {
+      lastEventId = String(JSON.parse(e.data).lastEventId)
+      onEvent({ type: 'resync' })
+    })
+
+    CHANGE_EVENT_TYPES.forEach((type) => {
+      source.addEventListener(type, (e) => {
+        lastEventId = e.lastEventId
+        onEvent(JSON.parse(e.data))
+      })
+    })
+
+    // The browser's own reconnect would reuse the spent ticket, so the
+    // stream is closed and opened again with a new one
+    source.onerror = () => {
+      onStatusChange('reconnecting')
+      source.close()
+      scheduleReconnect()
+    }
+  }
+
+  const scheduleReconnect = () => {
+    const delay = Math.min(30000, 1000 * 2 ** attempts++)
+    retryTimer = setTimeout(connect, delay)
+  }
+
+  connect()
+
+  return () => {
+    stopped = true
+    clearTimeout(retryTimer)
+    if (source) source.close()
+    onStatusChange('offline')
+  }
+}
+
+export const login = async (email, password) => {
+  const response = await apiClient.post('/api/auth/login', { email, password })
+  storeSession(response.data)
+  return response.data.user
+}
+
+export const logout = () => {
+  clearSession()
+}
+
 export const checkHealth = async () => {
   try {
     const response = await apiClient.get('/health')
@@ -51,18 +234,51 @@ export const checkHealth = async () => {
   }
 }
 
-export const getUsers = async () => {
-  const response = await apiClient.get('/api/users')
+// Drops empty values so only the parameters in use reach the query string
+const listParams = (options) =>
+  Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && value !== null && value !== ''))
+
+// Without page/pageSize the full list is returned. Responses carry
+// { total, page, pageSize, nextCursor } next to the items.
+export const getUsers = async ({ q, sort, page, pageSize, cursor } = {}) => {
+  const params = listParams({ q, sort, page, pageSize, cursor })
+  const response = await apiClient.get('/api/users', { params })
   return response.data
 }
 
-export const createUser = async (userData) => {
-  const response = await apiClient.post('/api/users', userData)
+// Create requests carry an Idempotency-Key so the gateway can replay the
+// first response instead of creating a duplicate. Forms make one key per
+// submission with submissionKey and send it again only when that same
+// submission is retried (a double-click, or submitting again after an
+// error or timeout without changing anything).
+const newIdempotencyKey = () =>
+  crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`
+
+// `submission` is a ref the form keeps; set it back to null once the
+// submission has succeeded
+export const submissionKey = (submission, payload) => {
+  const fingerprint = JSON.stringify(payload)
+  if (submission.current?.fingerprint !== fingerprint) {
+    submission.current = { fingerprint, key: newIdempotencyKey() }
+  }
+  return submission.current.key
+}
+
+const idempotencyHeaders = (key) => (key ? { 'Idempotency-Key': key } : {})
+
+export const createUser = async (userData, idempotencyKey) => {
+  const response = await apiClient.post('/api/users', userData, {
+    headers: idempotencyHeaders(idempotencyKey)
+  })
   return response.data
 }
 
-export const updateUser = async (id, userData) => {
-  const response = await apiClient.put(`/api/users/${id}`, userData)
+// Pass the ETag the edit started from; if someone else has changed the user
+// since, the update fails with status 412 and `error.current`
+export const updateUser = async (id, userData, etag) => {
+  const response = await apiClient.put(`/api/users/${id}`, userData, {
+    headers: etag ? { 'If-Match': etag } : {}
+  })
   return response.data
 }
 
@@ -71,22 +287,81 @@ export const getUserById = async (id) => {
   return response.data
 }
 
-export const getTasks = async (status = '', userId = '') => {
-  const params = {}
-  if (status) params.status = status
-  if (userId) params.userId = userId
-  
+// The user plus the ETag to send back with an update
+export const getUserVersion = async (id) => {
+  const response = await apiClient.get(`/api/users/${id}`)
+  return { user: response.data, etag: response.headers.etag }
+}
+
+// User, tasks grouped by status, counts and completion rate in one call.
+// `partial` is true when the tasks could not be loaded (see `errors`).
+export const getUserOverview = async (id) => {
+  const response = await apiClient.get(`/api/users/${id}/overview`)
+  return response.data
+}
+
+// Deletes are soft and answer with { undo: { expiresAt, restoreUrl } }.
+// A user's tasks go either to another user (reassignTo, open tasks only) or
+// with them (cascade); the answer lists { reassignedTasks, deletedTasks }.
+export const deleteUser = async (id, { reassignTo, cascade } = {}) => {
+  const response = await apiClient.delete(`/api/users/${id}`, {
+    params: listParams({ reassignTo, cascade: cascade ? 'true' : undefined }),
+  })
+  return response.data
+}
+
+// Undoes a delete until undo.expiresAt; a closed window fails with status 410
+export const restoreUser = async (id) => {
+  const response = await apiClient.post(`/api/users/${id}/restore`)
+  return response.data
+}
+
+// Audit entries for one user or task, newest first:
+// { history: [{ timestamp, actor, action, changes: { field: { from, to } } }], ... }
+export const getUserHistory = async (id, { page, pageSize } = {}) => {
+  const response = await apiClient.get(`/api/users/${id}/history`, { params: listParams({ page, pageSize }) })
+  return response.data
+}
+
+export const getTasks = async ({ status, userId, q, sort, page, pageSize, cursor } = {}) => {
+  const params = listParams({ status, userId, q, sort, page, pageSize, cursor })
   const response = await apiClient.get('/api/tasks', { params })
   return response.data
 }
 
-export const createTask = async (taskData) => {
-  const response = await apiClient.post('/api/tasks', taskData)
+export const createTask = async (taskData, idempotencyKey) => {
+  const response = await apiClient.post('/api/tasks', taskData, {
+    headers: idempotencyHeaders(idempotencyKey)
+  })
+  return response.data
+}
+
+export const updateTask = async (id, taskData, etag) => {
+  const response = await apiClient.put(`/api/tasks/${id}`, taskData, {
+    headers: etag ? { 'If-Match': etag } : {}
+  })
   return response.data
 }
 
-export const updateTask = async (id, taskData) => {
-  const response = await apiClient.put(`/api/tasks/${id}`, taskData)
+// Bulk writes answer 201/200 when every item succeeded and 207 otherwise,
+// with { results: [{ index, statusCode, data | error, fields }], summary }
+export const bulkCreateTasks = async (tasks, idempotencyKey) => {
+  const response = await apiClient.post('/api/tasks/bulk', tasks, {
+    headers: idempotencyHeaders(idempotencyKey)
+  })
+  return response.data
+}
+
+// changes: [{ id, status?, userId? }]
+export const bulkUpdateTasks = async (changes) => {
+  const response = await apiClient.patch('/api/tasks/bulk', changes)
+  return response.data
+}
+
+export const bulkCreateUsers = async (users, idempotencyKey) => {
+  const response = await apiClient.post('/api/users/bulk', users, {
+    headers: idempotencyHeaders(idempotencyKey)
+  })
   return response.data
 }
 
@@ -95,6 +370,61 @@ export const getTaskById = async (id) => {
   return response.data
 }
 
+export const getTaskHistory = async (id, { page, pageSize } = {}) => {
+  const response = await apiClient.get(`/api/tasks/${id}/history`, { params: listParams({ page, pageSize }) })
+  return response.data
+}
+
+export const deleteTask = async (id) => {
+  const response = await apiClient.delete(`/api/tasks/${id}`)
+  return response.data
+}
+
+export const restoreTask = async (id) => {
+  const response = await apiClient.post(`/api/tasks/${id}/restore`)
+  return response.data
+}
+
+export const getTaskVersion = async (id) => {
+  const response = await apiClient.get(`/api/tasks/${id}`)
+  return { task: response.data, etag: response.headers.etag }
+}
+
+// Downloads GET /api/export as a file. The token has to be sent as a
+// header, so the file is fetched as a blob rather than opened as a link.
+export const exportData = async (entity, format = 'csv') => {
+  const response = await apiClient.get('/api/export', {
+    params: { entity, format },
+    responseType: 'blob',
+    timeout: 60000
+  })
+  const disposition = response.headers['content-disposition'] || ''
+  const filename = (disposition.match(/filename="([^"]+)"/) || [])[1] || `${entity}.${format}`
+
+  const url = URL.createObjectURL(response.data)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+// Uploads a CSV/JSON/NDJSON file. With dryRun the gateway only reports
+// { valid, summary, errors: [{ row, field, message }] }; otherwise it
+// writes the rows and answers { results, summary }.
+export const importData = async (entity, file, { dryRun = false } = {}) => {
+  const formData = new FormData()
+  formData.append('file', file)
+  // apiClient defaults to JSON, which would make axios serialize the form;
+  // unset, the browser sends multipart/form-data with its boundary
+  const response = await apiClient.post('/api/import', formData, {
+    params: { entity, dryRun },
+    headers: { 'Content-Type': undefined },
+    timeout: 60000
+  })
+  return response.data
+}
+
 export const getStats = async () => {
   const response = await apiClient.get('/api/stats')
   return response.data
@@ -0,0 +1,86 @@
+// Typed errors for failed API calls. The gateway answers every error with
+// RFC 7807 problem details ({ type, title, status, detail, requestId, ... });
+// toApiError picks the class from the status so callers can branch with
+// instanceof instead of parsing messages.
+
+export class ApiError extends Error {
+  constructor(problem = {}) {
+    super(problem.detail || problem.title || `Request failed with status ${problem.status}`)
+    this.name = this.constructor.name
+    this.status = problem.status
+    this.type = problem.type || 'about:blank'
+    this.title = problem.title
+    this.detail = problem.detail
+    this.requestId = problem.requestId
+    this.fields = problem.fields
+    this.problem = problem
+  }
+}
+
+// 400 and 422; `fields` lists the offending fields when there are any
+export class ValidationError extends ApiError {}
+
+// 401 that a token refresh could not fix
+export class AuthenticationError extends ApiError {}
+
+export class PermissionError extends ApiError {}
+
+export class NotFoundError extends ApiError {}
+
+// 409 and 412; a 412 carries the server's current version and its ETag
+export class ConflictError extends ApiError {
+  constructor(problem, etag) {
+    super(problem)
+    this.current = problem.current
+    this.etag = etag
+  }
+}
+
+export class RateLimitError extends ApiError {
+  constructor(problem) {
+    super(problem)
+    this.retryAfter = problem.retryAfter
+  }
+}
+
+// 5xx: the gateway or the C# backend behind it failed
+export class UpstreamError extends ApiError {
+  constructor(problem) {
+    super(problem)
+    this.upstreamStatus = problem.upstreamStatus
+  }
+}
+
+// No response at all
+export class NetworkError extends Error {
+  constructor(message = 'No response from server. Is the Node.js backend running?') {
+    super(message)
+    this.name = 'NetworkError'
+  }
+}
+
+const ERROR_CLASSES = {
+  400: ValidationError,
+  401: AuthenticationError,
+  403: PermissionError,
+  404: NotFoundError,
+  409: ConflictError,
+  412: ConflictError,
+  422: ValidationError,
+  429: RateLimitError,
+}
+
+// Non-problem bodies (a proxy's HTML page, an older gateway's { error })
+// still become an ApiError with the status
+const toProblem = (status, data) => {
+  if (data && typeof data === 'object') {
+    return { ...data, status, detail: data.detail || data.error || data.message }
+  }
+  return { status, detail: typeof data === 'string' && data ? data : undefined }
+}
+
+export const toApiError = (status, data, headers = {}) => {
+  const problem = toProblem(status, data)
+  const ErrorClass = ERROR_CLASSES[status] || (status >= 500 ? UpstreamError : ApiError)
+  return new ErrorClass(problem, headers.etag)
+}